@@ -1,800 +1,3132 @@
-/**
- * PAYPAL FEE HANDLER
- * Gestione commissione PayPal 3.5% per Softair Italia
- * 
- * Funzionalità:
- * - Checkbox "Pagherò con PayPal" nel carrello e mini-cart
- * - Banner informativo chiaro nella pagina prodotto
- * - Calcolo automatico 3.5% (arrotondato per eccesso)
- * - Ricalcolo automatico quando carrello cambia
- * - Rimozione automatica se carrello vuoto
- */
-
-(function initPayPalFeeHandler() {
-  'use strict';
-
-  // Aspetta che window.routes e window.theme siano definiti prima di inizializzare
-  // Questo evita l'errore "Cannot read properties of undefined"
-  if (!window.routes || !window.theme) {
-    // Se routes o theme non esistono, aspetta 50ms e riprova
-    setTimeout(initPayPalFeeHandler, 50);
-    return;
-  }
+/* Generato da src/ con npm run build: non modificare questo file */
+(() => {
+  // src/config/config.js
+  var CONFIG = {
+    PAYPAL_FEE_SKU: null,
+    PAYPAL_FEE_VARIANT_ID: null,
+    // ID variante prodotto "Commissione PayPal 3.5%"
+    PAYPAL_FEE_PRODUCT_HANDLE: null,
+    PAYPAL_FEE_VARIANTS: [],
+    // Tutte le varianti del prodotto commissione: [{ id, sku, price }]
+    SESSION_KEY_ADDED: "paypal_fee_selected",
+    SESSION_KEY_DECLINED: "paypal_fee_declined",
+    SESSION_KEY_METHOD: "paypal_fee_method",
+    SESSION_KEY_PENDING: "paypal_fee_pending",
+    // Scelta non ancora salvata nel carrello
+    SESSION_KEY_RECONCILE: "paypal_fee_reconcile",
+    // Ricalcolo fallito da ripetere (vedi FeeRecovery)
+    // MODALITÀ DEBUG (vedi FeeLogger): ?paypal_fee_debug=1 la attiva per la sessione (sessionStorage),
+    // il flag in localStorage solo se impostato a mano; ?paypal_fee_debug=0 la spegne
+    DEBUG_PARAM: "paypal_fee_debug",
+    DEBUG_STORAGE_KEY: "paypal_fee_debug",
+    // ATTRIBUTO CARRELLO con la scelta del cliente (fonte di verità, visibile sull'ordine in admin)
+    // Valori: id del metodo ('paypal', 'klarna'...), 'no' = carta/bonifico, assente = nessuna scelta
+    CART_ATTRIBUTE: "Pagamento con commissione",
+    INITIAL_CART_CHOICE: void 0,
+    // Valore dell'attributo al rendering della pagina (dal layout)
+    INITIAL_CART_LINES: null,
+    // Righe del carrello al rendering della pagina: { variant_id, sku, quantity, properties }
+    // ALTRI METODI CON COMMISSIONE (Klarna, Scalapay, contrassegno...)
+    // Popolati dal blocco config del layout: [{ id, label, sku, variantId, rules }]
+    // Le regole di ogni metodo sovrascrivono FEE_RULES solo nei campi indicati
+    SURCHARGE_METHODS: [],
+    // CODIFICA RIGHE COMMISSIONE (vedi FeeEncoding): 'cents' | 'denominations' | 'price-override'
+    FEE_ENCODING: "cents",
+    // ESENZIONI (vedi FeeExemption): la commissione non si applica a questi clienti e mercati
+    // Popolate dal blocco config del layout; confronto senza distinzione maiuscole/minuscole
+    EXEMPTIONS: {
+      customerTags: [],
+      // Es: ['club', 'b2b']
+      countries: [],
+      // Codici paese ISO, es: ['CH', 'SM']
+      markets: []
+      // Handle dei mercati Shopify
+    },
+    // Cliente e mercato della pagina attuale (dal layout)
+    CUSTOMER: { tags: [], country: null, market: null },
+    // BASE DI CALCOLO COMMISSIONE (vedi FeeBase, importi in centesimi)
+    FEE_BASE: {
+      subtractCartDiscounts: true,
+      // Sottrae gli sconti a livello carrello (cart_level_discount_applications)
+      excludeGiftCards: true,
+      // Le gift card non pagano commissione
+      excludeProductTypes: [],
+      // Es: ['Gift Card', 'Servizi']
+      excludeTags: [],
+      // Es: ['no-commissione'] (tag letti da /products/<handle>.js)
+      excludeSkuPattern: null,
+      // Espressione regolare sullo SKU, es: '^SERV-'
+      shippingEstimate: 0
+      // Spedizione stimata da aggiungere (0 = non inclusa)
+    },
+    // VALUTA (vedi Money): valuta del negozio e valuta del carrello (Shopify Markets), dal layout
+    // moneySample / moneyWithCurrencySample: Money.SAMPLE_CENTS formattato con money e money_with_currency
+    // nella valuta del carrello (vedi Money.templateFromSample)
+    CURRENCY: { shop: null, active: null, moneySample: null, moneyWithCurrencySample: null },
+    // REGOLE COMMISSIONE (tutti gli importi in centesimi della valuta del negozio)
+    // Unica fonte per il calcolo: la usano sia CartAPI.updateFee sia il banner prodotto.
+    // Valori predefiniti: le impostazioni paypal_fee_* del tema arrivano dal blocco config (vedi ConfigLoader.readRules)
+    FEE_RULES: {
+      percentage: 0.035,
+      // 3.5%
+      fixed: 0,
+      // Parte fissa (es: 35 = €0.35 come applicato da PayPal)
+      min: 0,
+      // Commissione minima
+      max: null,
+      // Commissione massima (null = nessun limite)
+      rounding: "ceil",
+      // 'ceil' | 'floor' | 'round'
+      roundingStep: 1,
+      // Arrotonda a multipli di N centesimi (5 = arrotonda ai 5 centesimi)
+      // Fasce per subtotale, dalla più bassa alla più alta. Una fascia può sovrascrivere percentage e fixed
+      // Es: [{ from: 0, percentage: 0.035 }, { from: 50000, percentage: 0.03, fixed: 35 }]
+      tiers: []
+    }
+  };
 
-  // CONFIGURAZIONE
-  const CONFIG = {
-    PAYPAL_FEE_SKU: 'PAYPAL-FEE-3-5',
-    FEE_PERCENTAGE: 0.035, // 3.5%
-    PAYPAL_FEE_VARIANT_ID: 52038356861271, // ID variante prodotto "Commissione PayPal 3.5%"
-    SESSION_KEY_ADDED: 'paypal_fee_selected',
-    SESSION_KEY_DECLINED: 'paypal_fee_declined'
-  };
-  
-  // LOGICA INTELLIGENTE PER IL COUNT
-  // Se spunta PayPal attiva → escludi sempre la commissione dal count
-  // Se spunta PayPal non attiva → usa il count normale
-  
-  // RIMOSSO - Il server già calcola il count corretto
-  // Se PayPal attivo, JavaScript NON deve toccare NULLA
-
-  // UTILITY FUNCTIONS
-  const Utils = {
-    // Formatta prezzo in euro
-    formatMoney: function(cents) {
-      const euros = (cents / 100).toFixed(2);
-      return euros.replace('.', ',') + ' €';
+  // src/config/i18n.js
+  var I18n = {
+    PREFIX: "paypalFee",
+    DEFAULTS: {
+      it: {
+        loaderDefault: "Aggiornamento in corso...",
+        loaderAdding: "Aggiunta commissione {{ method }}...",
+        loaderUpdating: "Aggiornamento commissione {{ method }}...",
+        loaderRemoving: "Rimozione commissione...",
+        buttonAdding: "Aggiunta in corso...",
+        previewBase: "{{ rate }} su {{ base }}, carrello incluso",
+        errorVariantMissing: "ERRORE: Variant ID commissione PayPal non configurato. Contatta l'assistenza.",
+        errorOutOfStock: "Il prodotto commissione PayPal non è disponibile. Contatta l'assistenza.",
+        errorUpdate: "Errore durante l'aggiornamento. Ricarica la pagina.",
+        errorCheckout: "Non è stato possibile aggiungere la commissione PayPal. Riprova o contatta l'assistenza.",
+        modalWarning: "⚠️ IMPORTANTE: Gli ordini PayPal senza commissione NON verranno processati.",
+        modalCancel: "Annulla",
+        removeTitle: "Rimuovere Commissione PayPal?",
+        removeMessageHtml: "Stai per rimuovere la commissione PayPal dal carrello.<br>Questo significa che <strong>NON pagherai con PayPal</strong>.",
+        removeConfirm: "Conferma Rimozione",
+        guardTitle: "Come pagherai?",
+        guardMessageHtml: "Nel carrello non c'è la commissione PayPal ({{ rate }}).<br>Se pagherai con PayPal aggiungila ora, altrimenti scegli carta o bonifico.",
+        guardDecline: "Pago con carta o bonifico",
+        guardConfirm: "Aggiungi commissione e continua",
+        statusAdded: "Commissione {{ method }} di {{ amount }} aggiunta al carrello",
+        statusUpdated: "Commissione {{ method }} aggiornata: {{ amount }}",
+        statusRemoved: "Commissione rimossa dal carrello",
+        toastAdded: "Commissione {{ method }} aggiunta",
+        toastRemoved: "Commissione rimossa",
+        toastUndo: "Annulla",
+        toastClose: "Chiudi",
+        recoveryOffline: "Sei offline: la commissione verrà aggiornata appena torna la connessione.",
+        recoveryFailed: "Non è stato possibile aggiornare la commissione: il totale potrebbe non essere corretto.",
+        recoveryRetry: "Riprova",
+        recoveryResolved: "Commissione aggiornata",
+        quickOffer: "Prodotto aggiunto al carrello. Pagherai con PayPal? La commissione è del {{ rate }}.",
+        quickToggle: "Pagherò con PayPal (+{{ amount }})"
+      },
+      en: {
+        loaderDefault: "Updating...",
+        loaderAdding: "Adding {{ method }} fee...",
+        loaderUpdating: "Updating {{ method }} fee...",
+        loaderRemoving: "Removing fee...",
+        buttonAdding: "Adding...",
+        previewBase: "{{ rate }} of {{ base }}, cart included",
+        errorVariantMissing: "ERROR: PayPal fee variant ID is not configured. Please contact support.",
+        errorOutOfStock: "The PayPal fee product is not available. Please contact support.",
+        errorUpdate: "Something went wrong while updating. Please reload the page.",
+        errorCheckout: "We could not add the PayPal fee. Please try again or contact support.",
+        modalWarning: "⚠️ IMPORTANT: PayPal orders without the fee will NOT be processed.",
+        modalCancel: "Cancel",
+        removeTitle: "Remove the PayPal fee?",
+        removeMessageHtml: "You are about to remove the PayPal fee from your cart.<br>This means you will <strong>NOT pay with PayPal</strong>.",
+        removeConfirm: "Remove fee",
+        guardTitle: "How will you pay?",
+        guardMessageHtml: "Your cart does not include the PayPal fee ({{ rate }}).<br>If you will pay with PayPal add it now, otherwise choose card or bank transfer.",
+        guardDecline: "I will pay by card or bank transfer",
+        guardConfirm: "Add fee and continue",
+        statusAdded: "{{ method }} fee of {{ amount }} added to the cart",
+        statusUpdated: "{{ method }} fee updated: {{ amount }}",
+        statusRemoved: "Fee removed from the cart",
+        toastAdded: "{{ method }} fee added",
+        toastRemoved: "Fee removed",
+        toastUndo: "Undo",
+        toastClose: "Close",
+        recoveryOffline: "You are offline: the fee will be updated as soon as the connection is back.",
+        recoveryFailed: "The fee could not be updated: the total may not be correct.",
+        recoveryRetry: "Retry",
+        recoveryResolved: "Fee updated",
+        quickOffer: "Product added to your cart. Will you pay with PayPal? The fee is {{ rate }}.",
+        quickToggle: "I will pay with PayPal (+{{ amount }})"
+      }
+    },
+    // Lingua dei testi predefiniti: quella della pagina se disponibile, altrimenti inglese
+    language: function() {
+      const lang = (document.documentElement.lang || "").slice(0, 2).toLowerCase();
+      return this.DEFAULTS[lang] ? lang : "en";
     },
+    // Lingua per i numeri (es: percentuale 3,5% in italiano, 3.5% in inglese): lang della pagina, italiano senza DOM
+    locale: function() {
+      const lang = typeof document !== "undefined" ? document.documentElement.lang : "";
+      return lang || "it";
+    },
+    t: function(key, variables) {
+      const name = this.PREFIX + key.charAt(0).toUpperCase() + key.slice(1);
+      let text = window.languages ? window.languages[name] : null;
+      if (!text || text.indexOf("translation missing") !== -1) {
+        text = this.DEFAULTS[this.language()][key] || this.DEFAULTS.it[key] || key;
+      }
+      return Object.keys(variables || {}).reduce((result, variable) => {
+        return result.replace(new RegExp(`\\{\\{\\s*${variable}\\s*\\}\\}`, "g"), () => variables[variable]);
+      }, text);
+    }
+  };
 
-    // Calcola 3.5% arrotondato per eccesso
-    calculateFee: function(subtotalCents) {
-      return Math.ceil(subtotalCents * CONFIG.FEE_PERCENTAGE);
+  // src/config/logger.js
+  var FeeLogger = {
+    LEVELS: ["debug", "info", "warn", "error"],
+    DEFAULT_LEVEL: "error",
+    HISTORY_SIZE: 50,
+    PREFIX: "[Commissione PayPal]",
+    entries: [],
+    listeners: [],
+    debugMode: null,
+    // Letto alla prima richiesta (vedi isDebug)
+    isDebug: function() {
+      if (this.debugMode === null) this.debugMode = this.detect();
+      return this.debugMode;
+    },
+    // Il parametro nell'URL vale per le pagine successive della stessa sessione (sessionStorage): lo staff lo fa
+    // aprire una volta al cliente. Il flag in localStorage, per le prove in negozio, va impostato a mano da console.
+    // ?paypal_fee_debug=0 spegne entrambi
+    detect: function() {
+      if (typeof window === "undefined") return false;
+      const param = new URLSearchParams(window.location.search).get(CONFIG.DEBUG_PARAM);
+      try {
+        if (param === "0") {
+          window.sessionStorage.removeItem(CONFIG.DEBUG_STORAGE_KEY);
+          window.localStorage.removeItem(CONFIG.DEBUG_STORAGE_KEY);
+        } else if (param !== null) {
+          window.sessionStorage.setItem(CONFIG.DEBUG_STORAGE_KEY, "1");
+        }
+        return window.sessionStorage.getItem(CONFIG.DEBUG_STORAGE_KEY) === "1" || window.localStorage.getItem(CONFIG.DEBUG_STORAGE_KEY) === "1";
+      } catch (_) {
+        return param !== null && param !== "0";
+      }
     },
+    debug: function(message, data) {
+      this.log("debug", message, data);
+    },
+    info: function(message, data) {
+      this.log("info", message, data);
+    },
+    warn: function(message, data) {
+      this.log("warn", message, data);
+    },
+    error: function(message, data) {
+      this.log("error", message, data);
+    },
+    log: function(level, message, data) {
+      const debug = this.isDebug();
+      if (debug) {
+        const entry = { time: Date.now(), level, message, data };
+        this.entries.push(entry);
+        if (this.entries.length > this.HISTORY_SIZE) this.entries.shift();
+        this.listeners.forEach((fn) => {
+          try {
+            fn(entry);
+          } catch (_) {
+          }
+        });
+      }
+      if (!debug && this.LEVELS.indexOf(level) < this.LEVELS.indexOf(this.DEFAULT_LEVEL)) return;
+      const args = [`${this.PREFIX} ${message}`];
+      if (data !== void 0) args.push(data);
+      console[level].apply(console, args);
+    },
+    // Nuove voci dello storico (solo in modalità debug). Restituisce la funzione per rimuovere il listener
+    subscribe: function(fn) {
+      this.listeners.push(fn);
+      return () => {
+        this.listeners = this.listeners.filter((listener) => listener !== fn);
+      };
+    }
+  };
 
-    // Ottieni carrello corrente
-    getCart: async function() {
+  // src/config/loader.js
+  var ConfigLoader = {
+    SELECTOR: 'script[type="application/json"][data-paypal-fee-config]',
+    ENCODINGS: ["cents", "denominations", "price-override"],
+    // Strategie di FeeEncoding
+    ROUNDINGS: ["ceil", "floor", "round"],
+    // Modi di FeeRules.ROUNDING_MODES
+    read: function() {
+      const element = document.querySelector(this.SELECTOR);
+      if (!element) return null;
       try {
-        const response = await fetch('/cart.js');
-        return await response.json();
+        return JSON.parse(element.textContent);
       } catch (error) {
-        console.error('Errore recupero carrello:', error);
+        FeeLogger.error("⚠️ Configurazione JSON non valida", error);
         return null;
       }
     },
+    // Restituisce l'elenco dei problemi trovati (vuoto se la configurazione è valida)
+    validate: function(data) {
+      const problems = [];
+      if (!data) {
+        problems.push("blocco <script data-paypal-fee-config> mancante nel layout");
+        return problems;
+      }
+      if (!data.sku) {
+        problems.push("SKU commissione non impostato");
+      }
+      if (!data.productPublished) {
+        problems.push("prodotto commissione non trovato o non pubblicato nel canale Online Store");
+      } else if (!data.variantId) {
+        problems.push("variante commissione mancante");
+      } else if (data.variantAvailable === false) {
+        problems.push(`variante ${data.variantId} non disponibile (controlla inventario/vendita senza scorte)`);
+      }
+      this.readRules(data.rules || {}, "PayPal", problems);
+      (data.methods || []).forEach((method) => {
+        this.readRules(method.rules || {}, method.label, problems);
+        if (!method.variantId) {
+          problems.push(`${method.label}: variante commissione mancante`);
+        } else if (method.variantAvailable === false) {
+          problems.push(`${method.label}: variante ${method.variantId} non disponibile`);
+        }
+      });
+      if (data.base && data.base.excludeSkuPattern) {
+        try {
+          new RegExp(data.base.excludeSkuPattern);
+        } catch (error) {
+          problems.push(`espressione SKU da escludere non valida: ${data.base.excludeSkuPattern}`);
+        }
+      }
+      if (data.encoding && this.ENCODINGS.indexOf(data.encoding) === -1) {
+        problems.push(`codifica "${data.encoding}" sconosciuta, uso "cents"`);
+      } else if (data.encoding === "denominations") {
+        [{ label: "PayPal", variants: data.variants }].concat(data.methods || []).forEach((method) => {
+          if (!(method.variants || []).length) return;
+          const prices = (method.variants || []).map((variant) => variant.price);
+          if (prices.indexOf(1) === -1) {
+            problems.push(`${method.label}: nessuna variante da €0.01, la commissione verrà arrotondata al taglio più piccolo`);
+          }
+        });
+      }
+      return problems;
+    },
+    // Regole commissione dal layout (percentuali già divise per 100, importi in centesimi della valuta del negozio).
+    // Restituisce solo i campi validi, che sovrascrivono CONFIG.FEE_RULES; per gli altri aggiunge un problema
+    readRules: function(rules, label, problems = []) {
+      const result = {};
+      const amount = (value) => typeof value === "number" && isFinite(value) && value >= 0;
+      const check = (field, valid2, message) => {
+        if (rules[field] === void 0 || rules[field] === null) return;
+        if (valid2(rules[field])) {
+          result[field] = rules[field];
+        } else {
+          problems.push(`${label}: ${message} (${JSON.stringify(rules[field])})`);
+        }
+      };
+      check("percentage", (value) => amount(value) && value < 1, "percentuale non valida");
+      check("fixed", amount, "parte fissa non valida");
+      check("min", amount, "commissione minima non valida");
+      check("max", (value) => amount(value) && value >= (result.min || 0), "commissione massima non valida o sotto la minima");
+      check("rounding", (value) => this.ROUNDINGS.indexOf(value) !== -1, "arrotondamento sconosciuto");
+      check("roundingStep", (value) => Number.isInteger(value) && value >= 1, "passo di arrotondamento non valido");
+      if (rules.tiers !== void 0) {
+        const tiers = this.readTiers(rules.tiers, label, problems);
+        if (tiers) result.tiers = tiers;
+      }
+      return result;
+    },
+    // Fasce dal layout, una per riga: "da; percentuale; parte fissa" (es: "50000; 3,2; 35" = da €500, 3,2% + €0,35).
+    // Parte fissa facoltativa. Una riga non valida scarta tutte le fasce: resta la regola base, non fasce a metà
+    readTiers: function(lines, label, problems) {
+      const tiers = [];
+      const rows = (lines || []).map((line) => String(line).trim()).filter(Boolean);
+      for (const row of rows) {
+        const values = row.split(";").map((value) => value.trim() === "" ? NaN : Number(value.trim().replace(",", ".")));
+        const [from, percentage, fixed] = values;
+        const previous = tiers[tiers.length - 1];
+        const valid2 = values.length >= 2 && values.length <= 3 && values.every((value) => isFinite(value) && value >= 0) && percentage < 100 && (!previous || from > previous.from);
+        if (!valid2) {
+          problems.push(`${label}: fascia "${row}" non valida (da; percentuale; parte fissa, dalla più bassa alla più alta)`);
+          return null;
+        }
+        const tier = { from: Math.round(from), percentage: percentage / 100 };
+        if (fixed !== void 0) tier.fixed = Math.round(fixed);
+        tiers.push(tier);
+      }
+      return tiers;
+    },
+    // Normalizza le impostazioni base dal layout (liste separate da virgola, spazi, valori vuoti)
+    readBase: function(base) {
+      const list = (value) => (value || []).map((entry) => String(entry).trim()).filter(Boolean);
+      let pattern = base.excludeSkuPattern || null;
+      try {
+        if (pattern) new RegExp(pattern);
+      } catch (error) {
+        pattern = null;
+      }
+      return {
+        subtractCartDiscounts: base.subtractCartDiscounts !== false,
+        excludeGiftCards: base.excludeGiftCards !== false,
+        excludeProductTypes: list(base.excludeProductTypes),
+        excludeTags: list(base.excludeTags),
+        excludeSkuPattern: pattern,
+        shippingEstimate: Math.max(0, Math.round(Number(base.shippingEstimate) || 0))
+      };
+    },
+    // Normalizza regole di esenzione e dati cliente (maiuscole/minuscole, spazi, valori vuoti)
+    readExemptions: function(exemptions, customer) {
+      const list = (value, normalize) => (value || []).map((entry) => normalize(String(entry).trim())).filter(Boolean);
+      const lower = (value) => value.toLowerCase();
+      const upper = (value) => value.toUpperCase();
+      return {
+        rules: {
+          customerTags: list(exemptions.customerTags, lower),
+          countries: list(exemptions.countries, upper),
+          markets: list(exemptions.markets, lower)
+        },
+        customer: {
+          tags: list(customer.tags, lower),
+          country: customer.country ? upper(customer.country) : null,
+          market: customer.market ? lower(customer.market) : null
+        }
+      };
+    },
+    load: function() {
+      const data = this.read();
+      const problems = this.validate(data);
+      if (data) {
+        CONFIG.PAYPAL_FEE_SKU = data.sku || null;
+        CONFIG.PAYPAL_FEE_VARIANT_ID = data.variantId || null;
+        CONFIG.PAYPAL_FEE_PRODUCT_HANDLE = data.productHandle || null;
+        CONFIG.PAYPAL_FEE_VARIANTS = data.variants || [];
+        CONFIG.CART_ATTRIBUTE = data.cartAttribute || CONFIG.CART_ATTRIBUTE;
+        if (data.rules) {
+          CONFIG.FEE_RULES = Object.assign({}, CONFIG.FEE_RULES, this.readRules(data.rules, "PayPal"));
+        }
+        if (data.base) {
+          CONFIG.FEE_BASE = Object.assign({}, CONFIG.FEE_BASE, this.readBase(data.base));
+        }
+        const exemptions = this.readExemptions(data.exemptions || {}, data.customer || {});
+        CONFIG.EXEMPTIONS = exemptions.rules;
+        CONFIG.CUSTOMER = exemptions.customer;
+        CONFIG.INITIAL_CART_CHOICE = data.cartChoice;
+        CONFIG.INITIAL_CART_LINES = Array.isArray(data.cartLines) ? data.cartLines : null;
+        if (data.currency) {
+          CONFIG.CURRENCY = {
+            shop: data.currency.shop || null,
+            active: data.currency.active || data.currency.shop || null,
+            moneySample: data.currency.moneySample || null,
+            moneyWithCurrencySample: data.currency.moneyWithCurrencySample || null
+          };
+        }
+        CONFIG.FEE_ENCODING = this.ENCODINGS.indexOf(data.encoding) !== -1 ? data.encoding : "cents";
+        CONFIG.SURCHARGE_METHODS = (data.methods || []).filter((method) => method.variantId).map((method) => ({
+          id: method.id,
+          label: method.label,
+          sku: method.sku || null,
+          variantId: method.variantId,
+          variants: method.variants || [],
+          rules: this.readRules(method.rules || {}, method.label)
+        }));
+      }
+      if (problems.length) {
+        FeeLogger.error("⚠️ Configurazione incompleta:\n- " + problems.join("\n- "));
+      }
+      return problems.length === 0;
+    }
+  };
+
+  // src/config/index.js
+  var valid = null;
+  function start() {
+    if (valid === null) valid = ConfigLoader.load();
+    return valid;
+  }
+
+  // src/fee/methods.js
+  var PaymentMethods = {
+    DEFAULT_ID: "paypal",
+    all: function() {
+      const paypal = {
+        id: "paypal",
+        label: "PayPal",
+        sku: CONFIG.PAYPAL_FEE_SKU,
+        variantId: CONFIG.PAYPAL_FEE_VARIANT_ID,
+        variants: CONFIG.PAYPAL_FEE_VARIANTS,
+        rules: {}
+      };
+      return [paypal].concat(CONFIG.SURCHARGE_METHODS);
+    },
+    get: function(methodId) {
+      const id = methodId || this.DEFAULT_ID;
+      return this.all().find((method) => method.id === id) || null;
+    },
+    // Regole effettive: FEE_RULES con le eventuali sovrascritture del metodo
+    rules: function(methodId) {
+      const method = this.get(methodId);
+      return Object.assign({}, CONFIG.FEE_RULES, method ? method.rules : {});
+    },
+    // Metodo a cui appartiene una riga commissione (per SKU, variante o proprietà), null se prodotto normale
+    forLine: function(item) {
+      const properties = item.properties || {};
+      return this.all().find((method) => {
+        return !!method.sku && item.sku === method.sku || !!method.variantId && item.variant_id === method.variantId || (method.variants || []).some((variant) => variant.id === item.variant_id) || method.id === "paypal" && properties._paypal_fee === "true" || properties._payment_surcharge === method.id;
+      }) || null;
+    }
+  };
 
-    // Calcola subtotale escludendo commissione PayPal
+  // src/fee/lines.js
+  var CartLines = {
+    // Verifica se il line item è una commissione
+    isFeeLine: function(item) {
+      return !!PaymentMethods.forLine(item);
+    },
+    // Calcola subtotale escludendo commissione PayPal (per sapere se il carrello è vuoto; per l'importo usa FeeCalculator.base)
     getSubtotalWithoutFee: function(cart) {
       let subtotal = 0;
-      cart.items.forEach(item => {
-        if (item.sku !== CONFIG.PAYPAL_FEE_SKU) {
+      cart.items.forEach((item) => {
+        if (!this.isFeeLine(item)) {
           subtotal += item.final_line_price;
         }
       });
       return subtotal;
     },
-
-    // Calcola il numero di articoli visualizzabile (esclude commissione)
+    // Calcola il numero di articoli visualizzabile (esclude commissione). Unico conteggio usato per i badge (CartCount)
     getAdjustedItemCount: function(cart) {
       let count = 0;
-      cart.items.forEach(item => {
-        if (item.sku !== CONFIG.PAYPAL_FEE_SKU) {
+      cart.items.forEach((item) => {
+        if (!this.isFeeLine(item)) {
           count += item.quantity;
         }
       });
       return count;
     },
-
     // Trova line item commissione PayPal
     findFeeLineItem: function(cart) {
-      return cart.items.find(item => item.sku === CONFIG.PAYPAL_FEE_SKU);
-    },
-
-    // Mostra loader
-    showLoader: function(message = 'Aggiornamento in corso...') {
-      const loader = document.createElement('div');
-      loader.id = 'paypal-fee-loader';
-      loader.innerHTML = `
-        <div style="position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.5); z-index: 99999; display: flex; align-items: center; justify-content: center;">
-          <div style="background: white; padding: 30px; border-radius: 12px; text-align: center; box-shadow: 0 10px 40px rgba(0,0,0,0.3);">
-            <div style="font-size: 40px; margin-bottom: 15px;">⏳</div>
-            <div style="font-size: 16px; color: #424242;">${message}</div>
-          </div>
-        </div>
-      `;
-      document.body.appendChild(loader);
+      return cart.items.find((item) => this.isFeeLine(item));
     },
-
-    // Nascondi loader
-    hideLoader: function() {
-      const loader = document.getElementById('paypal-fee-loader');
-      if (loader) loader.remove();
+    // Trova TUTTE le righe commissione (normalmente una sola, vedi CartAudit)
+    findFeeLineItems: function(cart) {
+      return cart.items.filter((item) => this.isFeeLine(item));
+    },
+    // Importo commissione presente nel carrello (somma delle righe commissione, in centesimi)
+    getFeeAmount: function(cart) {
+      if (!cart || !cart.items) return 0;
+      return this.findFeeLineItems(cart).reduce((sum, item) => sum + item.final_line_price, 0);
     }
   };
 
-  // CART API FUNCTIONS
-  const CartAPI = {
-    // Aggiungi prodotto commissione
-    addFee: async function(feeAmount) {
-      // console.log('Aggiunta commissione:', Utils.formatMoney(feeAmount));
-      
-      if (!CONFIG.PAYPAL_FEE_VARIANT_ID) {
-        alert('ERRORE: Variant ID commissione PayPal non configurato. Contatta l\'assistenza.');
-        return false;
+  // src/fee/money.js
+  var Money = {
+    TEMPLATE_FALLBACK: "{{amount_with_comma_separator}} €",
+    SAMPLE_CENTS: 1234567,
+    // Importo degli esempi di formato pubblicati dal layout (currency.moneySample)
+    // "migliaia|decimali" dell'esempio → segnaposto del filtro money
+    SAMPLE_PLACEHOLDERS: {
+      ",|.": "amount",
+      ".|,": "amount_with_comma_separator",
+      " |,": "amount_with_space_separator",
+      " |.": "amount_with_period_and_space_separator",
+      "'|.": "amount_with_apostrophe_separator",
+      ",|": "amount_no_decimals",
+      ".|": "amount_no_decimals_with_comma_separator",
+      " |": "amount_no_decimals_with_space_separator"
+    },
+    isShopCurrency: function() {
+      return !CONFIG.CURRENCY.active || CONFIG.CURRENCY.active === CONFIG.CURRENCY.shop;
+    },
+    // Cambio da valuta del negozio a valuta del carrello (1 se coincidono)
+    rate: function() {
+      if (this.isShopCurrency()) return 1;
+      const rate = Number(window.Shopify && window.Shopify.currency && window.Shopify.currency.rate);
+      return rate > 0 ? rate : 1;
+    },
+    // Decimali della valuta (EUR 2, JPY 0), 2 se il browser non la conosce
+    decimals: function(currency) {
+      try {
+        return new Intl.NumberFormat("en", { style: "currency", currency }).resolvedOptions().maximumFractionDigits;
+      } catch (error) {
+        return 2;
+      }
+    },
+    // Passo minimo in centesimi per la valuta del carrello: 1 per EUR, 100 per JPY
+    minorUnitStep: function() {
+      if (!CONFIG.CURRENCY.active) return 1;
+      return Math.pow(10, Math.max(0, 2 - this.decimals(CONFIG.CURRENCY.active)));
+    },
+    // Arrotonda per eccesso all'unità minima della valuta
+    round: function(cents) {
+      const step = this.minorUnitStep();
+      return Math.ceil(Math.round(cents) / step) * step;
+    },
+    // Importo in centesimi della valuta del negozio → centesimi della valuta del carrello (non arrotondato)
+    fromShopCurrency: function(cents) {
+      return cents * this.rate();
+    },
+    // Regole FEE_RULES convertite nella valuta del carrello: importi fissi, fasce e passo di arrotondamento
+    // col cambio. Il modo (ceil/floor/round) resta; il passo diventa un multiplo dell'unità minima della valuta
+    localizeRules: function(rules) {
+      const convert = (value) => value === null || value === void 0 ? value : this.fromShopCurrency(value);
+      const step = this.minorUnitStep();
+      const roundingStep = (rules.roundingStep || 1) > 1 ? Math.max(Math.round(convert(rules.roundingStep) / step) * step, step) : step;
+      return Object.assign({}, rules, {
+        fixed: convert(rules.fixed),
+        min: convert(rules.min),
+        max: convert(rules.max),
+        roundingStep,
+        tiers: (rules.tiers || []).map((tier) => Object.assign({}, tier, {
+          from: convert(tier.from),
+          fixed: convert(tier.fixed)
+        }))
+      });
+    },
+    // Formato del negozio (shop.money_format, es: "€{{amount_with_comma_separator}}"), vedi template()
+    format: function(cents) {
+      return this.applyTemplate(cents, this.template(false));
+    },
+    // Come format, con il formato "con valuta" del negozio (shop.money_with_currency_format, es:
+    // "€{{amount_with_comma_separator}} EUR"): per gli importi che il tema stampa con money_with_currency
+    formatWithCurrency: function(cents) {
+      return this.applyTemplate(cents, this.template(true));
+    },
+    // Valuta del negozio: i formati di window.theme. Altre valute: il formato che Shopify usa per la valuta
+    // del carrello, ricavato dagli esempi formattati dal layout (vedi templateFromSample)
+    template: function(withCurrency) {
+      if (!this.isShopCurrency()) {
+        const sample = withCurrency ? CONFIG.CURRENCY.moneyWithCurrencySample : CONFIG.CURRENCY.moneySample;
+        const template = sample ? this.templateFromSample(sample) : null;
+        if (template) return template;
       }
+      const theme = window.theme || {};
+      return withCurrency && theme.moneyWithCurrencyFormat || theme.moneyFormat || this.TEMPLATE_FALLBACK;
+    },
+    // Esempio "$12,345.67" (SAMPLE_CENTS con il filtro money) → "${{amount}}": i separatori indicano il segnaposto.
+    // null se i separatori non corrispondono a nessun segnaposto di Shopify
+    templateFromSample: function(sample) {
+      const text = sample.replace(/<[^>]*>/g, "").replace(/\u00a0/g, " ");
+      const match = text.match(/\d[\d.,' ]*\d/);
+      if (!match) return null;
+      const number = match[0];
+      const hasDecimals = /[.,]\d{2}$/.test(number);
+      const decimal = hasDecimals ? number.charAt(number.length - 3) : "";
+      const thousands = ((hasDecimals ? number.slice(0, -3) : number).match(/\D/) || [""])[0];
+      const placeholder = this.SAMPLE_PLACEHOLDERS[`${thousands}|${decimal}`];
+      return placeholder ? text.replace(number, `{{${placeholder}}}`) : null;
+    },
+    // Stessi segnaposto del filtro money di Liquid
+    applyTemplate: function(cents, template) {
+      const value = Math.round(cents) / 100;
+      const withSeparators = (precision, thousands, decimal) => {
+        const parts = value.toFixed(precision).split(".");
+        const whole = parts[0].replace(/(\d)(?=(\d{3})+(?!\d))/g, "$1" + thousands);
+        return parts[1] ? whole + decimal + parts[1] : whole;
+      };
+      const placeholders = {
+        amount: () => withSeparators(2, ",", "."),
+        amount_no_decimals: () => withSeparators(0, ",", "."),
+        amount_with_comma_separator: () => withSeparators(2, ".", ","),
+        amount_no_decimals_with_comma_separator: () => withSeparators(0, ".", ","),
+        amount_with_space_separator: () => withSeparators(2, " ", ","),
+        amount_no_decimals_with_space_separator: () => withSeparators(0, " ", ","),
+        amount_with_period_and_space_separator: () => withSeparators(2, " ", "."),
+        amount_with_apostrophe_separator: () => withSeparators(2, "'", ".")
+      };
+      return template.replace(/\{\{\s*(\w+)\s*\}\}/, (match, name) => placeholders[name] ? placeholders[name]() : match).replace(/<[^>]*>/g, "");
+    }
+  };
 
-      try {
-        // IMPORTANTE: Il prodotto commissione ha prezzo €0.01 nel backend
-        // La quantità rappresenta i centesimi (es: 350 = €3.50)
-        const quantityInCents = Math.round(feeAmount); // feeAmount è già in centesimi
-        
-        console.log('💳 Aggiunta commissione PayPal:', {
-          feeAmountCents: feeAmount,
-          quantity: quantityInCents,
-          totalDisplay: Utils.formatMoney(feeAmount),
-          variantId: CONFIG.PAYPAL_FEE_VARIANT_ID
+  // src/fee/base.js
+  var FeeBase = {
+    PIPELINE: ["lines", "cartDiscounts", "shipping"],
+    tagsByHandle: {},
+    // Cache tag prodotto: /cart.js non li include
+    steps: {
+      // Somma le righe prodotto, tranne commissioni ed esclusioni configurate
+      lines: function(cart, items, breakdown) {
+        items.forEach((item) => {
+          if (CartLines.isFeeLine(item)) return;
+          const reason = FeeBase.exclusionReason(item);
+          if (reason) {
+            breakdown.excluded.push({ key: item.key, title: item.title, amount: item.final_line_price, reason });
+            return;
+          }
+          breakdown.lines += item.final_line_price;
         });
-        
-        const response = await fetch('/cart/add.js', {
-          method: 'POST',
-          headers: { 
-            'Content-Type': 'application/json',
-            'Accept': 'application/json'
-          },
-          body: JSON.stringify({
-            items: [{
-              id: CONFIG.PAYPAL_FEE_VARIANT_ID,
-              quantity: quantityInCents, // Quantità = centesimi (es: 350 per €3.50)
-              properties: {
-                '_paypal_fee': 'true',
-                'Nota': 'La quantità mostrata rappresenta i centesimi dell\'importo (es: 350 = €3.50)'
-              }
-            }]
-          })
+        breakdown.base = breakdown.lines;
+      },
+      // Sconti a livello carrello: non sono già inclusi in final_line_price
+      cartDiscounts: function(cart, items, breakdown) {
+        if (!CONFIG.FEE_BASE.subtractCartDiscounts) return;
+        (cart.cart_level_discount_applications || []).forEach((discount) => {
+          breakdown.discounts += discount.total_allocated_amount || 0;
         });
+        breakdown.base = Math.max(0, breakdown.base - breakdown.discounts);
+      },
+      // Spedizione stimata, solo se c'è qualcosa su cui pagare la commissione
+      shipping: function(cart, items, breakdown) {
+        if (!CONFIG.FEE_BASE.shippingEstimate || breakdown.base <= 0) return;
+        breakdown.shipping = Money.round(Money.fromShopCurrency(CONFIG.FEE_BASE.shippingEstimate));
+        breakdown.base += breakdown.shipping;
+      }
+    },
+    // Dettaglio della base per il carrello; extraItems = righe ipotetiche (es: anteprima pagina prodotto)
+    breakdown: function(cart, extraItems) {
+      const items = (cart.items || []).concat(extraItems || []);
+      const breakdown = { lines: 0, excluded: [], discounts: 0, shipping: 0, base: 0 };
+      this.PIPELINE.forEach((name) => {
+        this.steps[name](cart, items, breakdown);
+      });
+      return breakdown;
+    },
+    // Motivo per cui la riga non paga commissione, null se va inclusa
+    exclusionReason: function(item) {
+      const rules = CONFIG.FEE_BASE;
+      const productType = String(item.product_type || "").toLowerCase();
+      const tags = this.tagsByHandle[item.handle] || [];
+      if (rules.excludeGiftCards && item.gift_card) return "gift-card";
+      if (rules.excludeProductTypes.some((type) => type.toLowerCase() === productType)) return "product-type";
+      if (rules.excludeSkuPattern && new RegExp(rules.excludeSkuPattern, "i").test(item.sku || "")) return "sku";
+      if (rules.excludeTags.some((tag) => tags.indexOf(tag) !== -1)) return "tag";
+      return null;
+    },
+    // Carica i tag dei prodotti nel carrello non ancora in cache (solo se ci sono tag da escludere)
+    prepare: async function(cart) {
+      if (!cart || CONFIG.FEE_BASE.excludeTags.length === 0) return;
+      const handles = cart.items.filter((item) => !CartLines.isFeeLine(item) && item.handle && !this.tagsByHandle[item.handle]).map((item) => item.handle).filter((handle, index, list) => list.indexOf(handle) === index);
+      await Promise.all(handles.map(async (handle) => {
+        try {
+          const response = await fetch(`/products/${handle}.js`);
+          if (!response.ok) return;
+          const product = await response.json();
+          this.tagsByHandle[handle] = product.tags || [];
+        } catch (error) {
+          FeeLogger.error("Errore lettura tag prodotto", { handle, error });
+        }
+      }));
+    }
+  };
 
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-          console.error('Errore aggiunta commissione:', errorData);
-          
-          // Messaggio specifico per problemi di inventario
-          if (errorData.description && errorData.description.includes('out of stock')) {
-            alert('Il prodotto commissione PayPal non è disponibile. Contatta l\'assistenza.');
-          }
-          
-          throw new Error('Errore aggiunta commissione');
+  // src/fee/events.js
+  var FeeEvents = {
+    HOOKS: ["beforeCalculate", "afterCalculate"],
+    DEPRECATED_CHANGE_EVENT: "paypal-fee-changed",
+    CHANGE_EVENTS: ["fee:added", "fee:updated", "fee:removed"],
+    hooks: { beforeCalculate: [], afterCalculate: [] },
+    // Hook per i nomi in HOOKS, altrimenti listener sul document. Restituisce la funzione per rimuoverlo
+    on: function(name, fn) {
+      if (this.HOOKS.indexOf(name) !== -1) {
+        this.hooks[name].push(fn);
+      } else {
+        document.addEventListener(name, fn);
+      }
+      return () => this.off(name, fn);
+    },
+    off: function(name, fn) {
+      if (this.HOOKS.indexOf(name) !== -1) {
+        this.hooks[name] = this.hooks[name].filter((hook) => hook !== fn);
+      } else {
+        document.removeEventListener(name, fn);
+      }
+    },
+    // Passa il valore attraverso gli hook in ordine di registrazione. Un hook che fallisce
+    // o restituisce qualcosa che non è un numero lascia il valore invariato
+    runHooks: function(name, value, context) {
+      return this.hooks[name].reduce((current, hook) => {
+        try {
+          const result = hook(current, context);
+          return typeof result === "number" && isFinite(result) ? result : current;
+        } catch (error) {
+          FeeLogger.error(`Errore hook ${name}`, error);
+          return current;
         }
+      }, value);
+    },
+    // Restituisce false se un listener ha annullato l'evento (solo per quelli cancelable)
+    emit: function(name, detail, cancelable) {
+      const result = document.dispatchEvent(new CustomEvent(name, { detail, cancelable: !!cancelable }));
+      if (this.CHANGE_EVENTS.indexOf(name) !== -1) {
+        document.dispatchEvent(new CustomEvent(this.DEPRECATED_CHANGE_EVENT));
+      }
+      return result;
+    }
+  };
 
-        const updated = await response.json();
-        await this.refreshCartUI();
-        return updated;
+  // src/fee/rules.js
+  var FeeRules = {
+    ROUNDING_MODES: {
+      ceil: Math.ceil,
+      floor: Math.floor,
+      round: Math.round
+    },
+    // Restituisce la fascia applicabile al subtotale (l'ultima con from <= subtotale)
+    resolveTier: function(subtotalCents, rules) {
+      let match = null;
+      (rules.tiers || []).forEach((tier) => {
+        if (subtotalCents >= (tier.from || 0)) match = tier;
+      });
+      return match;
+    },
+    // Percentuale e parte fissa effettive per il subtotale
+    resolveRate: function(subtotalCents, rules) {
+      const tier = this.resolveTier(subtotalCents, rules) || {};
+      return {
+        percentage: tier.percentage !== void 0 ? tier.percentage : rules.percentage || 0,
+        fixed: tier.fixed !== void 0 ? tier.fixed : rules.fixed || 0
+      };
+    },
+    round: function(amount, rules) {
+      const mode = this.ROUNDING_MODES[rules.rounding] || Math.ceil;
+      const step = rules.roundingStep > 0 ? rules.roundingStep : 1;
+      const normalized = Math.round(amount / step * 1e6) / 1e6;
+      return mode(normalized) * step;
+    },
+    calculate: function(subtotalCents, rules) {
+      if (!subtotalCents || subtotalCents <= 0) return 0;
+      const rate = this.resolveRate(subtotalCents, rules);
+      let fee = this.round(subtotalCents * rate.percentage + rate.fixed, rules);
+      if (rules.min) fee = Math.max(fee, rules.min);
+      if (rules.max !== null && rules.max !== void 0) fee = Math.min(fee, rules.max);
+      return fee;
+    },
+    // Percentuale col separatore decimale della lingua (locale, es: 'it' → 3,5%, 'en' → 3.5%)
+    describe: function(rules, subtotalCents, locale) {
+      const rate = this.resolveRate(subtotalCents || 0, rules);
+      const percentage = this.formatPercentage(rate.percentage, locale) + "%";
+      return rate.fixed ? percentage + " + " + Money.format(rate.fixed) : percentage;
+    },
+    formatPercentage: function(percentage, locale) {
+      const value = Math.round(percentage * 1e4) / 100;
+      try {
+        return new Intl.NumberFormat(locale || "it", { maximumFractionDigits: 2 }).format(value);
       } catch (error) {
-        console.error('Errore addFee:', error);
-        return false;
+        return new Intl.NumberFormat("it", { maximumFractionDigits: 2 }).format(value);
       }
+    }
+  };
+
+  // src/fee/calculator.js
+  var FeeCalculator = {
+    // Calcola la commissione del metodo di pagamento (default PayPal), passando per gli hook
+    // beforeCalculate/afterCalculate (vedi FeeEvents). cart è il carrello su cui si calcola, se noto
+    calculate: function(subtotalCents, methodId, cart) {
+      const method = PaymentMethods.get(methodId);
+      const context = { base: subtotalCents, methodId: method.id, cart: cart || null };
+      const base = FeeEvents.runHooks("beforeCalculate", subtotalCents, context);
+      const amount = FeeRules.calculate(base, Money.localizeRules(PaymentMethods.rules(method.id)));
+      const result = FeeEvents.runHooks("afterCalculate", amount, Object.assign({}, context, { base }));
+      return result > 0 ? Money.round(result) : 0;
+    },
+    // Solo le regole del metodo, senza hook: nessun codice esterno e nessun log (es: pannello diagnostica)
+    calculateWithoutHooks: function(subtotalCents, methodId) {
+      const method = PaymentMethods.get(methodId);
+      const amount = FeeRules.calculate(subtotalCents, Money.localizeRules(PaymentMethods.rules(method.id)));
+      return amount > 0 ? Money.round(amount) : 0;
+    },
+    // Importo su cui si calcola la commissione (vedi FeeBase)
+    base: function(cart) {
+      return FeeBase.breakdown(cart).base;
+    },
+    // Descrizione leggibile della regola nella lingua della pagina (es: "3,5%" o "3,5% + 0,35 €")
+    describe: function(subtotalCents, methodId) {
+      return FeeRules.describe(Money.localizeRules(PaymentMethods.rules(methodId)), subtotalCents, I18n.locale());
+    }
+  };
+
+  // src/fee/encoding.js
+  var FeeEncoding = {
+    STRATEGIES: {
+      cents: {
+        lines: function(amount, method) {
+          const unit = FeeEncoding.unitPrice(method);
+          return [{
+            variantId: method.variantId,
+            quantity: Math.ceil(amount / unit),
+            properties: {
+              "Nota": unit === 1 ? "La quantità mostrata rappresenta i centesimi dell'importo (es: 350 = €3.50)" : "La quantità mostrata moltiplicata per il prezzo unitario è l'importo della commissione"
+            }
+          }];
+        }
+      },
+      denominations: {
+        // Tagli dal più grande al più piccolo; l'ultimo arrotonda per eccesso se manca il taglio da €0.01
+        lines: function(amount, method) {
+          const denominations = FeeEncoding.denominations(method);
+          const lines = [];
+          let rest = amount;
+          denominations.forEach((variant, index) => {
+            const isLast = index === denominations.length - 1;
+            const quantity = isLast ? Math.ceil(rest / variant.price) : Math.floor(rest / variant.price);
+            if (quantity <= 0) return;
+            lines.push({ variantId: variant.id, quantity, properties: {} });
+            rest -= quantity * variant.price;
+          });
+          return lines;
+        }
+      },
+      "price-override": {
+        lines: function(amount, method) {
+          return [{
+            variantId: method.variantId,
+            quantity: 1,
+            properties: { "_fee_amount": String(amount), "_fee_currency": CONFIG.CURRENCY.active || "" }
+          }];
+        },
+        // Una riga con importo diverso non si corregge con la quantità: va sostituita
+        canKeep: function(item, line) {
+          return String((item.properties || {})._fee_amount) === line.properties._fee_amount;
+        }
+      }
+    },
+    get: function() {
+      return this.STRATEGIES[CONFIG.FEE_ENCODING] || this.STRATEGIES.cents;
+    },
+    // Righe che rappresentano l'importo (nessuna se l'importo è zero)
+    lines: function(amountCents, method) {
+      const amount = Math.round(amountCents);
+      if (amount <= 0) return [];
+      return this.get().lines(amount, method);
+    },
+    // Prezzo della variante commissione nella valuta del carrello (il layout stampa i prezzi già convertiti).
+    // 1 centesimo se non è noto
+    unitPrice: function(method) {
+      const variant = (method.variants || []).find((entry) => entry.id === method.variantId);
+      return variant && variant.price > 0 ? variant.price : 1;
+    },
+    // Varianti del metodo con prezzo positivo, dalla più cara alla più economica
+    denominations: function(method) {
+      return (method.variants || []).filter((variant) => variant.price > 0).sort((a, b) => b.price - a.price);
+    },
+    // Una riga già nel carrello può diventare quella voluta cambiando solo la quantità?
+    canKeep: function(item, line) {
+      if (item.variant_id !== line.variantId) return false;
+      const strategy = this.get();
+      return strategy.canKeep ? strategy.canKeep(item, line) : true;
+    }
+  };
+
+  // src/fee/exemption.js
+  var FeeExemption = {
+    // 'customer-tag', 'country', 'market' oppure null se la commissione si applica
+    reason: function() {
+      const rules = CONFIG.EXEMPTIONS;
+      const customer = CONFIG.CUSTOMER;
+      if (rules.customerTags.some((tag) => customer.tags.indexOf(tag) !== -1)) return "customer-tag";
+      if (customer.country && rules.countries.indexOf(customer.country) !== -1) return "country";
+      if (customer.market && rules.markets.indexOf(customer.market) !== -1) return "market";
+      return null;
+    },
+    isExempt: function() {
+      return this.reason() !== null;
+    }
+  };
+
+  // src/fee/index.js
+  function start2() {
+    return start();
+  }
+
+  // src/cart/queue.js
+  var CartQueue = {
+    RECALCULATED_EVENT: "paypal-fee-recalculated",
+    // detail: { reason, result }
+    FAILED_EVENT: "paypal-fee-recalculate-failed",
+    // detail: { reason, error }
+    tail: Promise.resolve(),
+    pendingRecalc: null,
+    apply: null,
+    // reason → Promise con l'esito del ricalcolo
+    init: function(callbacks) {
+      this.apply = callbacks.apply;
+    },
+    // Accoda un'operazione: parte solo quando la precedente è terminata (anche se fallita)
+    run: function(task) {
+      const result = this.tail.then(() => task());
+      this.tail = result.catch(() => {
+      });
+      return result;
+    },
+    // Ricalcolo commissione: se uno è già in coda e non ancora partito, riusa quello
+    // (e il suo reason, vedi FeeEvents)
+    recalculate: function(reason) {
+      if (this.pendingRecalc) return this.pendingRecalc;
+      this.pendingRecalc = this.run(() => {
+        this.pendingRecalc = null;
+        return this.apply(reason);
+      }).then((result) => {
+        FeeLogger.debug("🔁 Ricalcolo commissione", { reason, result });
+        document.dispatchEvent(new CustomEvent(this.RECALCULATED_EVENT, { detail: { reason, result } }));
+        return result;
+      }, (error) => {
+        document.dispatchEvent(new CustomEvent(this.FAILED_EVENT, { detail: { reason, error } }));
+        throw error;
+      });
+      return this.pendingRecalc;
     },
+    // Ricalcolo di cui nessuno attende l'esito: gli errori li mostra già FeeRecovery
+    schedule: function(reason) {
+      this.recalculate(reason).catch(() => {
+      });
+    }
+  };
 
-    // Rimuovi commissione PayPal
-    removeFee: async function() {
-      // console.log('Rimozione commissione PayPal');
-      
-      const cart = await Utils.getCart();
+  // src/cart/state.js
+  var FeeState = {
+    DECLINED_VALUE: "no",
+    CHANGE_EVENT: "paypal-fee-choice-changed",
+    // La scelta è cambiata fuori dalla UI (carrello, altra scheda)
+    cartValue: void 0,
+    // Ultimo valore letto o scritto nel carrello
+    pendingWrites: 0,
+    restored: false,
+    // Scelta in cache già riscritta una volta in un carrello senza attributo (vedi syncFromCart)
+    updateAttributes: null,
+    // attributi → Promise, FeeError se non riesce
+    init: function(callbacks) {
+      this.updateAttributes = callbacks.updateAttributes;
+    },
+    wantsFee: function() {
+      return sessionStorage.getItem(CONFIG.SESSION_KEY_ADDED) === "true";
+    },
+    // Metodo scelto (es: 'paypal', 'klarna'), null se nessuna commissione richiesta.
+    // Un metodo non più configurato (prodotto commissione tolto dalle impostazioni) vale come PayPal
+    getMethod: function() {
+      if (!this.wantsFee()) return null;
+      const methodId = sessionStorage.getItem(CONFIG.SESSION_KEY_METHOD);
+      return methodId && PaymentMethods.get(methodId) ? methodId : PaymentMethods.DEFAULT_ID;
+    },
+    isDeclined: function() {
+      return sessionStorage.getItem(CONFIG.SESSION_KEY_DECLINED) === "true";
+    },
+    select: function(methodId) {
+      this.cache(methodId || PaymentMethods.DEFAULT_ID);
+      return this.persist();
+    },
+    decline: function() {
+      this.cache(this.DECLINED_VALUE);
+      return this.persist();
+    },
+    // Nessuna scelta (es: carrello svuotato)
+    clear: function() {
+      this.cache("");
+      return this.persist();
+    },
+    // Valore da salvare nell'attributo carrello per la scelta attuale
+    value: function() {
+      return this.getMethod() || (this.isDeclined() ? this.DECLINED_VALUE : "");
+    },
+    // Ripristina una scelta letta in precedenza con value() (es: "Annulla" nel toast)
+    restore: function(value) {
+      this.cache(value);
+      return this.persist();
+    },
+    // Scrive la scelta nella cache sessionStorage
+    cache: function(value) {
+      sessionStorage.removeItem(CONFIG.SESSION_KEY_ADDED);
+      sessionStorage.removeItem(CONFIG.SESSION_KEY_METHOD);
+      sessionStorage.removeItem(CONFIG.SESSION_KEY_DECLINED);
+      if (value === this.DECLINED_VALUE) {
+        sessionStorage.setItem(CONFIG.SESSION_KEY_DECLINED, "true");
+      } else if (value) {
+        sessionStorage.setItem(CONFIG.SESSION_KEY_ADDED, "true");
+        sessionStorage.setItem(CONFIG.SESSION_KEY_METHOD, value);
+      }
+    },
+    // Salva la scelta nell'attributo carrello, in coda alle altre modifiche (CartQueue).
+    // Scrive il valore attuale al momento dell'esecuzione, quindi più scelte rapide finiscono nell'ultima
+    persist: function() {
+      if (this.pendingWrites === 0 && this.value() === (this.cartValue || "")) {
+        return Promise.resolve(true);
+      }
+      this.pendingWrites++;
+      sessionStorage.setItem(CONFIG.SESSION_KEY_PENDING, "true");
+      return CartQueue.run(() => this.write()).then((result) => {
+        this.pendingWrites--;
+        if (this.pendingWrites === 0) sessionStorage.removeItem(CONFIG.SESSION_KEY_PENDING);
+        return result;
+      }, (error) => {
+        this.pendingWrites--;
+        FeeLogger.error("Errore salvataggio scelta nel carrello", error);
+        return false;
+      });
+    },
+    // Scrive subito la scelta attuale nell'attributo, da un'operazione già in coda (CartQueue.run).
+    // FeeError se non riesce: la scelta resta da salvare (SESSION_KEY_PENDING) e la riscrive il prossimo riallineamento
+    write: async function() {
+      const value = this.value();
+      sessionStorage.setItem(CONFIG.SESSION_KEY_PENDING, "true");
+      await this.updateAttributes({ [CONFIG.CART_ATTRIBUTE]: value });
+      this.cartValue = value;
+      if (this.pendingWrites === 0) sessionStorage.removeItem(CONFIG.SESSION_KEY_PENDING);
+      return true;
+    },
+    // Avvisa checkbox e selettori che la scelta in cache è cambiata (vedi CheckboxHandler.syncFromState)
+    notify: function() {
+      document.dispatchEvent(new CustomEvent(this.CHANGE_EVENT));
+    },
+    // Allinea la cache al valore dell'attributo nel carrello. Restituisce true se la scelta è cambiata.
+    // Se una scelta non è ancora stata salvata vale la cache e viene riscritta nel carrello.
+    // Carrello senza attributo ma scelta in cache (es: scelta fatta prima che venisse salvata nel carrello):
+    // la cache viene scritta nell'attributo una volta sola, invece di perdere la scelta
+    syncFromCart: function(cart) {
       if (!cart) return false;
+      if (sessionStorage.getItem(CONFIG.SESSION_KEY_PENDING) === "true") {
+        if (this.pendingWrites === 0) this.persist();
+        return false;
+      }
+      const value = (cart.attributes || {})[CONFIG.CART_ATTRIBUTE] || "";
+      if (!value && this.value() && !this.restored) {
+        this.restored = true;
+        this.cartValue = value;
+        this.persist();
+        return false;
+      }
+      this.cartValue = value;
+      if (value === this.value()) return false;
+      this.cache(value);
+      if (value !== this.value()) this.persist();
+      return true;
+    }
+  };
 
-      const feeLineItem = Utils.findFeeLineItem(cart);
-      if (!feeLineItem) {
-        // console.log('Nessuna commissione da rimuovere');
-        return true;
+  // src/cart/audit.js
+  var CartAudit = {
+    listeners: [],
+    plan: null,
+    // (cart, methodId) → piano come CartAPI.planSurcharge
+    apply: null,
+    // piano → Promise con il carrello aggiornato
+    init: function(callbacks) {
+      this.plan = callbacks.plan;
+      this.apply = callbacks.apply;
+    },
+    // Restituisce il carrello corretto (o lo stesso oggetto se non serviva nulla)
+    run: async function(cart) {
+      const feeLines = CartLines.findFeeLineItems(cart);
+      if (feeLines.length === 0) return cart;
+      const subtotal = CartLines.getSubtotalWithoutFee(cart);
+      let updates = {};
+      let additions = [];
+      let method = null;
+      let type = null;
+      if (subtotal === 0) {
+        type = "empty-cart";
+        feeLines.forEach((item) => {
+          updates[item.key] = 0;
+        });
+      } else if (FeeExemption.isExempt()) {
+        type = "exempt";
+        feeLines.forEach((item) => {
+          updates[item.key] = 0;
+        });
+      } else if (FeeState.isDeclined()) {
+        type = "orphan-removed";
+        feeLines.forEach((item) => {
+          updates[item.key] = 0;
+        });
+      } else if (feeLines.length > 1) {
+        const methodId = FeeState.getMethod() || PaymentMethods.forLine(feeLines[0]).id;
+        const plan = this.plan(cart, methodId);
+        if (plan.duplicates.length > 0) {
+          type = "duplicates-merged";
+          updates = plan.updates;
+          additions = plan.additions;
+          method = plan.method;
+        }
       }
+      if (!type) return cart;
+      try {
+        const updated = await this.apply({ updates, additions, method });
+        if (type !== "duplicates-merged") {
+          FeeEvents.emit("fee:removed", {
+            cart: updated,
+            methodId: PaymentMethods.forLine(feeLines[0]).id,
+            oldAmount: CartLines.getFeeAmount(cart),
+            newAmount: 0,
+            reason: type
+          });
+        }
+        this.report({
+          type,
+          lines: feeLines.map((item) => ({ key: item.key, variantId: item.variant_id, sku: item.sku, quantity: item.quantity })),
+          updates,
+          additions,
+          cart: updated
+        });
+        return updated;
+      } catch (error) {
+        FeeLogger.error("Errore audit commissione", error);
+        throw error;
+      }
+    },
+    // Registra una funzione chiamata a ogni correzione: fn({ type, lines, updates, additions, cart })
+    // Restituisce la funzione per rimuovere il listener
+    onCorrection: function(fn) {
+      this.listeners.push(fn);
+      return () => {
+        this.listeners = this.listeners.filter((listener) => listener !== fn);
+      };
+    },
+    report: function(correction) {
+      this.listeners.forEach((fn) => {
+        try {
+          fn(correction);
+        } catch (error) {
+          FeeLogger.error("Errore listener audit", error);
+        }
+      });
+      document.dispatchEvent(new CustomEvent("paypal-fee-audit", { detail: correction }));
+    }
+  };
 
-      const lineIndex = cart.items.indexOf(feeLineItem) + 1;
+  // src/cart/errors.js
+  var FeeError = class extends Error {
+    constructor(type, message, details = {}) {
+      super(message);
+      this.name = "FeeError";
+      this.type = type;
+      this.status = details.status || 0;
+      this.description = details.description || "";
+      this.retryAfter = details.retryAfter || 0;
+    }
+    get retryable() {
+      return this.type === "network" || this.type === "rate-limit" || this.status >= 500;
+    }
+  };
 
+  // src/cart/request.js
+  var CartRequest = {
+    RETRIES: 3,
+    BASE_DELAY: 400,
+    // ms, raddoppia a ogni tentativo
+    lastCart: null,
+    // Ultimo carrello completo ricevuto da /cart/* (vedi CartObserver.notify)
+    // options.safe: true se la richiesta può essere ripetuta senza effetti doppi
+    json: async function(url, init = {}, options = {}) {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const data = await this.send(url, init);
+          if (this.isCart(data)) this.lastCart = data;
+          return data;
+        } catch (error) {
+          const canRetry = options.safe ? error.retryable : error.type === "rate-limit";
+          if (!canRetry || attempt >= this.RETRIES || navigator.onLine === false) throw error;
+          await this.wait(this.delay(error, attempt));
+        }
+      }
+    },
+    send: async function(url, init) {
+      let response;
       try {
-        const response = await fetch('/cart/change.js', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            line: lineIndex,
-            quantity: 0
-          })
-        });
+        response = await fetch(url, init);
+      } catch (error) {
+        throw new FeeError("network", `Richiesta non riuscita: ${url}`);
+      }
+      const data = await response.json().catch(() => null);
+      if (!response.ok) throw this.toError(response, data);
+      if (data === null) {
+        throw new FeeError("unknown", `Risposta non valida: ${url}`, { status: response.status });
+      }
+      return data;
+    },
+    toError: function(response, data) {
+      const details = {
+        status: response.status,
+        description: data && (data.description || data.message) || ""
+      };
+      if (response.status === 422) {
+        return new FeeError("out-of-stock", "Prodotto non disponibile", details);
+      }
+      if (response.status === 429) {
+        details.retryAfter = parseInt(response.headers.get("Retry-After"), 10) || 0;
+        return new FeeError("rate-limit", "Troppe richieste al carrello", details);
+      }
+      return new FeeError("unknown", `Errore carrello ${response.status}`, details);
+    },
+    // Backoff esponenziale con un po' di casualità, o l'attesa indicata da Shopify
+    delay: function(error, attempt) {
+      if (error.retryAfter) return error.retryAfter * 1e3;
+      return this.BASE_DELAY * Math.pow(2, attempt) + Math.round(Math.random() * this.BASE_DELAY);
+    },
+    // Carrello completo (/cart.js, change, update, clear), non la risposta di add.js con le sole righe aggiunte
+    isCart: function(data) {
+      return !!data && Array.isArray(data.items) && data.item_count !== void 0;
+    },
+    // Carrello corrente (FeeError se non leggibile nemmeno dopo i tentativi)
+    getCart: function() {
+      return this.json("/cart.js", {}, { safe: true });
+    },
+    wait: function(ms) {
+      return new Promise((resolve) => window.setTimeout(resolve, ms));
+    }
+  };
 
-        if (!response.ok) {
-          throw new Error('Errore rimozione commissione');
+  // src/cart/observer.js
+  var CartObserver = {
+    EVENT_NAME: "paypal-fee-cart-changed",
+    HEADER: "X-PayPal-Fee-Handler",
+    UPDATED_SOURCE: "paypal-fee-add",
+    // detail.source dei 'cart:updated' emessi dopo aggiunte già notificate qui
+    installed: false,
+    install: function() {
+      if (this.installed) return;
+      this.installed = true;
+      const observer = this;
+      if (window.fetch) {
+        const nativeFetch = window.fetch;
+        window.fetch = function(input, init) {
+          const request = nativeFetch.apply(this, arguments);
+          const url = typeof input === "string" ? input : input && input.url || String(input);
+          const route = observer.matchRoute(url);
+          if (!route) return request;
+          const source = observer.sourceOf(input, init);
+          return request.then((response) => {
+            if (response.ok) {
+              const copy = response.clone();
+              observer.notify(route, source, () => copy.json());
+            }
+            return response;
+          });
+        };
+      }
+      if (window.XMLHttpRequest) {
+        const nativeOpen = XMLHttpRequest.prototype.open;
+        const nativeSend = XMLHttpRequest.prototype.send;
+        XMLHttpRequest.prototype.open = function(method, url) {
+          this._paypalFeeRoute = observer.matchRoute(String(url));
+          return nativeOpen.apply(this, arguments);
+        };
+        XMLHttpRequest.prototype.send = function() {
+          const route = this._paypalFeeRoute;
+          if (route) {
+            this.addEventListener("load", () => {
+              if (this.status < 200 || this.status >= 300) return;
+              observer.notify(route, "theme", () => this.responseType === "json" ? this.response : JSON.parse(this.responseText));
+            });
+          }
+          return nativeSend.apply(this, arguments);
+        };
+      }
+    },
+    // Rotte che modificano il carrello, senza prefisso lingua (es: /en/cart/add → /cart/add).
+    // Senza window.routes (layout diverso da theme.liquid) valgono le rotte predefinite di Shopify
+    routes: function() {
+      const routes = window.routes || {};
+      const cartUrl = routes.cartUrl || "/cart";
+      return [
+        routes.cartAddUrl || `${cartUrl}/add`,
+        routes.cartChangeUrl || `${cartUrl}/change`,
+        `${cartUrl}/update`,
+        `${cartUrl}/clear`
+      ].map((route) => this.withoutRoot(route));
+    },
+    // Rotta di aggiunta al carrello (es: '/cart/add'), nella forma restituita da matchRoute
+    addRoute: function() {
+      return this.routes()[0];
+    },
+    withoutRoot: function(pathname) {
+      const root = (window.routes || {}).rootUrlWithoutSlash;
+      return root && pathname.indexOf(`${root}/`) === 0 ? pathname.slice(root.length) : pathname;
+    },
+    // Restituisce la rotta (es: '/cart/change') se l'URL modifica il carrello, altrimenti null
+    matchRoute: function(url) {
+      let pathname;
+      try {
+        pathname = new URL(url, window.location.origin).pathname;
+      } catch (_) {
+        return null;
+      }
+      pathname = this.withoutRoot(pathname.replace(/\.js(on)?$/, ""));
+      return this.routes().indexOf(pathname) !== -1 ? pathname : null;
+    },
+    sourceOf: function(input, init) {
+      const headers = init && init.headers || (input && typeof input === "object" ? input.headers : null);
+      if (!headers) return "theme";
+      const marked = typeof headers.get === "function" ? headers.get(this.HEADER) : headers[this.HEADER];
+      return marked ? "handler" : "theme";
+    },
+    // add.js restituisce solo le righe aggiunte: applicate all'ultimo carrello noto (CartRequest.lastCart) danno
+    // il carrello aggiornato senza rileggerlo. Solo se nessun carrello è ancora passato da qui /cart.js viene letto una volta
+    notify: async function(route, source, readResponse) {
+      try {
+        const data = await readResponse();
+        let cart = data;
+        if (!CartRequest.isCart(data)) {
+          cart = CartRequest.lastCart && this.isAddResponse(data) ? this.mergeAdded(CartRequest.lastCart, data) : await CartRequest.getCart();
         }
+        CartRequest.lastCart = cart;
+        FeeLogger.debug("🛒 Carrello modificato", { route, source, items: cart.item_count });
+        document.dispatchEvent(new CustomEvent(this.EVENT_NAME, {
+          detail: { cart, route, source }
+        }));
+      } catch (error) {
+        FeeLogger.error("Errore osservatore carrello", error);
+      }
+    },
+    // Riga singola (form prodotto) o { items: [...] }, ciascuna con chiave e quantità finale della riga
+    isAddResponse: function(data) {
+      const items = data && (Array.isArray(data.items) ? data.items : [data]);
+      return !!items && items.every((item) => item && item.key && typeof item.quantity === "number");
+    },
+    // Le righe già presenti vengono sostituite, le nuove finiscono in cima come fa Shopify.
+    // Gli sconti sul carrello restano quelli dell'ultimo carrello noto fino alla prossima risposta completa
+    mergeAdded: function(cart, data) {
+      const items = cart.items.slice();
+      (Array.isArray(data.items) ? data.items : [data]).forEach((item) => {
+        const index = items.findIndex((line) => line.key === item.key);
+        if (index === -1) items.unshift(item);
+        else items[index] = item;
+      });
+      const subtotal = items.reduce((sum, item) => sum + item.final_line_price, 0);
+      const previousSubtotal = cart.items.reduce((sum, item) => sum + item.final_line_price, 0);
+      return Object.assign({}, cart, {
+        items,
+        item_count: items.reduce((sum, item) => sum + item.quantity, 0),
+        items_subtotal_price: subtotal,
+        total_price: cart.total_price + subtotal - previousSubtotal
+      });
+    }
+  };
 
+  // src/cart/sections.js
+  var CartSections = {
+    EVENT_NAME: "paypal-fee-refreshed",
+    cartUrl: function() {
+      return window.routes && window.routes.cartUrl || "/cart";
+    },
+    // Aggiorna sezione carrello, mini-cart e contatore header con una sola richiesta (Section Rendering API)
+    // e li sostituisce senza ricaricare la pagina. Restituisce true se almeno una sezione è stata aggiornata
+    refresh: async function() {
+      const targets = this.targets();
+      if (targets.length === 0) return false;
+      try {
+        const sectionIds = targets.map((target) => target.sectionId);
+        const sections = await CartRequest.json(
+          `${this.cartUrl()}?sections=${encodeURIComponent(sectionIds.join(","))}`,
+          {},
+          { safe: true }
+        );
+        targets.forEach((target) => {
+          if (!sections[target.sectionId]) return;
+          const wrapper = document.createElement("div");
+          wrapper.innerHTML = sections[target.sectionId];
+          target.swap(wrapper);
+        });
+        document.dispatchEvent(new CustomEvent(this.EVENT_NAME));
         return true;
       } catch (error) {
-        console.error('Errore removeFee:', error);
+        FeeLogger.error("Errore aggiornamento sezioni carrello", error);
+        document.documentElement.dispatchEvent(new CustomEvent("cart:refresh", {
+          bubbles: true,
+          detail: { scrollToTop: false }
+        }));
         return false;
       }
     },
+    // Sezioni presenti nella pagina da aggiornare: [{ sectionId, swap(wrapper) }]
+    targets: function() {
+      const targets = [];
+      const cartSection = document.querySelector('section[data-section-type="cart"]');
+      if (cartSection) {
+        const sectionId = cartSection.getAttribute("data-section-id");
+        targets.push({
+          sectionId,
+          swap: (wrapper) => {
+            const freshSection = wrapper.querySelector(`section[data-section-id="${sectionId}"]`);
+            if (freshSection) cartSection.replaceWith(freshSection);
+          }
+        });
+      }
+      const miniCart = document.getElementById("mini-cart");
+      const anchor = miniCart || document.querySelector(".header__cart-count");
+      const headerSection = anchor ? anchor.closest(".shopify-section") : null;
+      if (headerSection && headerSection.id) {
+        targets.push({
+          sectionId: headerSection.id.replace(/^shopify-section-/, ""),
+          swap: (wrapper) => {
+            const freshMiniCart = wrapper.querySelector("#mini-cart");
+            if (miniCart && freshMiniCart) {
+              miniCart.innerHTML = freshMiniCart.innerHTML;
+              miniCart.setAttribute("data-item-count", freshMiniCart.getAttribute("data-item-count"));
+            }
+          }
+        });
+      }
+      return targets;
+    }
+  };
+
+  // src/cart/tab-sync.js
+  var TabSync = {
+    CHANNEL_NAME: "paypal-fee",
+    STORAGE_KEY: "paypal_fee_sync",
+    REFRESH_DELAY: 300,
+    // Accorpa i messaggi di una stessa operazione (es: update + add)
+    SYNC_EVENT: "paypal-fee-sync",
+    // Un'altra scheda ha cambiato il carrello: chi mostra dati del carrello li rilegge
+    tabId: Math.random().toString(36).slice(2),
+    channel: null,
+    started: false,
+    refreshTimer: null,
+    init: function() {
+      if (this.started) return;
+      this.started = true;
+      if (typeof window.BroadcastChannel === "function") {
+        this.channel = new BroadcastChannel(this.CHANNEL_NAME);
+        this.channel.onmessage = (e) => this.receive(e.data);
+        return;
+      }
+      window.addEventListener("storage", (e) => {
+        if (e.key !== this.STORAGE_KEY || !e.newValue) return;
+        try {
+          this.receive(JSON.parse(e.newValue));
+        } catch (error) {
+          FeeLogger.error("Errore messaggio sincronizzazione schede", error);
+        }
+      });
+    },
+    // type: 'state' = scelta salvata nel carrello, 'cart' = righe commissione modificate
+    broadcast: function(type) {
+      if (!this.started) return;
+      const message = { source: this.tabId, type, value: FeeState.value(), time: Date.now() };
+      try {
+        if (this.channel) {
+          this.channel.postMessage(message);
+        } else {
+          localStorage.setItem(this.STORAGE_KEY, JSON.stringify(message));
+        }
+      } catch (error) {
+        FeeLogger.error("Errore invio sincronizzazione schede", error);
+      }
+    },
+    receive: function(message) {
+      if (!message || message.source === this.tabId) return;
+      if (FeeState.pendingWrites === 0 && message.value !== FeeState.value()) {
+        FeeState.cache(message.value);
+        FeeState.cartValue = message.value;
+        FeeState.notify();
+      }
+      window.clearTimeout(this.refreshTimer);
+      this.refreshTimer = window.setTimeout(() => this.refresh(), this.REFRESH_DELAY);
+    },
+    refresh: function() {
+      CartSections.refresh();
+      document.dispatchEvent(new CustomEvent(this.SYNC_EVENT));
+    }
+  };
 
+  // src/cart/api.js
+  var CartAPI = {
+    // Eventi per la UI (riepilogo, etichetta "calcolata su"): il client del carrello non sa chi li mostra
+    SUMMARY_EVENT: "paypal-fee-summary",
+    // detail: { cart } aggiornato o appena letto
+    BASE_EVENT: "paypal-fee-base",
+    // detail: { base } dettaglio FeeBase, null senza commissione
+    // Aggiungi le righe commissione del metodo indicato (calcolate da FeeEncoding.lines).
+    // FeeError se l'aggiunta non riesce (il messaggio per il cliente lo sceglie FeeRecovery.handle)
+    addFeeLines: async function(lines, method) {
+      if (!method || lines.some((line) => !line.variantId)) {
+        throw new FeeError("config", "Variante commissione non configurata");
+      }
+      const marker = method.id === "paypal" ? { "_paypal_fee": "true" } : { "_payment_surcharge": method.id };
+      FeeLogger.info("💳 Aggiunta commissione", {
+        codifica: CONFIG.FEE_ENCODING,
+        righe: lines.map((line) => ({ variantId: line.variantId, quantity: line.quantity })),
+        method: method.id
+      });
+      try {
+        const added = await CartRequest.json("/cart/add.js", {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "Accept": "application/json",
+            [CartObserver.HEADER]: "true"
+          },
+          body: JSON.stringify({
+            items: lines.map((line) => ({
+              id: line.variantId,
+              quantity: line.quantity,
+              properties: Object.assign({}, marker, line.properties)
+            }))
+          })
+        });
+        TabSync.broadcast("cart");
+        return added;
+      } catch (error) {
+        FeeLogger.error("Errore aggiunta commissione", error);
+        throw error;
+      }
+    },
+    // Aggiunge il prodotto di un form /cart/add (es: "Acquista ora" fermato da CheckoutGuard).
+    // Richiesta dell'handler: CartObserver non la tratta come modifica esterna, il ricalcolo lo accoda chi chiama
+    addProduct: async function(form) {
+      const added = await CartRequest.json("/cart/add.js", {
+        method: "POST",
+        headers: { "Accept": "application/json", [CartObserver.HEADER]: "true" },
+        body: new FormData(form)
+      });
+      TabSync.broadcast("cart");
+      return added;
+    },
+    // Rimuovi commissione PayPal (reason: vedi FeeEvents, es: 'declined', 'empty-cart').
+    // FeeError se il carrello non può essere letto o aggiornato
+    removeFee: async function(reason) {
+      FeeLogger.debug("Rimozione commissione", { reason });
+      const cart = await CartRequest.getCart();
+      const feeLines = CartLines.findFeeLineItems(cart);
+      if (feeLines.length === 0) {
+        FeeLogger.debug("Nessuna commissione da rimuovere");
+        return true;
+      }
+      const updates = {};
+      feeLines.forEach((item) => {
+        updates[item.key] = 0;
+      });
+      const event = {
+        methodId: PaymentMethods.forLine(feeLines[0]).id,
+        oldAmount: CartLines.getFeeAmount(cart),
+        newAmount: 0,
+        reason: reason || "declined"
+      };
+      try {
+        const updated = await this.updateLines(updates);
+        this.publishCart(updated);
+        FeeLogger.info("🗑️ Commissione rimossa", event);
+        FeeEvents.emit("fee:removed", Object.assign({ cart: updated }, event));
+        return true;
+      } catch (error) {
+        FeeLogger.error("Errore removeFee", error);
+        FeeEvents.emit("fee:error", Object.assign({ cart, error }, event));
+        throw error;
+      }
+    },
+    // Aggiorna gli attributi del carrello (stringa vuota = rimuove l'attributo)
+    updateAttributes: async function(attributes) {
+      const cart = await CartRequest.json("/cart/update.js", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Accept": "application/json", [CartObserver.HEADER]: "true" },
+        body: JSON.stringify({ attributes })
+      }, { safe: true });
+      TabSync.broadcast("state");
+      return cart;
+    },
+    // Aggiorna più righe in una sola richiesta: { [lineItemKey]: quantità }.
+    // Quantità assolute: ripetere la richiesta non cambia il risultato
+    updateLines: async function(updates) {
+      const cart = await CartRequest.json("/cart/update.js", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Accept": "application/json", [CartObserver.HEADER]: "true" },
+        body: JSON.stringify({ updates })
+      }, { safe: true });
+      TabSync.broadcast("cart");
+      return cart;
+    },
     // Aggiorna commissione (rimuove e riaggiungi con nuovo importo)
-    updateFee: async function() {
-      const cart = await Utils.getCart();
-      if (!cart) return false;
-      
-      const subtotal = Utils.getSubtotalWithoutFee(cart);
-      
-      console.log('🔍 DEBUG updateFee:', {
-        subtotal: subtotal,
-        subtotalEuro: (subtotal / 100).toFixed(2),
-        percentuale: CONFIG.FEE_PERCENTAGE,
-        feeCalcolata: Math.ceil(subtotal * CONFIG.FEE_PERCENTAGE),
-        feeEuro: (Math.ceil(subtotal * CONFIG.FEE_PERCENTAGE) / 100).toFixed(2)
-      });
-      
-      // Se carrello vuoto (solo commissione o niente), rimuovi
+    // Accetta un carrello appena letto per evitare una seconda richiesta a /cart.js.
+    // reason finisce negli eventi fee:* (vedi FeeEvents)
+    updateFee: async function(freshCart, reason) {
+      const cart = freshCart || await CartRequest.getCart();
+      const subtotal = CartLines.getSubtotalWithoutFee(cart);
       if (subtotal === 0) {
-        await this.removeFee();
+        await this.removeFee("empty-cart");
         return false;
       }
-
-      const feeAmount = Utils.calculateFee(subtotal);
-      const desiredQuantity = Math.round(feeAmount);
-      const existingFee = Utils.findFeeLineItem(cart);
-
-      // Se già corretta, non fare nulla
-      if (existingFee && existingFee.quantity === desiredQuantity) {
+      const existingFee = CartLines.findFeeLineItem(cart);
+      const methodId = FeeState.getMethod() || (existingFee ? PaymentMethods.forLine(existingFee).id : PaymentMethods.DEFAULT_ID);
+      const breakdown = FeeBase.breakdown(cart);
+      const plan = this.planSurcharge(cart, methodId);
+      FeeLogger.debug("🔍 updateFee", {
+        subtotal,
+        subtotaleFormattato: Money.format(subtotal),
+        base: breakdown,
+        metodo: methodId,
+        regola: FeeCalculator.describe(breakdown.base, methodId),
+        feeCalcolata: plan.amount,
+        feeFormattata: Money.format(plan.amount)
+      });
+      if (Object.keys(plan.updates).length === 0 && plan.additions.length === 0) {
         return true;
       }
-
-      // Se esiste, aggiorna la quantità; altrimenti aggiungi
-      if (existingFee) {
-        await this.setFeeQuantity(existingFee.key, desiredQuantity);
-      } else {
-        await this.addFee(feeAmount);
+      const event = {
+        methodId: plan.method.id,
+        oldAmount: CartLines.getFeeAmount(cart),
+        newAmount: plan.amount,
+        reason: reason || "cart-changed"
+      };
+      if (!existingFee && !FeeEvents.emit("fee:before-add", Object.assign({ cart }, event), true)) {
+        FeeLogger.info("⛔ Commissione bloccata da un listener fee:before-add");
+        return false;
       }
-
+      let updated;
+      try {
+        updated = await this.applyPlan(plan);
+      } catch (error) {
+        FeeEvents.emit("fee:error", Object.assign({ cart, error }, event));
+        throw error;
+      }
+      FeeLogger.info(existingFee ? "💳 Commissione aggiornata" : "💳 Commissione aggiunta", event);
+      FeeEvents.emit(existingFee ? "fee:updated" : "fee:added", Object.assign({ cart: updated }, event));
+      await this.refreshCartUI();
       return true;
     },
+    // Calcola le modifiche per lasciare nel carrello solo le righe commissione del metodo indicato,
+    // nella codifica attiva (FeeEncoding). Le righe esistenti vengono riusate cambiando la quantità.
+    // - updates: per /cart/update.js { [lineItemKey]: quantità }, 0 per le righe da togliere
+    // - additions: righe nuove da aggiungere con /cart/add.js (update.js non accetta proprietà)
+    // - duplicates: righe di altri metodi o doppioni di una riga già tenuta (vedi CartAudit)
+    planSurcharge: function(cart, methodId) {
+      const method = PaymentMethods.get(methodId);
+      const amount = Math.round(FeeCalculator.calculate(FeeCalculator.base(cart), method.id, cart));
+      const feeLines = CartLines.findFeeLineItems(cart);
+      const others = feeLines.filter((item) => PaymentMethods.forLine(item).id !== method.id);
+      const candidates = feeLines.filter((item) => others.indexOf(item) === -1);
+      const kept = [];
+      const additions = [];
+      const updates = {};
+      FeeEncoding.lines(amount, method).forEach((line) => {
+        const index = candidates.findIndex((item2) => FeeEncoding.canKeep(item2, line));
+        if (index === -1) {
+          additions.push(line);
+          return;
+        }
+        const item = candidates.splice(index, 1)[0];
+        kept.push(item);
+        if (item.quantity !== line.quantity) updates[item.key] = line.quantity;
+      });
+      const removed = others.concat(candidates);
+      removed.forEach((item) => {
+        updates[item.key] = 0;
+      });
+      const duplicates = others.concat(candidates.filter((item) => {
+        return kept.some((keptItem) => keptItem.variant_id === item.variant_id);
+      }));
+      return {
+        method,
+        amount,
+        updates,
+        additions,
+        kept,
+        removed,
+        duplicates
+      };
+    },
+    // Esegue un piano di planSurcharge: prima aggiorna/toglie le righe, poi aggiunge quelle nuove.
+    // Restituisce il carrello aggiornato
+    applyPlan: async function(plan) {
+      let cart = null;
+      if (Object.keys(plan.updates).length > 0) {
+        cart = await this.updateLines(plan.updates);
+      }
+      if (plan.additions.length > 0) {
+        await this.addFeeLines(plan.additions, plan.method);
+        cart = await CartRequest.getCart();
+      }
+      this.publishCart(cart);
+      return cart;
+    },
+    // Allinea la commissione al carrello attuale: rimuove se vuoto, aggiorna se presente o richiesta
+    // Da chiamare SOLO tramite CartQueue, che garantisce una modifica alla volta
+    reconcile: async function(reason) {
+      const loaded = await CartRequest.getCart();
+      if (FeeState.syncFromCart(loaded)) FeeState.notify();
+      await FeeBase.prepare(loaded);
+      const cart = await CartAudit.run(loaded);
+      const corrected = cart !== loaded;
+      if (corrected) await this.refreshCartUI();
+      this.publishCart(cart);
+      if (CartLines.getSubtotalWithoutFee(cart) === 0) {
+        this.publishBase(null);
+        FeeState.clear();
+        FeeState.notify();
+        return corrected;
+      }
+      if (FeeExemption.isExempt()) {
+        this.publishBase(null);
+        return corrected;
+      }
+      const hasFee = !!CartLines.findFeeLineItem(cart);
+      if (!hasFee && !FeeState.wantsFee()) {
+        this.publishBase(null);
+        return corrected;
+      }
+      this.publishBase(FeeBase.breakdown(cart));
+      return this.updateFee(cart, reason);
+    },
+    publishCart: function(cart) {
+      if (cart) FeeEvents.emit(this.SUMMARY_EVENT, { cart });
+    },
+    publishBase: function(breakdown) {
+      FeeEvents.emit(this.BASE_EVENT, { base: breakdown });
+    },
+    // Compatibilità: il refresh delle sezioni è in CartSections
+    refreshCartUI: function() {
+      return CartSections.refresh();
+    }
+  };
 
-    // Imposta la quantità del prodotto commissione (in centesimi)
-    setFeeQuantity: async function(lineItemKey, quantityInCents) {
-      try {
-        const response = await fetch('/cart/change.js', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
-          body: JSON.stringify({ id: lineItemKey, quantity: quantityInCents })
+  // src/cart/index.js
+  var started = false;
+  function start3() {
+    if (started) return;
+    started = true;
+    start2();
+    CartQueue.init({ apply: (reason) => CartAPI.reconcile(reason) });
+    FeeState.init({ updateAttributes: (attributes) => CartAPI.updateAttributes(attributes) });
+    CartAudit.init({
+      plan: (cart, methodId) => CartAPI.planSurcharge(cart, methodId),
+      apply: (plan) => CartAPI.applyPlan(plan)
+    });
+    if (CONFIG.INITIAL_CART_CHOICE !== void 0) {
+      FeeState.syncFromCart({ attributes: { [CONFIG.CART_ATTRIBUTE]: CONFIG.INITIAL_CART_CHOICE } });
+    }
+    CartObserver.install();
+    TabSync.init();
+    document.addEventListener("cart:updated", (e) => {
+      if (e.detail && e.detail.source === CartObserver.UPDATED_SOURCE) return;
+      CartQueue.schedule();
+    });
+  }
+
+  // src/ui/notifier.js
+  var FeeNotifier = {
+    DURATION: 6e3,
+    region: null,
+    container: null,
+    progressToast: null,
+    init: function() {
+      if (this.region) return;
+      this.region = document.createElement("div");
+      this.region.className = "paypal-fee-sr-only";
+      this.region.setAttribute("role", "status");
+      this.region.setAttribute("aria-live", "polite");
+      document.body.appendChild(this.region);
+      this.container = document.createElement("div");
+      this.container.className = "paypal-fee-toasts";
+      document.body.appendChild(this.container);
+      const announceFee = (key) => (e) => {
+        const method = PaymentMethods.get(e.detail.methodId);
+        this.announce(I18n.t(key, {
+          method: method ? method.label : "PayPal",
+          amount: Money.format(e.detail.newAmount)
+        }));
+      };
+      document.addEventListener("fee:added", announceFee("statusAdded"));
+      document.addEventListener("fee:updated", announceFee("statusUpdated"));
+      document.addEventListener("fee:removed", announceFee("statusRemoved"));
+    },
+    // Legge il messaggio con lo screen reader (svuota prima, così anche un testo uguale viene riletto)
+    announce: function(message) {
+      this.init();
+      this.region.textContent = "";
+      window.setTimeout(() => {
+        this.region.textContent = message;
+      }, 100);
+    },
+    // options: { type: 'info' | 'error' | 'progress', action: { label, handler }, duration (0 = resta aperto),
+    //   content: elemento mostrato sotto il messaggio (es: il toggle compatto di FeeToggle) }
+    toast: function(message, options = {}) {
+      this.init();
+      const type = options.type || "info";
+      const toast = document.createElement("div");
+      toast.className = `paypal-fee-toast paypal-fee-toast--${type}`;
+      if (type === "error") toast.setAttribute("role", "alert");
+      const text = document.createElement("span");
+      text.className = "paypal-fee-toast__message";
+      text.textContent = message;
+      toast.appendChild(text);
+      if (options.content) text.appendChild(options.content);
+      if (options.action) {
+        const action = document.createElement("button");
+        action.type = "button";
+        action.className = "paypal-fee-toast__action";
+        action.textContent = options.action.label;
+        action.addEventListener("click", () => {
+          this.dismiss(toast);
+          options.action.handler();
         });
-        if (!response.ok) {
-          throw new Error('Errore aggiornamento quantità commissione');
-        }
-        const updatedCart = await response.json();
-        await this.refreshCartUI();
-        return updatedCart;
-      } catch (e) {
-        console.error('Errore setFeeQuantity:', e);
-        return false;
+        toast.appendChild(action);
       }
+      if (type !== "progress") {
+        const close = document.createElement("button");
+        close.type = "button";
+        close.className = "paypal-fee-toast__close";
+        close.setAttribute("aria-label", I18n.t("toastClose"));
+        close.textContent = "×";
+        close.addEventListener("click", () => this.dismiss(toast));
+        toast.appendChild(close);
+      }
+      this.container.appendChild(toast);
+      if (type !== "error") this.announce(message);
+      const duration = options.duration !== void 0 ? options.duration : type === "progress" ? 0 : this.DURATION;
+      if (duration > 0) window.setTimeout(() => this.dismiss(toast), duration);
+      return toast;
+    },
+    dismiss: function(toast) {
+      if (toast && toast.parentNode) toast.parentNode.removeChild(toast);
     },
+    // Operazione in corso (una alla volta): sostituisce il loader a tutto schermo
+    progress: function(message) {
+      this.endProgress();
+      this.progressToast = this.toast(message, { type: "progress" });
+    },
+    endProgress: function() {
+      this.dismiss(this.progressToast);
+      this.progressToast = null;
+    },
+    error: function(message) {
+      this.endProgress();
+      this.toast(message, { type: "error", duration: 0 });
+    }
+  };
 
-    // Refresh UI del carrello sostituendo la sezione senza ricaricare la pagina
-    refreshCartUI: async function() {
+  // src/ui/preview.js
+  var FeePreview = {
+    SELECTOR: "[data-paypal-fee-preview]",
+    cart: null,
+    product: null,
+    // { handle, type, tags, giftCard, variants: { [id]: { price, sku } } }
+    attached: false,
+    init: function() {
+      const element = document.querySelector(this.SELECTOR);
+      if (!element) return;
+      const productElement = element.parentNode.querySelector("[data-paypal-fee-preview-product]");
       try {
-        const cartSection = document.querySelector('section[data-section-type="cart"]');
-        if (!cartSection) {
-          window.location.reload();
-          return;
-        }
-        
-        // NESSUN overlay opaco - refresh silenzioso
-        
-        const sectionId = cartSection.getAttribute('data-section-id');
-        const response = await fetch(`/cart?section_id=${sectionId}`);
-        if (!response.ok) {
-          window.location.reload();
-          return;
-        }
-        const html = await response.text();
-        const wrapper = document.createElement('div');
-        wrapper.innerHTML = html;
-        const freshSection = wrapper.querySelector(`section[data-section-id="${sectionId}"]`);
-        if (freshSection) {
-          // Sostituzione immediata senza transizioni
-          cartSection.replaceWith(freshSection);
-          
-          // Riattacca i listeners
-          CheckboxHandler.init();
-          // RIMOSSO HeaderCartCount.update() - Il count è già corretto dal server
-          // Non serve re-inizializzare RemoveFeeHandler perché usa event delegation sul document
-        } else {
-          window.location.reload();
-        }
-      } catch (e) {
-        window.location.reload();
+        this.product = productElement ? JSON.parse(productElement.textContent) : { variants: {} };
+      } catch (error) {
+        FeeLogger.error("Errore dati prodotto anteprima commissione", error);
+        return;
       }
+      if (this.product.handle) FeeBase.tagsByHandle[this.product.handle] = this.product.tags || [];
+      this.loadCart();
+      if (this.attached) return;
+      this.attached = true;
+      const scheduleRender = (e) => {
+        const form = this.form();
+        if (form && e.target && form.contains(e.target)) window.setTimeout(() => this.render(), 0);
+      };
+      document.addEventListener("change", scheduleRender);
+      document.addEventListener("input", scheduleRender);
+      document.addEventListener("click", scheduleRender);
+      document.addEventListener("variant:changed", () => this.render());
+      document.addEventListener("cart:updated", () => this.loadCart());
+      document.addEventListener(CartObserver.EVENT_NAME, () => this.loadCart());
+      document.addEventListener(TabSync.SYNC_EVENT, () => this.loadCart());
+    },
+    loadCart: async function() {
+      try {
+        const cart = await CartRequest.getCart();
+        await FeeBase.prepare(cart);
+        this.cart = cart;
+        this.render();
+      } catch (error) {
+        FeeLogger.error("Errore anteprima commissione", error);
+      }
+    },
+    form: function() {
+      const element = document.querySelector(this.SELECTOR);
+      return element ? element.closest("form") || document.querySelector('form[action*="/cart/add"]') : null;
+    },
+    // Variante e quantità selezionate nel form prodotto
+    selection: function() {
+      const form = this.form();
+      if (!form) return null;
+      const variantInput = form.querySelector('[name="id"]');
+      const quantityInput = form.querySelector('[name="quantity"]');
+      const quantity = quantityInput ? parseInt(quantityInput.value, 10) : 1;
+      return {
+        variantId: variantInput ? String(variantInput.value) : null,
+        quantity: quantity > 0 ? quantity : 1
+      };
+    },
+    // { methodId, base, fee } oppure null se non calcolabile (carrello non letto, variante sconosciuta)
+    calculate: function() {
+      const selection = this.selection();
+      const variant = selection ? this.product.variants[selection.variantId] : null;
+      if (!this.cart || !variant) return null;
+      const line = {
+        key: "preview",
+        title: this.product.title,
+        handle: this.product.handle,
+        product_type: this.product.type,
+        gift_card: !!this.product.giftCard,
+        sku: variant.sku,
+        variant_id: Number(selection.variantId),
+        properties: {},
+        quantity: selection.quantity,
+        final_line_price: variant.price * selection.quantity
+      };
+      const methodId = FeeState.getMethod() || PaymentMethods.DEFAULT_ID;
+      const base = FeeBase.breakdown(this.cart, [line]).base;
+      return { methodId, base, fee: FeeCalculator.calculate(base, methodId, this.cart) };
+    },
+    render: function() {
+      const element = document.querySelector(this.SELECTOR);
+      if (!element) return;
+      const preview = this.calculate();
+      if (!preview || preview.fee <= 0) {
+        element.hidden = true;
+        return;
+      }
+      const method = PaymentMethods.get(preview.methodId);
+      element.querySelector("[data-paypal-fee-preview-method]").textContent = method ? method.label : "PayPal";
+      element.querySelector("[data-paypal-fee-preview-amount]").textContent = Money.format(preview.fee);
+      element.querySelector("[data-paypal-fee-preview-base]").textContent = I18n.t("previewBase", { rate: FeeCalculator.describe(preview.base, preview.methodId), base: Money.format(preview.base) });
+      element.hidden = false;
     }
   };
 
-  // SINCRONIZZAZIONE IMMEDIATA CHECKBOX
-  // Applica lo stato saved della checkbox appena possibile
-  function syncCheckboxFromStorage() {
-    const shouldBeChecked = sessionStorage.getItem(CONFIG.SESSION_KEY_ADDED) === 'true';
-    if (shouldBeChecked) {
-      const mainCheckbox = document.getElementById('paypal-fee-checkbox-main');
-      const drawerCheckbox = document.getElementById('paypal-fee-checkbox-drawer');
-      if (mainCheckbox) mainCheckbox.checked = true;
-      if (drawerCheckbox) drawerCheckbox.checked = true;
+  // src/ui/recovery.js
+  var FeeRecovery = {
+    DEGRADED_CLASS: "paypal-fee-degraded",
+    MESSAGES: { "out-of-stock": "errorOutOfStock", "config": "errorVariantMissing" },
+    notice: null,
+    init: function() {
+      document.addEventListener(CartQueue.RECALCULATED_EVENT, () => this.resolve());
+      document.addEventListener(CartQueue.FAILED_EVENT, (e) => this.fail(e.detail.reason, e.detail.error));
+      window.addEventListener("online", () => this.retry());
+    },
+    isPending: function() {
+      return sessionStorage.getItem(CONFIG.SESSION_KEY_RECONCILE) !== null;
+    },
+    // Errore che può risolversi da solo riprovando più tardi
+    isTemporary: function(error) {
+      return error instanceof FeeError && error.retryable;
+    },
+    // Errore di un'operazione avviata dal cliente. Restituisce true se è temporaneo: la scelta resta
+    // e verrà applicata al riallineamento; altrimenti mostra il messaggio e il chiamante la annulla
+    handle: function(error, reason, messageKey = "errorUpdate") {
+      if (this.isTemporary(error)) {
+        this.fail(reason, error);
+        return true;
+      }
+      FeeNotifier.error(I18n.t(error && this.MESSAGES[error.type] || messageKey));
+      return false;
+    },
+    fail: function(reason, error) {
+      FeeLogger.error("⚠️ Commissione non allineata al carrello", error);
+      sessionStorage.setItem(CONFIG.SESSION_KEY_RECONCILE, reason || "cart-changed");
+      this.showDegraded(error);
+    },
+    // Chiamata dopo ogni ricalcolo riuscito
+    resolve: function() {
+      const wasPending = this.isPending();
+      sessionStorage.removeItem(CONFIG.SESSION_KEY_RECONCILE);
+      document.body.classList.remove(this.DEGRADED_CLASS);
+      FeeNotifier.dismiss(this.notice);
+      this.notice = null;
+      if (wasPending) FeeNotifier.toast(I18n.t("recoveryResolved"));
+    },
+    retry: function() {
+      if (!this.isPending()) return Promise.resolve(false);
+      return CartQueue.recalculate("recovery").catch(() => false);
+    },
+    showDegraded: function(error) {
+      document.body.classList.add(this.DEGRADED_CLASS);
+      FeeNotifier.endProgress();
+      FeeNotifier.dismiss(this.notice);
+      const offline = navigator.onLine === false || error && error.type === "network";
+      this.notice = FeeNotifier.toast(I18n.t(offline ? "recoveryOffline" : "recoveryFailed"), {
+        type: "error",
+        duration: 0,
+        action: { label: I18n.t("recoveryRetry"), handler: () => this.retry() }
+      });
     }
-  }
-  
-  // Esegui appena possibile
-  syncCheckboxFromStorage();
+  };
 
-  // CHECKBOX HANDLER
-  const CheckboxHandler = {
+  // src/ui/checkbox.js
+  var CheckboxHandler = {
+    delegated: false,
     init: function() {
-      // console.log('Inizializzazione checkbox handler');
-      
-      // Checkbox nel carrello principale
-      const mainCheckbox = document.getElementById('paypal-fee-checkbox-main');
+      FeeLogger.debug("Inizializzazione checkbox handler");
+      const mainCheckbox = document.getElementById("paypal-fee-checkbox-main");
       if (mainCheckbox) {
-        // Sincronizza stato PRIMA di clonare
-        const shouldBeChecked = sessionStorage.getItem(CONFIG.SESSION_KEY_ADDED) === 'true';
+        const shouldBeChecked = FeeState.wantsFee();
         mainCheckbox.checked = shouldBeChecked;
-        
-        // Rimuovi listener esistenti clonando l'elemento
         const newMainCheckbox = mainCheckbox.cloneNode(true);
-        newMainCheckbox.checked = shouldBeChecked; // Mantieni lo stato anche nel clone
+        newMainCheckbox.checked = shouldBeChecked;
         mainCheckbox.parentNode.replaceChild(newMainCheckbox, mainCheckbox);
-        newMainCheckbox.addEventListener('change', this.handleCheckboxChange.bind(this));
+        newMainCheckbox.addEventListener("change", this.handleCheckboxChange.bind(this));
       }
-
-      // Checkbox nel mini-cart
-      const drawerCheckbox = document.getElementById('paypal-fee-checkbox-drawer');
+      const drawerCheckbox = document.getElementById("paypal-fee-checkbox-drawer");
       if (drawerCheckbox) {
-        // Sincronizza stato PRIMA di clonare
-        const shouldBeChecked = sessionStorage.getItem(CONFIG.SESSION_KEY_ADDED) === 'true';
+        const shouldBeChecked = FeeState.wantsFee();
         drawerCheckbox.checked = shouldBeChecked;
-        
-        // Rimuovi listener esistenti clonando l'elemento
         const newDrawerCheckbox = drawerCheckbox.cloneNode(true);
-        newDrawerCheckbox.checked = shouldBeChecked; // Mantieni lo stato anche nel clone
+        newDrawerCheckbox.checked = shouldBeChecked;
         drawerCheckbox.parentNode.replaceChild(newDrawerCheckbox, drawerCheckbox);
-        newDrawerCheckbox.addEventListener('change', this.handleCheckboxChange.bind(this));
+        newDrawerCheckbox.addEventListener("change", this.handleCheckboxChange.bind(this));
       }
-
-      // Checkbox nella pagina prodotto
-      const productCheckbox = document.getElementById('paypal-fee-checkbox-product');
+      const productCheckbox = document.getElementById("paypal-fee-checkbox-product");
       if (productCheckbox) {
-        // Sincronizza stato PRIMA di clonare
-        const shouldBeChecked = sessionStorage.getItem(CONFIG.SESSION_KEY_ADDED) === 'true';
+        const shouldBeChecked = FeeState.wantsFee();
         productCheckbox.checked = shouldBeChecked;
-        
-        // Rimuovi listener esistenti clonando l'elemento
         const newProductCheckbox = productCheckbox.cloneNode(true);
-        newProductCheckbox.checked = shouldBeChecked; // Mantieni lo stato anche nel clone
+        newProductCheckbox.checked = shouldBeChecked;
         productCheckbox.parentNode.replaceChild(newProductCheckbox, productCheckbox);
-        newProductCheckbox.addEventListener('change', this.handleProductCheckboxChange.bind(this));
+        newProductCheckbox.addEventListener("change", this.handleProductCheckboxChange.bind(this));
       }
-
-      // Ricalcolo dinamico quando cambiano le quantità nel carrello
-      const scheduleRecalc = () => {
+      this.syncMethodSelectors();
+      if (this.delegated) return;
+      this.delegated = true;
+      document.addEventListener(CartObserver.EVENT_NAME, (e) => {
+        if (e.detail.source === "handler" || e.detail.route === CartObserver.addRoute()) return;
         window.clearTimeout(this._recalcTimer);
-        this._recalcTimer = window.setTimeout(async () => {
-          const cart = await Utils.getCart();
-          if (!cart) return;
-          const hasFee = Utils.findFeeLineItem(cart);
-          const userWantsFee = sessionStorage.getItem(CONFIG.SESSION_KEY_ADDED) === 'true';
-          if (hasFee || userWantsFee) {
-            await CartAPI.updateFee();
-            await CartAPI.refreshCartUI();
-          }
-          // RIMOSSO - Il count è già corretto dal server
+        this._recalcTimer = window.setTimeout(() => {
+          CartQueue.schedule();
         }, 600);
+      });
+      document.addEventListener("change", (e) => {
+        if (e.target.matches("[data-payment-surcharge]")) {
+          this.handleMethodChange(e);
+        }
+      });
+    },
+    // Riallinea checkbox e radio alla scelta attuale (es: cambiata nel carrello da un'altra scheda)
+    syncFromState: function() {
+      const wantsFee = FeeState.wantsFee();
+      ["paypal-fee-checkbox-main", "paypal-fee-checkbox-drawer", "paypal-fee-checkbox-product"].forEach((id) => {
+        const checkbox = document.getElementById(id);
+        if (checkbox) checkbox.checked = wantsFee;
+      });
+      document.querySelectorAll("[data-paypal-fee-toggle]").forEach((toggle) => {
+        toggle.checked = wantsFee;
+      });
+      this.syncMethodSelectors();
+      FeePreview.render();
+    },
+    // Spunta il radio del metodo scelto ('' = carta/bonifico); nessuno se il cliente non ha ancora scelto
+    syncMethodSelectors: function() {
+      const methodId = FeeState.getMethod();
+      const selected = methodId || (FeeState.isDeclined() ? "" : null);
+      document.querySelectorAll("[data-payment-surcharge]").forEach((radio) => {
+        radio.checked = selected !== null && radio.value === selected;
+      });
+    },
+    handleMethodChange: async function(e) {
+      const radio = e.target;
+      const methodId = radio.value || null;
+      const selector = radio.closest("[data-payment-surcharge-selector]");
+      const location = selector ? selector.getAttribute("data-payment-surcharge-selector") : "";
+      const previous = FeeState.value();
+      const saved = methodId ? FeeState.select(methodId) : FeeState.decline();
+      this.syncMethodSelectors();
+      if (location === "product") {
+        FeePreview.render();
+        return;
+      }
+      const radios = selector ? selector.querySelectorAll("[data-payment-surcharge]") : [radio];
+      radios.forEach((input) => {
+        input.disabled = true;
+      });
+      const method = PaymentMethods.get(methodId);
+      FeeNotifier.progress(method ? I18n.t("loaderUpdating", { method: method.label }) : I18n.t("loaderRemoving"));
+      try {
+        if (methodId) {
+          await CartQueue.recalculate("selected");
+        } else {
+          await CartQueue.run(() => CartAPI.removeFee("declined"));
+          await CartAPI.refreshCartUI();
+        }
+        await saved;
+        FeeNotifier.endProgress();
+        radios.forEach((input) => {
+          input.disabled = false;
+        });
+        this.syncMethodSelectors();
+        this.offerUndo(previous);
+      } catch (error) {
+        FeeLogger.error("Errore cambio metodo di pagamento", error);
+        if (!FeeRecovery.handle(error, methodId ? "selected" : "declined")) {
+          FeeState.restore(previous);
+        }
+        this.syncMethodSelectors();
+        radios.forEach((input) => {
+          input.disabled = false;
+        });
+      }
+    },
+    handleCheckboxChange: function(e) {
+      return this.applyCheckbox(e.target);
+    },
+    // Aggiunge o toglie la commissione PayPal secondo la spunta: checkbox di carrello e mini-cart e toggle
+    // delle aggiunte rapide (FeeToggle). done(checkbox) viene chiamata a modifica riuscita, prima del toast
+    applyCheckbox: async function(checkbox, done) {
+      const isChecked = checkbox.checked;
+      checkbox.disabled = true;
+      FeeNotifier.progress(isChecked ? I18n.t("loaderAdding", { method: "PayPal" }) : I18n.t("loaderRemoving"));
+      const previous = FeeState.value();
+      const saved = isChecked ? FeeState.select() : FeeState.decline();
+      try {
+        if (isChecked) {
+          await CartQueue.recalculate("selected");
+        } else {
+          await CartQueue.run(() => CartAPI.removeFee("declined"));
+          await CartAPI.refreshCartUI();
+        }
+        await saved;
+        FeeNotifier.endProgress();
+        checkbox.disabled = false;
+        if (done) done(checkbox);
+        CheckboxHandler.syncFromState();
+        CheckboxHandler.offerUndo(previous);
+      } catch (error) {
+        FeeLogger.error("Errore gestione checkbox", error);
+        checkbox.disabled = false;
+        if (!FeeRecovery.handle(error, isChecked ? "selected" : "declined")) {
+          checkbox.checked = !isChecked;
+          FeeState.restore(previous);
+        }
+      }
+    },
+    // Toast con "Annulla" dopo che il cliente ha aggiunto o tolto la commissione
+    offerUndo: function(previous) {
+      const method = PaymentMethods.get(FeeState.getMethod());
+      const message = method ? I18n.t("toastAdded", { method: method.label }) : I18n.t("toastRemoved");
+      FeeNotifier.toast(message, {
+        action: { label: I18n.t("toastUndo"), handler: () => this.restoreChoice(previous) }
+      });
+    },
+    // Torna alla scelta precedente (FeeState.value()) e riallinea il carrello
+    restoreChoice: async function(previous) {
+      const saved = FeeState.restore(previous);
+      this.syncFromState();
+      try {
+        if (FeeState.wantsFee()) {
+          await CartQueue.recalculate("undo");
+        } else {
+          await CartQueue.run(() => CartAPI.removeFee("undo"));
+          await CartAPI.refreshCartUI();
+        }
+        await saved;
+        this.syncFromState();
+      } catch (error) {
+        FeeLogger.error("Errore annullamento scelta commissione", error);
+        FeeRecovery.handle(error, "undo");
+      }
+    },
+    handleProductCheckboxChange: function(e) {
+      const isChecked = e.target.checked;
+      if (isChecked) {
+        FeeState.select();
+      } else {
+        FeeState.decline();
+      }
+      const mainCheckbox = document.getElementById("paypal-fee-checkbox-main");
+      const drawerCheckbox = document.getElementById("paypal-fee-checkbox-drawer");
+      if (mainCheckbox) mainCheckbox.checked = isChecked;
+      if (drawerCheckbox) drawerCheckbox.checked = isChecked;
+      FeePreview.render();
+    },
+    syncCheckboxState: async function(checkbox) {
+      const cart = await CartRequest.getCart();
+      const hasFee = CartLines.findFeeLineItem(cart) !== void 0;
+      checkbox.checked = hasFee;
+      if (hasFee) {
+        FeeState.select();
+      }
+    }
+  };
+
+  // src/ui/count.js
+  var CartCount = {
+    BADGE_SELECTOR: ".header__cart-count, [data-cart-count], .cart-count",
+    count: null,
+    observer: null,
+    watched: /* @__PURE__ */ new WeakSet(),
+    init: function() {
+      document.addEventListener(CartObserver.EVENT_NAME, (e) => this.update(e.detail.cart));
+      document.addEventListener(TabSync.SYNC_EVENT, () => this.refresh());
+    },
+    refresh: async function() {
+      try {
+        this.update(await CartRequest.getCart());
+      } catch (error) {
+        FeeLogger.error("Errore aggiornamento contatore carrello", error);
+      }
+    },
+    update: function(cart) {
+      if (!cart || !cart.items) return;
+      this.count = CartLines.getAdjustedItemCount(cart);
+      if (window.theme) window.theme.cartCount = this.count;
+      this.render();
+    },
+    // Scrive il count in tutti i badge, compresi quelli appena inseriti da un refresh delle sezioni
+    render: function() {
+      if (this.count === null) return;
+      const text = String(this.count);
+      document.querySelectorAll(this.BADGE_SELECTOR).forEach((badge) => {
+        if (badge.textContent !== text) badge.textContent = text;
+        this.watch(badge);
+      });
+    },
+    watch: function(badge) {
+      if (this.watched.has(badge) || typeof MutationObserver !== "function") return;
+      if (!this.observer) {
+        this.observer = new MutationObserver(() => this.render());
+      }
+      this.observer.observe(badge, { childList: true, characterData: true, subtree: true });
+      this.watched.add(badge);
+    }
+  };
+
+  // src/ui/diagnostics.js
+  var FeeDiagnostics = {
+    OPERATIONS: 10,
+    // Ultime voci del log mostrate
+    CHECKBOXES: {
+      carrello: "paypal-fee-checkbox-main",
+      "mini-cart": "paypal-fee-checkbox-drawer",
+      prodotto: "paypal-fee-checkbox-product"
+    },
+    panel: null,
+    cart: null,
+    rendering: false,
+    // render() in corso: un log scritto nel frattempo non ne avvia un altro
+    init: function() {
+      if (this.panel || !FeeLogger.isDebug()) return;
+      this.panel = document.createElement("aside");
+      this.panel.className = "paypal-fee-debug";
+      this.panel.setAttribute("aria-label", "Diagnostica commissione PayPal");
+      this.panel.innerHTML = `
+      <div class="paypal-fee-debug__header">
+        <strong class="paypal-fee-debug__title">Diagnostica commissione</strong>
+        <button type="button" class="paypal-fee-debug__button" data-paypal-fee-debug-copy>Copia</button>
+        <button type="button" class="paypal-fee-debug__button" data-paypal-fee-debug-close aria-label="Chiudi">×</button>
+      </div>
+      <dl class="paypal-fee-debug__values"></dl>
+      <ol class="paypal-fee-debug__operations"></ol>
+      <p class="paypal-fee-debug__footer">Per disattivare: ?${CONFIG.DEBUG_PARAM}=0</p>
+    `;
+      document.body.appendChild(this.panel);
+      this.panel.querySelector("[data-paypal-fee-debug-copy]").addEventListener("click", () => this.copy());
+      this.panel.querySelector("[data-paypal-fee-debug-close]").addEventListener("click", () => {
+        this.panel.hidden = true;
+      });
+      const refresh = (e) => this.refresh(e.detail && e.detail.cart);
+      [CartObserver.EVENT_NAME, CartAPI.SUMMARY_EVENT, CartQueue.RECALCULATED_EVENT, CartQueue.FAILED_EVENT, FeeState.CHANGE_EVENT].forEach((name) => document.addEventListener(name, refresh));
+      document.addEventListener("change", () => this.render());
+      FeeLogger.subscribe(() => this.render());
+      this.refresh();
+    },
+    refresh: async function(cart) {
+      try {
+        this.cart = cart || await CartRequest.getCart();
+      } catch (error) {
+        FeeLogger.warn("Diagnostica: carrello non leggibile", error);
+      }
+      this.render();
+    },
+    // Resoconto dello stato attuale (importi in centesimi), mostrato nel pannello e copiato con "Copia"
+    report: function() {
+      const cart = this.cart;
+      const methodId = FeeState.getMethod();
+      const method = methodId ? PaymentMethods.get(methodId) : null;
+      const base = cart ? FeeCalculator.base(cart) : null;
+      const expectedAmount = cart && method && !FeeExemption.isExempt() ? FeeCalculator.calculateWithoutHooks(base, method.id) : 0;
+      const feeLines = cart ? CartLines.findFeeLineItems(cart) : [];
+      const checkboxes = {};
+      Object.keys(this.CHECKBOXES).forEach((name) => {
+        const checkbox = document.getElementById(this.CHECKBOXES[name]);
+        if (checkbox) checkboxes[name] = checkbox.checked;
+      });
+      document.querySelectorAll("[data-paypal-fee-toggle]").forEach((toggle, index) => {
+        checkboxes[`toggle ${index + 1}`] = toggle.checked;
+      });
+      return {
+        subtotal: cart ? CartLines.getSubtotalWithoutFee(cart) : null,
+        base,
+        method: method ? method.id : null,
+        expected: {
+          amount: expectedAmount,
+          quantity: method ? FeeEncoding.lines(expectedAmount, method).reduce((sum, line) => sum + line.quantity, 0) : 0
+        },
+        actual: {
+          amount: CartLines.getFeeAmount(cart),
+          quantity: feeLines.reduce((sum, item) => sum + item.quantity, 0)
+        },
+        checkboxes,
+        session: {
+          choice: FeeState.value(),
+          cartAttribute: cart ? (cart.attributes || {})[CONFIG.CART_ATTRIBUTE] || "" : null,
+          pendingWrite: sessionStorage.getItem(CONFIG.SESSION_KEY_PENDING) === "true",
+          pendingRecalc: sessionStorage.getItem(CONFIG.SESSION_KEY_RECONCILE),
+          exemption: FeeExemption.reason()
+        },
+        operations: FeeLogger.entries.slice(-this.OPERATIONS).map((entry) => ({
+          time: new Date(entry.time).toISOString(),
+          level: entry.level,
+          message: entry.message
+        }))
       };
+    },
+    // Non rientrante: il pannello si aggiorna a ogni voce del log (FeeLogger.subscribe)
+    render: function() {
+      if (!this.panel || this.rendering) return;
+      this.rendering = true;
+      try {
+        this.draw(this.report());
+      } finally {
+        this.rendering = false;
+      }
+    },
+    draw: function(report) {
+      const money = (cents) => cents === null ? "—" : Money.format(cents);
+      const checkboxes = Object.keys(report.checkboxes).map((name) => `${name} ${report.checkboxes[name] ? "✓" : "✗"}`).join(", ");
+      const session = report.session;
+      const rows = [
+        ["Subtotale", money(report.subtotal)],
+        ["Base commissione", money(report.base)],
+        ["Commissione attesa", `${money(report.expected.amount)} (qtà ${report.expected.quantity})`],
+        [
+          "Commissione nel carrello",
+          `${money(report.actual.amount)} (qtà ${report.actual.quantity})`,
+          report.actual.quantity !== report.expected.quantity
+        ],
+        ["Checkbox", checkboxes || "—"],
+        ["Scelta (sessione)", session.choice || "nessuna"],
+        ["Scelta (carrello)", session.cartAttribute === null ? "—" : session.cartAttribute || "nessuna"],
+        ["In sospeso", [session.pendingWrite ? "salvataggio scelta" : "", session.pendingRecalc ? `ricalcolo (${session.pendingRecalc})` : ""].filter(Boolean).join(", ") || "no"],
+        ["Esenzione", session.exemption || "no"]
+      ];
+      const values = this.panel.querySelector(".paypal-fee-debug__values");
+      values.textContent = "";
+      rows.forEach(([label, value, mismatch]) => {
+        const term = document.createElement("dt");
+        term.textContent = label;
+        const detail = document.createElement("dd");
+        detail.textContent = value;
+        if (mismatch) detail.className = "paypal-fee-debug__mismatch";
+        values.appendChild(term);
+        values.appendChild(detail);
+      });
+      const operations = this.panel.querySelector(".paypal-fee-debug__operations");
+      operations.textContent = "";
+      report.operations.slice().reverse().forEach((entry) => {
+        const item = document.createElement("li");
+        item.className = `paypal-fee-debug__operation paypal-fee-debug__operation--${entry.level}`;
+        item.textContent = `${new Date(entry.time).toLocaleTimeString("it-IT")} ${entry.message}`;
+        operations.appendChild(item);
+      });
+    },
+    // Resoconto negli appunti; senza Clipboard API (pagina non sicura) finisce nella console
+    copy: async function() {
+      const text = JSON.stringify(this.report(), null, 2);
+      try {
+        await navigator.clipboard.writeText(text);
+      } catch (_) {
+        FeeLogger.info("Resoconto diagnostica", text);
+      }
+    }
+  };
 
-      document.addEventListener('click', (e) => {
-        if (e.target.closest('[data-action="increase-quantity"], [data-action="decrease-quantity"], .line-item__quantity-remove')) {
-          scheduleRecalc();
-        }
-      }, true);
+  // src/ui/labels.js
+  var FeeLabels = {
+    base: null,
+    // Ultimo dettaglio FeeBase del carrello, null se non c'è commissione
+    update: function() {
+      this.renderBase();
+      const label = FeeCalculator.describe();
+      document.querySelectorAll("[data-paypal-fee-rate]").forEach((el) => {
+        el.textContent = label;
+      });
+      document.querySelectorAll("[data-payment-surcharge-rate]").forEach((el) => {
+        el.textContent = FeeCalculator.describe(0, el.getAttribute("data-payment-surcharge-rate"));
+      });
+    },
+    setBase: function(breakdown) {
+      this.base = breakdown;
+      this.renderBase();
+    },
+    // [data-paypal-fee-base] nel riepilogo: "Commissione calcolata su €X" (nascosto senza commissione)
+    renderBase: function() {
+      document.querySelectorAll("[data-paypal-fee-base]").forEach((el) => {
+        const amount = el.querySelector("[data-paypal-fee-base-amount]");
+        el.hidden = !this.base || this.base.base <= 0;
+        if (amount && this.base) amount.textContent = Money.format(this.base.base);
+      });
+    }
+  };
 
-      document.addEventListener('change', (e) => {
-        if (e.target.matches('.quantity-selector__value')) {
-          scheduleRecalc();
+  // src/ui/summary.js
+  var FeeSummary = {
+    render: function(cart) {
+      if (!cart || !cart.items) return;
+      const feeLines = CartLines.findFeeLineItems(cart);
+      const fee = CartLines.getFeeAmount(cart);
+      const method = feeLines.length ? PaymentMethods.forLine(feeLines[0]) : PaymentMethods.get();
+      const subtotal = cart.items_subtotal_price - fee;
+      const rate = FeeCalculator.describe(FeeCalculator.base(cart), method.id);
+      document.querySelectorAll("[data-paypal-fee-summary]").forEach((el) => {
+        el.hidden = fee === 0;
+        const subtotalElement = el.querySelector("[data-paypal-fee-summary-subtotal]");
+        const feeElement = el.querySelector("[data-paypal-fee-summary-fee]");
+        const methodElement = el.querySelector("[data-paypal-fee-summary-method]");
+        const rateElement = el.querySelector("[data-payment-surcharge-rate]");
+        if (subtotalElement) subtotalElement.textContent = Money.format(subtotal);
+        if (feeElement) feeElement.textContent = Money.format(fee);
+        if (methodElement) methodElement.textContent = method.label;
+        if (rateElement) {
+          rateElement.setAttribute("data-payment-surcharge-rate", method.id);
+          rateElement.textContent = rate;
         }
-      }, true);
+      });
+      document.querySelectorAll("[data-paypal-fee-summary-total]").forEach((el) => {
+        el.textContent = Money.formatWithCurrency(cart.total_price);
+      });
+    }
+  };
 
-      document.addEventListener('input', (e) => {
-        if (e.target.matches('.quantity-selector__value')) {
-          scheduleRecalc();
+  // src/ui/toggle.js
+  var FeeToggle = {
+    SELECTOR: "[data-paypal-fee-toggle]",
+    delegated: false,
+    init: function() {
+      if (this.delegated) return;
+      this.delegated = true;
+      document.addEventListener("change", (e) => {
+        if (e.target.matches(this.SELECTOR)) {
+          CheckboxHandler.applyCheckbox(e.target, (toggle) => FeeNotifier.dismiss(toggle.closest(".paypal-fee-toast")));
         }
-      }, true);
-
-      // Controlla se carrello vuoto all'avvio
-      this.checkEmptyCart();
+      });
     },
+    // Toggle con l'importo calcolato sul carrello ricevuto (centesimi, senza righe commissione)
+    create: function(cart) {
+      const amount = FeeCalculator.calculate(FeeCalculator.base(cart), "paypal", cart);
+      const label = document.createElement("label");
+      label.className = "paypal-fee-toggle";
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.className = "paypal-fee-toggle__input";
+      input.setAttribute("data-paypal-fee-toggle", "");
+      input.checked = FeeState.wantsFee();
+      label.appendChild(input);
+      const text = document.createElement("span");
+      text.textContent = I18n.t("quickToggle", { amount: Money.format(amount) });
+      label.appendChild(text);
+      return label;
+    }
+  };
 
-    handleCheckboxChange: async function(e) {
-      const isChecked = e.target.checked;
-      const checkbox = e.target;
-
-      // Disabilita checkbox durante operazione
-      checkbox.disabled = true;
-
-      // Mostra loader
-      Utils.showLoader(isChecked ? 'Aggiunta commissione PayPal...' : 'Rimozione commissione...');
+  // src/ui/index.js
+  var started2 = false;
+  function start4() {
+    if (started2) return;
+    started2 = true;
+    start3();
+    FeeNotifier.init();
+    FeeRecovery.init();
+    FeeDiagnostics.init();
+    CartCount.init();
+    if (CONFIG.INITIAL_CART_LINES) {
+      CartCount.update({ items: CONFIG.INITIAL_CART_LINES });
+    }
+    CheckboxHandler.init();
+    FeeToggle.init();
+    FeeLabels.update();
+    FeePreview.init();
+    document.addEventListener(CartSections.EVENT_NAME, () => {
+      CheckboxHandler.init();
+      FeeLabels.update();
+      CartCount.render();
+    });
+    document.addEventListener(FeeState.CHANGE_EVENT, () => CheckboxHandler.syncFromState());
+    document.addEventListener(CartAPI.SUMMARY_EVENT, (e) => FeeSummary.render(e.detail.cart));
+    document.addEventListener(CartAPI.BASE_EVENT, (e) => FeeLabels.setBase(e.detail.base));
+  }
 
-      // Salva lo stato immediatamente
-      if (isChecked) {
-        sessionStorage.setItem(CONFIG.SESSION_KEY_ADDED, 'true');
-        sessionStorage.removeItem(CONFIG.SESSION_KEY_DECLINED);
-      } else {
-        sessionStorage.removeItem(CONFIG.SESSION_KEY_ADDED);
+  // src/modal/dialog.js
+  var FeeDialog = {
+    FOCUSABLE: 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])',
+    returnFocus: null,
+    // onDismiss: chiamata per ESC e clic sull'overlay (di solito chiude il modal)
+    setup: function(overlay, onDismiss) {
+      const dialog = overlay.querySelector(".paypal-fee-modal");
+      const title = dialog.querySelector(".paypal-fee-modal__title");
+      const message = dialog.querySelector(".paypal-fee-modal__message");
+      dialog.setAttribute("role", "dialog");
+      dialog.setAttribute("aria-modal", "true");
+      dialog.setAttribute("tabindex", "-1");
+      if (title) {
+        title.id = title.id || `${overlay.id}-title`;
+        dialog.setAttribute("aria-labelledby", title.id);
       }
-      
-      // Emetti evento per aggiornare il count
-      document.dispatchEvent(new CustomEvent('paypal-fee-changed'));
-      
-      // Il count viene corretto automaticamente dal theme.liquid
-
-      try {
-        if (isChecked) {
-          // Aggiungi commissione
-          const cart = await Utils.getCart();
-          const subtotal = Utils.getSubtotalWithoutFee(cart);
-          const feeAmount = Utils.calculateFee(subtotal);
-          
-          await CartAPI.addFee(feeAmount);
-        } else {
-          // Rimuovi commissione
-          await CartAPI.removeFee();
-        }
-
-        // RIMOSSO - Il count è già corretto dal server
-        
-        // Reload con loader visibile
-        window.location.reload();
-
-      } catch (error) {
-        Utils.hideLoader();
-        console.error('Errore gestione checkbox:', error);
-        alert('Errore durante l\'aggiornamento. Ricarica la pagina.');
-        checkbox.checked = !isChecked;
-        checkbox.disabled = false;
-        if (isChecked) {
-          sessionStorage.removeItem(CONFIG.SESSION_KEY_ADDED);
-        } else {
-          sessionStorage.setItem(CONFIG.SESSION_KEY_ADDED, 'true');
-        }
+      if (message) {
+        message.id = message.id || `${overlay.id}-message`;
+        dialog.setAttribute("aria-describedby", message.id);
       }
+      overlay.addEventListener("click", (e) => {
+        if (e.target === overlay) onDismiss();
+      });
+      overlay.addEventListener("keydown", (e) => {
+        if (e.key === "Escape") {
+          e.preventDefault();
+          onDismiss();
+        } else if (e.key === "Tab") {
+          this.trapFocus(e, dialog);
+        }
+      });
     },
-
-    handleProductCheckboxChange: function(e) {
-      const isChecked = e.target.checked;
-      
-      // Salva lo stato in sessionStorage (sarà usato quando si aggiunge al carrello)
-      if (isChecked) {
-        sessionStorage.setItem(CONFIG.SESSION_KEY_ADDED, 'true');
-        sessionStorage.removeItem(CONFIG.SESSION_KEY_DECLINED);
-      } else {
-        sessionStorage.removeItem(CONFIG.SESSION_KEY_ADDED);
-      }
-      
-      // Sincronizza con altre checkbox se esistono
-      const mainCheckbox = document.getElementById('paypal-fee-checkbox-main');
-      const drawerCheckbox = document.getElementById('paypal-fee-checkbox-drawer');
-      
-      if (mainCheckbox) mainCheckbox.checked = isChecked;
-      if (drawerCheckbox) drawerCheckbox.checked = isChecked;
+    open: function(overlay) {
+      if (overlay.classList.contains("active")) return;
+      this.returnFocus = document.activeElement;
+      overlay.classList.add("active");
+      document.body.style.overflow = "hidden";
+      const dialog = overlay.querySelector('[role="dialog"]');
+      (dialog.querySelector(this.FOCUSABLE) || dialog).focus();
     },
-
-    syncCheckboxState: async function(checkbox) {
-      // Verifica se commissione è già nel carrello
-      const cart = await Utils.getCart();
-      if (!cart) return;
-
-      const hasFee = Utils.findFeeLineItem(cart) !== undefined;
-      checkbox.checked = hasFee;
-
-      // Salva in sessionStorage
-      if (hasFee) {
-        sessionStorage.setItem(CONFIG.SESSION_KEY_ADDED, 'true');
+    close: function(overlay) {
+      if (!overlay.classList.contains("active")) return;
+      overlay.classList.remove("active");
+      document.body.style.overflow = "";
+      const returnFocus = this.returnFocus;
+      this.returnFocus = null;
+      if (returnFocus && document.body.contains(returnFocus) && typeof returnFocus.focus === "function") {
+        returnFocus.focus();
       }
     },
-
-    checkEmptyCart: async function() {
-      const cart = await Utils.getCart();
-      if (!cart) return;
-
-      const subtotal = Utils.getSubtotalWithoutFee(cart);
-
-      // Se carrello vuoto (o solo commissione), rimuovi commissione e deselezione checkbox
-      if (subtotal === 0) {
-        await CartAPI.removeFee();
-        
-        const mainCheckbox = document.getElementById('paypal-fee-checkbox-main');
-        const drawerCheckbox = document.getElementById('paypal-fee-checkbox-drawer');
-        
-        if (mainCheckbox) mainCheckbox.checked = false;
-        if (drawerCheckbox) drawerCheckbox.checked = false;
-
-        sessionStorage.removeItem(CONFIG.SESSION_KEY_ADDED);
+    trapFocus: function(e, dialog) {
+      const focusable = Array.from(dialog.querySelectorAll(this.FOCUSABLE));
+      if (focusable.length === 0) {
+        e.preventDefault();
+        dialog.focus();
+        return;
+      }
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && (document.activeElement === first || document.activeElement === dialog)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
       }
     }
   };
 
-  // PAYPAL EXPRESS HANDLER - RIMOSSO
-  // Non più necessario grazie al banner informativo chiaro nella pagina prodotto
-
-  // ADD TO CART: resta nella pagina (comportamento tipo drawer) senza toccare altre logiche
-  const AddToCartNoRedirect = {
-    attached: false,
-
+  // src/modal/checkout-guard.js
+  var CheckoutGuard = {
+    ACCELERATED_SELECTOR: '.shopify-payment-button, .additional-checkout-buttons, [data-shopify="payment-button"], shopify-accelerated-checkout, shopify-accelerated-checkout-cart',
+    TRIGGER_SELECTOR: 'button, [role="button"], a',
+    // Pulsante cliccato dentro un contenitore accelerato
+    modalElement: null,
+    pending: null,
+    // { origin: 'checkout' | 'cart-express' | 'product', form, trigger, triggerPath }
+    busy: false,
+    released: false,
+    // Il prossimo submit/clic è la ripresa di quello intercettato: passa senza controlli
     init: function() {
-      if (!window.theme || window.theme.cartType !== 'page') return;
-      if (this.attached) return;
-      this.attached = true;
-
-      // Intercetta submit dei form /cart/add (fase di cattura)
-      document.addEventListener('submit', (e) => {
-        const form = e.target;
-        if (!form || form.tagName !== 'FORM') return;
-        const action = (form.getAttribute('action') || '');
-        if (!/\/cart\/add/.test(action)) return;
-
-        e.preventDefault();
-        this.ajaxAdd(form);
+      if (this.modalElement) return;
+      this.createModal();
+      document.addEventListener("submit", (e) => {
+        const submitter = e.submitter;
+        if (submitter && submitter.name === "checkout") {
+          this.guard(e, "checkout", e.target, submitter);
+        }
       }, true);
-
-      // Intercetta click sul bottone Aggiungi (in caso di handler del tema)
-      document.addEventListener('click', (e) => {
-        const button = e.target && e.target.closest('button[name="add"], .product-form__add-button, [type="submit"][name="add"]');
-        if (!button) return;
-        const form = button.closest('form');
-        if (!form) return;
-        const action = (form.getAttribute('action') || '');
-        if (!/\/cart\/add/.test(action)) return;
-
-        e.preventDefault();
-        e.stopImmediatePropagation();
-        this.ajaxAdd(form, button);
+      document.addEventListener("click", (e) => {
+        const target = e.target;
+        if (!target || !target.closest) return;
+        const checkoutButton = target.closest('button[name="checkout"], input[name="checkout"]');
+        if (checkoutButton) {
+          this.guard(e, "checkout", checkoutButton.form, checkoutButton);
+          return;
+        }
+        const accelerated = target.closest(this.ACCELERATED_SELECTOR);
+        if (accelerated) {
+          const form = accelerated.closest("form");
+          const isProduct = !!form && /\/cart\/add/.test(form.getAttribute("action") || "");
+          const button = target.closest(this.TRIGGER_SELECTOR);
+          this.guard(e, isProduct ? "product" : "cart-express", form, button && accelerated.contains(button) ? button : accelerated);
+        }
       }, true);
     },
-
-    ajaxAdd: function(form, button) {
-      const formData = new FormData(form);
-
-      const originalText = button ? button.textContent : '';
-      if (button) {
-        button.disabled = true;
-        try { button.textContent = 'Aggiunta in corso...'; } catch (_) {}
-      }
-
-      fetch('/cart/add.js', { method: 'POST', body: formData })
-        .then(r => r.json())
-        .then(async () => {
-          // Se checkbox PayPal attiva nella pagina prodotto, aggiungi commissione
-          const userWantsFee = sessionStorage.getItem(CONFIG.SESSION_KEY_ADDED) === 'true';
-          if (userWantsFee) {
-            try {
-              const cart = await Utils.getCart();
-              const subtotal = Utils.getSubtotalWithoutFee(cart);
-              const feeAmount = Utils.calculateFee(subtotal);
-              await CartAPI.addFee(feeAmount);
-            } catch (error) {
-              console.error('Errore aggiunta commissione PayPal:', error);
-            }
-          }
-          
-          // Notifica il tema che il carrello è cambiato
-          document.dispatchEvent(new Event('cart:updated'));
-        })
-        .catch(() => {})
-        .finally(() => {
-          if (button) {
-            try { button.textContent = originalText; } catch (_) {}
-            button.disabled = false;
-          }
-        });
-    }
-  };
-
-  // INIZIALIZZAZIONE
-  function init() {
-    // Aspetta che DOM sia pronto
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', () => {
-        CheckboxHandler.init();
+    // trigger: pulsante checkout o pulsante accelerato da riattivare quando il controllo è superato
+    guard: function(e, origin, form, trigger) {
+      if (this.released) {
+        this.released = false;
+        return;
+      }
+      if (FeeState.isDeclined() || FeeExemption.isExempt()) return;
+      e.preventDefault();
+      e.stopPropagation();
+      e.stopImmediatePropagation();
+      if (this.busy) return;
+      this.pending = { origin, form, trigger, triggerPath: this.triggerPath(trigger) };
+      if (FeeState.wantsFee()) {
+        this.continueWithFee();
+        return;
+      }
+      this.showModal();
+    },
+    createModal: function() {
+      const modalHTML = `
+      <div class="paypal-checkout-confirm-overlay" id="paypal-checkout-guard-modal">
+        <div class="paypal-fee-modal">
+          <div class="paypal-fee-modal__header">
+            <span class="paypal-fee-modal__icon">💳</span>
+            <h3 class="paypal-fee-modal__title" id="paypal-checkout-guard-title">${I18n.t("guardTitle")}</h3>
+          </div>
+          <div class="paypal-fee-modal__body">
+            <p class="paypal-fee-modal__message">
+              ${I18n.t("guardMessageHtml", { rate: "<span data-paypal-fee-rate>3,5%</span>" })}
+            </p>
+            <div class="paypal-fee-modal__warning">
+              <p class="paypal-fee-modal__warning-text">
+                ${I18n.t("modalWarning")}
+              </p>
+            </div>
+          </div>
+          <div class="paypal-fee-modal__footer">
+            <button class="paypal-fee-modal__button paypal-fee-modal__button--cancel" data-modal-cancel>
+              ${I18n.t("modalCancel")}
+            </button>
+            <button class="paypal-fee-modal__button paypal-fee-modal__button--cancel" data-modal-decline>
+              ${I18n.t("guardDecline")}
+            </button>
+            <button class="paypal-fee-modal__button paypal-fee-modal__button--primary" data-modal-confirm>
+              ${I18n.t("guardConfirm")}
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+      document.body.insertAdjacentHTML("beforeend", modalHTML);
+      this.modalElement = document.getElementById("paypal-checkout-guard-modal");
+      FeeLabels.update();
+      this.modalElement.querySelector("[data-modal-cancel]").addEventListener("click", (e) => {
+        e.preventDefault();
+        this.closeModal();
       });
-    } else {
-      CheckboxHandler.init();
-    }
-
-    // Listener per aggiornamenti carrello
-    document.addEventListener('cart:updated', async () => {
-      CheckboxHandler.checkEmptyCart();
-      const cart = await Utils.getCart();
-      if (!cart) return;
-      const hasFee = Utils.findFeeLineItem(cart);
-      const userWantsFee = sessionStorage.getItem(CONFIG.SESSION_KEY_ADDED) === 'true';
-      if (hasFee || userWantsFee) {
-        await CartAPI.updateFee();
-        await CartAPI.refreshCartUI();
+      this.modalElement.querySelector("[data-modal-decline]").addEventListener("click", (e) => {
+        e.preventDefault();
+        this.continueWithoutFee();
+      });
+      this.modalElement.querySelector("[data-modal-confirm]").addEventListener("click", (e) => {
+        e.preventDefault();
+        this.closeModal();
+        this.continueWithFee();
+      });
+      FeeDialog.setup(this.modalElement, () => this.closeModal());
+    },
+    showModal: function() {
+      FeeDialog.open(this.modalElement);
+    },
+    closeModal: function() {
+      FeeDialog.close(this.modalElement);
+    },
+    // Riprende il checkout intercettato. Il form del carrello viene reinviato con il suo pulsante checkout,
+    // così Shopify riceve anche nota e attributi del form; i pulsanti accelerati del carrello vengono ricliccati
+    resume: function(pending) {
+      const trigger = this.currentTrigger(pending);
+      const form = pending.form && this.currentForm(pending.form);
+      if (pending.origin === "checkout" && form && typeof form.requestSubmit === "function") {
+        this.released = true;
+        form.requestSubmit(form.querySelector('[name="checkout"]'));
+        this.released = false;
+        return;
       }
-    });
-
-    // Garantisce che la commissione sia allineata al subtotale attuale
-    (async () => {
-      const cart = await Utils.getCart();
-      if (!cart) return;
-      const hasFee = !!Utils.findFeeLineItem(cart);
-      const userSelected = sessionStorage.getItem(CONFIG.SESSION_KEY_ADDED) === 'true';
-      if (hasFee || userSelected) {
-        await CartAPI.updateFee();
+      if (pending.origin === "cart-express" && trigger) {
+        this.released = true;
+        trigger.click();
+        this.released = false;
+        return;
       }
-    })();
-  }
-
-  // Esporta per uso globale
-  window.PayPalFeeHandler = {
-    config: CONFIG,
-    utils: Utils,
-    cartAPI: CartAPI,
-    init: init
+      window.location.href = this.checkoutUrl();
+    },
+    // Aggiungendo la commissione la sezione carrello viene sostituita (CartSections): un form staccato
+    // non si può inviare. Si usa quello nuovo con lo stesso id, riportando nota e attributi già scritti
+    currentForm: function(form) {
+      if (form.isConnected) return form;
+      const current = form.id ? document.getElementById(form.id) : null;
+      if (!current) return null;
+      Array.from(form.elements).forEach((field) => {
+        if (!field.name || !/^(textarea|text|select-one)$/.test(field.type)) return;
+        const target = current.elements.namedItem(field.name);
+        if (target && target.type === field.type) target.value = field.value;
+      });
+      return current;
+    },
+    // Posizione del pulsante accelerato: { wrapper, button } come indici nel documento e nel contenitore
+    triggerPath: function(trigger) {
+      const wrapper = trigger && trigger.closest && trigger.closest(this.ACCELERATED_SELECTOR);
+      if (!wrapper) return null;
+      return {
+        wrapper: Array.from(document.querySelectorAll(this.ACCELERATED_SELECTOR)).indexOf(wrapper),
+        button: wrapper === trigger ? -1 : Array.from(wrapper.querySelectorAll(this.TRIGGER_SELECTOR)).indexOf(trigger)
+      };
+    },
+    // Come per il form: se il mini-cart è stato riscritto si riclicca il pulsante nella stessa posizione
+    currentTrigger: function(pending) {
+      const trigger = pending.trigger;
+      if (!trigger || trigger.isConnected) return trigger || null;
+      const path = pending.triggerPath;
+      const wrapper = path ? document.querySelectorAll(this.ACCELERATED_SELECTOR)[path.wrapper] : null;
+      if (!wrapper) return null;
+      return path.button === -1 ? wrapper : wrapper.querySelectorAll(this.TRIGGER_SELECTOR)[path.button] || null;
+    },
+    // Checkout nella lingua/mercato della pagina (window.routes di theme.liquid)
+    checkoutUrl: function() {
+      return `${(window.routes || {}).rootUrlWithoutSlash || ""}/checkout`;
+    },
+    // Aggiunge la commissione (e il prodotto, se si arriva da "Acquista ora") poi riprende il checkout
+    continueWithFee: async function() {
+      const pending = this.pending || { origin: "checkout" };
+      this.busy = true;
+      FeeNotifier.progress(I18n.t("loaderAdding", { method: "PayPal" }));
+      try {
+        await FeeState.select(FeeState.getMethod() || PaymentMethods.DEFAULT_ID);
+        if (pending.origin === "product" && pending.form) {
+          await CartAPI.addProduct(pending.form);
+        }
+        await CartQueue.recalculate("checkout-guard");
+        const cart = await CartRequest.getCart();
+        if (!CartLines.findFeeLineItem(cart)) {
+          throw new Error("Commissione non presente nel carrello");
+        }
+        FeeNotifier.endProgress();
+        this.busy = false;
+        this.resume(pending);
+      } catch (error) {
+        FeeLogger.error("Errore checkout con commissione", error);
+        this.busy = false;
+        FeeNotifier.error(error.type === "out-of-stock" && error.description ? error.description : I18n.t("errorCheckout"));
+      }
+    },
+    // Il cliente paga con carta o bonifico: dal carrello prosegue al checkout, dai pulsanti
+    // accelerati (che possono essere PayPal) torna alla pagina per scegliere il pulsante giusto
+    continueWithoutFee: async function() {
+      const pending = this.pending || { origin: "checkout" };
+      this.closeModal();
+      await FeeState.decline();
+      CheckboxHandler.syncFromState();
+      if (pending.origin === "checkout") {
+        this.resume(pending);
+      }
+    }
   };
 
-  // Auto-init
-  init();
-
-  // RIMOSSO - La correzione count è ora gestita globalmente in theme.liquid
-  // Si applica automaticamente a tutte le pagine
-
-  // GESTIONE RIMOZIONE COMMISSIONE PAYPAL CON MODAL CUSTOM
-  const RemoveFeeHandler = {
+  // src/modal/remove.js
+  var RemoveFeeHandler = {
     modalElement: null,
-
     init: function() {
+      if (this.modalElement) return;
       this.createModal();
-      document.addEventListener('click', this.handleRemoveClick.bind(this));
+      document.addEventListener("click", this.handleRemoveClick.bind(this));
     },
-
     createModal: function() {
-      // Crea il modal HTML
       const modalHTML = `
-        <div class="paypal-fee-modal-overlay" id="paypal-fee-remove-modal">
-          <div class="paypal-fee-modal">
-            <div class="paypal-fee-modal__header">
-              <span class="paypal-fee-modal__icon">⚠️</span>
-              <h3 class="paypal-fee-modal__title">Rimuovere Commissione PayPal?</h3>
-            </div>
-            <div class="paypal-fee-modal__body">
-              <p class="paypal-fee-modal__message">
-                Stai per rimuovere la commissione PayPal dal carrello.<br>
-                Questo significa che <strong>NON pagherai con PayPal</strong>.
+      <div class="paypal-fee-modal-overlay" id="paypal-fee-remove-modal">
+        <div class="paypal-fee-modal">
+          <div class="paypal-fee-modal__header">
+            <span class="paypal-fee-modal__icon">⚠️</span>
+            <h3 class="paypal-fee-modal__title">${I18n.t("removeTitle")}</h3>
+          </div>
+          <div class="paypal-fee-modal__body">
+            <p class="paypal-fee-modal__message">
+              ${I18n.t("removeMessageHtml")}
+            </p>
+            <div class="paypal-fee-modal__warning">
+              <p class="paypal-fee-modal__warning-text">
+                ${I18n.t("modalWarning")}
               </p>
-              <div class="paypal-fee-modal__warning">
-                <p class="paypal-fee-modal__warning-text">
-                  ⚠️ IMPORTANTE: Gli ordini PayPal senza commissione NON verranno processati.
-                </p>
-              </div>
-            </div>
-            <div class="paypal-fee-modal__footer">
-              <button class="paypal-fee-modal__button paypal-fee-modal__button--cancel" data-modal-cancel>
-                Annulla
-              </button>
-              <button class="paypal-fee-modal__button paypal-fee-modal__button--confirm" data-modal-confirm>
-                Conferma Rimozione
-              </button>
             </div>
           </div>
+          <div class="paypal-fee-modal__footer">
+            <button class="paypal-fee-modal__button paypal-fee-modal__button--cancel" data-modal-cancel>
+              ${I18n.t("modalCancel")}
+            </button>
+            <button class="paypal-fee-modal__button paypal-fee-modal__button--confirm" data-modal-confirm>
+              ${I18n.t("removeConfirm")}
+            </button>
+          </div>
         </div>
-      `;
-
-      // Aggiungi al body
-      document.body.insertAdjacentHTML('beforeend', modalHTML);
-      this.modalElement = document.getElementById('paypal-fee-remove-modal');
-
-      // Event listeners per i pulsanti del modal
-      this.modalElement.querySelector('[data-modal-cancel]').addEventListener('click', (e) => {
+      </div>
+    `;
+      document.body.insertAdjacentHTML("beforeend", modalHTML);
+      this.modalElement = document.getElementById("paypal-fee-remove-modal");
+      this.modalElement.querySelector("[data-modal-cancel]").addEventListener("click", (e) => {
         e.preventDefault();
         e.stopPropagation();
         this.closeConfirmModal();
       });
-      this.modalElement.querySelector('[data-modal-confirm]').addEventListener('click', (e) => {
+      this.modalElement.querySelector("[data-modal-confirm]").addEventListener("click", (e) => {
         e.preventDefault();
         e.stopPropagation();
         this.confirmRemoval(e);
       });
-      
-      // Chiudi cliccando sull'overlay
-      this.modalElement.addEventListener('click', (e) => {
-        if (e.target === this.modalElement) {
-          this.closeConfirmModal();
-        }
-      });
-
-      // Chiudi con ESC
-      document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && this.modalElement.classList.contains('active')) {
-          this.closeConfirmModal();
-        }
-      });
+      FeeDialog.setup(this.modalElement, () => this.closeConfirmModal());
     },
-
     handleRemoveClick: function(e) {
-      const removeLink = e.target.closest('[data-paypal-fee-remove]');
+      const removeLink = e.target.closest("[data-paypal-fee-remove]");
       if (!removeLink) return;
-
       e.preventDefault();
       e.stopPropagation();
       e.stopImmediatePropagation();
       this.showConfirmModal();
     },
-
     showConfirmModal: function() {
-      if (this.modalElement) {
-        this.modalElement.classList.add('active');
-        document.body.style.overflow = 'hidden'; // Blocca scroll
-      }
+      if (this.modalElement) FeeDialog.open(this.modalElement);
     },
-
     closeConfirmModal: function() {
-      if (this.modalElement) {
-        this.modalElement.classList.remove('active');
-        document.body.style.overflow = ''; // Ripristina scroll
-      }
+      if (this.modalElement) FeeDialog.close(this.modalElement);
     },
-
     confirmRemoval: async function(e) {
-      console.log('🗑️ Rimozione commissione PayPal confermata dall\'utente');
-
-      // Previeni qualsiasi comportamento default
+      FeeLogger.info("🗑️ Rimozione commissione confermata dall'utente");
       if (e) {
         e.preventDefault();
         e.stopPropagation();
         e.stopImmediatePropagation();
       }
-
-      // Chiudi il modal di conferma
       this.closeConfirmModal();
-
-      // Rimuovi la commissione
-      await CartAPI.removeFee();
-
-      // Disattiva la checkbox
-      const checkboxes = document.querySelectorAll('#paypal-fee-checkbox, #paypal-fee-checkbox-drawer');
-      checkboxes.forEach(cb => {
-        cb.checked = false;
-      });
-
-      // Rimuovi flag da sessione
-      sessionStorage.removeItem(CONFIG.SESSION_KEY_ADDED);
-
-      // Refresh UI senza redirect
+      const previous = FeeState.value();
+      FeeState.cache(FeeState.DECLINED_VALUE);
+      CheckboxHandler.syncFromState();
+      try {
+        await CartQueue.run(async () => {
+          await CartAPI.removeFee("declined");
+          await FeeState.write();
+        });
+      } catch (error) {
+        FeeLogger.error("Errore rimozione commissione", error);
+        if (!FeeRecovery.handle(error, "declined")) {
+          FeeState.restore(previous);
+          CheckboxHandler.syncFromState();
+        }
+        return false;
+      }
       await CartAPI.refreshCartUI();
-      
-      // Assicurati di rimanere sulla pagina corrente
+      CheckboxHandler.offerUndo(previous);
       return false;
     }
   };
 
-  // Inizializzazione quando DOM è pronto
-  function initializeAll() {
-    // Inizializza handler rimozione (sempre)
+  // src/modal/index.js
+  var started3 = false;
+  function start5() {
+    if (started3) return;
+    started3 = true;
+    start4();
     RemoveFeeHandler.init();
+    CheckoutGuard.init();
+  }
+
+  // src/add-to-cart/interceptor.js
+  var AddToCartNoRedirect = {
+    attached: false,
+    init: function() {
+      if (!window.theme || window.theme.cartType !== "page") return;
+      if (this.attached) return;
+      this.attached = true;
+      document.addEventListener("submit", (e) => {
+        const form = e.target;
+        if (!form || form.tagName !== "FORM") return;
+        const action = form.getAttribute("action") || "";
+        if (!/\/cart\/add/.test(action)) return;
+        e.preventDefault();
+        this.ajaxAdd(form);
+      }, true);
+      document.addEventListener("click", (e) => {
+        const button = e.target && e.target.closest('button[name="add"], .product-form__add-button, [type="submit"][name="add"]');
+        if (!button) return;
+        const form = button.closest("form");
+        if (!form) return;
+        const action = form.getAttribute("action") || "";
+        if (!/\/cart\/add/.test(action)) return;
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        this.ajaxAdd(form, button);
+      }, true);
+    },
+    ajaxAdd: function(form, button) {
+      const formData = new FormData(form);
+      const originalText = button ? button.textContent : "";
+      if (button) {
+        button.disabled = true;
+        try {
+          button.textContent = I18n.t("buttonAdding");
+        } catch (_) {
+        }
+      }
+      CartRequest.json("/cart/add.js", { method: "POST", body: formData }).then(() => {
+        document.dispatchEvent(new CustomEvent("cart:updated", { detail: { source: CartObserver.UPDATED_SOURCE } }));
+      }).catch((error) => {
+        FeeLogger.error("Errore aggiunta prodotto", error);
+        FeeNotifier.error(error.description || I18n.t("errorUpdate"));
+      }).finally(() => {
+        if (button) {
+          try {
+            button.textContent = originalText;
+          } catch (_) {
+          }
+          button.disabled = false;
+        }
+      });
+    }
+  };
 
-    // Inizializzazione generale
-    init();
+  // src/add-to-cart/quick-add.js
+  var QuickAdd = {
+    FEE_FORM_SELECTOR: ".paypal-fee-option",
+    TRIGGER_WINDOW: 5e3,
+    // ms tra clic/submit e risposta di /cart/add oltre i quali l'origine non è più certa
+    OFFER_DURATION: 12e3,
+    lastTrigger: null,
+    offerToast: null,
+    attached: false,
+    init: function() {
+      if (this.attached) return;
+      this.attached = true;
+      const remember = (e) => {
+        this.lastTrigger = { element: e.target, time: Date.now() };
+      };
+      document.addEventListener("click", remember, true);
+      document.addEventListener("submit", remember, true);
+      document.addEventListener(CartObserver.EVENT_NAME, (e) => {
+        if (e.detail.source === "handler" || e.detail.route !== CartObserver.addRoute()) return;
+        this.handleAdd(e.detail.cart);
+      });
+    },
+    handleAdd: function(cart) {
+      const fromFeeForm = this.fromFeeForm();
+      this.lastTrigger = null;
+      CartQueue.schedule("product-added");
+      if (!fromFeeForm) this.offer(cart);
+    },
+    // L'ultimo clic/submit è recente ed è in un form che mostra già checkbox o selettore commissione (pagina prodotto)
+    fromFeeForm: function() {
+      const trigger = this.lastTrigger;
+      if (!trigger || Date.now() - trigger.time > this.TRIGGER_WINDOW) return false;
+      const form = trigger.element.closest && trigger.element.closest("form");
+      return !!form && !!form.querySelector(this.FEE_FORM_SELECTOR);
+    },
+    // Conferma con il toggle compatto, solo a chi non ha ancora scelto e non è esente
+    offer: function(cart) {
+      if (FeeState.wantsFee() || FeeState.isDeclined() || FeeExemption.isExempt()) return;
+      FeeNotifier.dismiss(this.offerToast);
+      const rate = FeeCalculator.describe(FeeCalculator.base(cart), "paypal");
+      this.offerToast = FeeNotifier.toast(I18n.t("quickOffer", { rate }), {
+        content: FeeToggle.create(cart),
+        duration: this.OFFER_DURATION
+      });
+    }
+  };
 
-    // Forza il comportamento del tema come "drawer" senza toccare altro
+  // src/add-to-cart/index.js
+  var started4 = false;
+  function start6() {
+    if (started4) return;
+    started4 = true;
+    start4();
     try {
-      if (window.theme && window.theme.cartType === 'page') {
-        window.theme.cartType = 'drawer';
+      if (window.theme && window.theme.cartType === "page") {
+        window.theme.cartType = "drawer";
       }
-    } catch (_) {}
-
-    // Abilita comportamento "tipo drawer" (resta nella pagina) senza toccare altre logiche (fallback se il tema resta su page)
+    } catch (_) {
+    }
+    QuickAdd.init();
     AddToCartNoRedirect.init();
   }
 
-  // Se il DOM è già pronto, inizializza subito
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializeAll);
+  // src/utils.js
+  var Utils = {
+    // Formatta un importo in centesimi nella valuta del carrello (vedi Money.format)
+    formatMoney: function(cents) {
+      return Money.format(cents);
+    },
+    calculateFee: function(subtotalCents, methodId, cart) {
+      return FeeCalculator.calculate(subtotalCents, methodId, cart);
+    },
+    getFeeBase: function(cart) {
+      return FeeCalculator.base(cart);
+    },
+    describeFee: function(subtotalCents, methodId) {
+      return FeeCalculator.describe(subtotalCents, methodId);
+    },
+    getCart: function() {
+      return CartRequest.getCart();
+    },
+    isFeeLine: function(item) {
+      return CartLines.isFeeLine(item);
+    },
+    getSubtotalWithoutFee: function(cart) {
+      return CartLines.getSubtotalWithoutFee(cart);
+    },
+    getAdjustedItemCount: function(cart) {
+      return CartLines.getAdjustedItemCount(cart);
+    },
+    findFeeLineItem: function(cart) {
+      return CartLines.findFeeLineItem(cart);
+    },
+    findFeeLineItems: function(cart) {
+      return CartLines.findFeeLineItems(cart);
+    },
+    getFeeAmount: function(cart) {
+      return CartLines.getFeeAmount(cart);
+    },
+    // Mostra l'operazione in corso (toast non bloccante, annunciato agli screen reader)
+    showLoader: function(message = I18n.t("loaderDefault")) {
+      FeeNotifier.progress(message);
+    },
+    // Nascondi l'operazione in corso
+    hideLoader: function() {
+      FeeNotifier.endProgress();
+    }
+  };
+
+  // src/index.js
+  var started5 = false;
+  function start7() {
+    if (started5) return false;
+    started5 = true;
+    start();
+    start3();
+    start4();
+    start5();
+    start6();
+    CartQueue.schedule("init");
+    return true;
+  }
+  window.PayPalFeeHandler = {
+    config: CONFIG,
+    configLoader: ConfigLoader,
+    utils: Utils,
+    money: Money,
+    i18n: I18n,
+    logger: FeeLogger,
+    diagnostics: FeeDiagnostics,
+    notifier: FeeNotifier,
+    dialog: FeeDialog,
+    feeRules: FeeRules,
+    calculator: FeeCalculator,
+    lines: CartLines,
+    paymentMethods: PaymentMethods,
+    encoding: FeeEncoding,
+    feeBase: FeeBase,
+    exemption: FeeExemption,
+    summary: FeeSummary,
+    preview: FeePreview,
+    cartAPI: CartAPI,
+    cartQueue: CartQueue,
+    sections: CartSections,
+    recovery: FeeRecovery,
+    FeeError,
+    cartObserver: CartObserver,
+    cartCount: CartCount,
+    events: FeeEvents,
+    on: FeeEvents.on.bind(FeeEvents),
+    off: FeeEvents.off.bind(FeeEvents),
+    audit: CartAudit,
+    tabSync: TabSync,
+    state: FeeState,
+    start: start7,
+    init: start7
+  };
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", start7);
   } else {
-    initializeAll();
+    start7();
   }
-
 })();
-
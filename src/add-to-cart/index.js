@@ -0,0 +1,27 @@
+import { start as startUI } from '../ui/index.js';
+import { AddToCartNoRedirect } from './interceptor.js';
+import { QuickAdd } from './quick-add.js';
+
+export { AddToCartNoRedirect, QuickAdd };
+
+// AVVIO AGGIUNTA AL CARRELLO
+let started = false;
+
+export function start() {
+  if (started) return;
+  started = true;
+  startUI();
+
+  // Forza il comportamento del tema come "drawer" senza toccare altro
+  try {
+    if (window.theme && window.theme.cartType === 'page') {
+      window.theme.cartType = 'drawer';
+    }
+  } catch (_) {}
+
+  // Ricalcolo e conferma con toggle dopo ogni aggiunta (prima dell'intercettore, che ferma i clic)
+  QuickAdd.init();
+
+  // Abilita comportamento "tipo drawer" (resta nella pagina) senza toccare altre logiche (fallback se il tema resta su page)
+  AddToCartNoRedirect.init();
+}
@@ -0,0 +1,69 @@
+import { I18n } from '../config/i18n.js';
+import { FeeLogger } from '../config/logger.js';
+import { CartObserver } from '../cart/observer.js';
+import { CartRequest } from '../cart/request.js';
+import { FeeNotifier } from '../ui/notifier.js';
+
+// ADD TO CART: resta nella pagina (comportamento tipo drawer) senza toccare altre logiche
+export const AddToCartNoRedirect = {
+  attached: false,
+
+  init: function() {
+    if (!window.theme || window.theme.cartType !== 'page') return;
+    if (this.attached) return;
+    this.attached = true;
+
+    // Intercetta submit dei form /cart/add (fase di cattura)
+    document.addEventListener('submit', (e) => {
+      const form = e.target;
+      if (!form || form.tagName !== 'FORM') return;
+      const action = (form.getAttribute('action') || '');
+      if (!/\/cart\/add/.test(action)) return;
+
+      e.preventDefault();
+      this.ajaxAdd(form);
+    }, true);
+
+    // Intercetta click sul bottone Aggiungi (in caso di handler del tema)
+    document.addEventListener('click', (e) => {
+      const button = e.target && e.target.closest('button[name="add"], .product-form__add-button, [type="submit"][name="add"]');
+      if (!button) return;
+      const form = button.closest('form');
+      if (!form) return;
+      const action = (form.getAttribute('action') || '');
+      if (!/\/cart\/add/.test(action)) return;
+
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      this.ajaxAdd(form, button);
+    }, true);
+  },
+
+  ajaxAdd: function(form, button) {
+    const formData = new FormData(form);
+
+    const originalText = button ? button.textContent : '';
+    if (button) {
+      button.disabled = true;
+      try { button.textContent = I18n.t('buttonAdding'); } catch (_) {}
+    }
+
+    CartRequest.json('/cart/add.js', { method: 'POST', body: formData })
+      .then(() => {
+        // La commissione la ricalcola QuickAdd, come per ogni altra aggiunta (CartObserver).
+        // Notifica il tema che il carrello è cambiato: con la sorgente il listener del ricalcolo non ne accoda un secondo
+        document.dispatchEvent(new CustomEvent('cart:updated', { detail: { source: CartObserver.UPDATED_SOURCE } }));
+      })
+      .catch(error => {
+        // 422: Shopify spiega il motivo (es: quantità non disponibile)
+        FeeLogger.error('Errore aggiunta prodotto', error);
+        FeeNotifier.error(error.description || I18n.t('errorUpdate'));
+      })
+      .finally(() => {
+        if (button) {
+          try { button.textContent = originalText; } catch (_) {}
+          button.disabled = false;
+        }
+      });
+  }
+};
@@ -0,0 +1,70 @@
+import { I18n } from '../config/i18n.js';
+import { FeeCalculator } from '../fee/calculator.js';
+import { FeeExemption } from '../fee/exemption.js';
+import { CartObserver } from '../cart/observer.js';
+import { CartQueue } from '../cart/queue.js';
+import { FeeState } from '../cart/state.js';
+import { FeeNotifier } from '../ui/notifier.js';
+import { FeeToggle } from '../ui/toggle.js';
+
+// AGGIUNTE RAPIDE
+// Quick-add nelle griglie di collezione e nei risultati di ricerca, quick-view, app: ogni /cart/add riuscito
+// (vedi CartObserver) ricalcola subito la commissione. Se l'aggiunta non parte da un form prodotto con
+// l'opzione commissione e il cliente non ha ancora scelto, la conferma propone il toggle compatto (FeeToggle)
+export const QuickAdd = {
+  FEE_FORM_SELECTOR: '.paypal-fee-option',
+  TRIGGER_WINDOW: 5000, // ms tra clic/submit e risposta di /cart/add oltre i quali l'origine non è più certa
+  OFFER_DURATION: 12000,
+  lastTrigger: null,
+  offerToast: null,
+  attached: false,
+
+  init: function() {
+    if (this.attached) return;
+    this.attached = true;
+
+    // Fase di cattura: registrato prima di AddToCartNoRedirect, che ferma la propagazione dei clic
+    const remember = (e) => {
+      this.lastTrigger = { element: e.target, time: Date.now() };
+    };
+    document.addEventListener('click', remember, true);
+    document.addEventListener('submit', remember, true);
+
+    document.addEventListener(CartObserver.EVENT_NAME, (e) => {
+      if (e.detail.source === 'handler' || e.detail.route !== CartObserver.addRoute()) return;
+      this.handleAdd(e.detail.cart);
+    });
+  },
+
+  handleAdd: function(cart) {
+    const fromFeeForm = this.fromFeeForm();
+    this.lastTrigger = null;
+
+    // Con la scelta già fatta la commissione segue subito il nuovo totale (senza scelta non cambia nulla)
+    CartQueue.schedule('product-added');
+
+    if (!fromFeeForm) this.offer(cart);
+  },
+
+  // L'ultimo clic/submit è recente ed è in un form che mostra già checkbox o selettore commissione (pagina prodotto)
+  fromFeeForm: function() {
+    const trigger = this.lastTrigger;
+    if (!trigger || Date.now() - trigger.time > this.TRIGGER_WINDOW) return false;
+
+    const form = trigger.element.closest && trigger.element.closest('form');
+    return !!form && !!form.querySelector(this.FEE_FORM_SELECTOR);
+  },
+
+  // Conferma con il toggle compatto, solo a chi non ha ancora scelto e non è esente
+  offer: function(cart) {
+    if (FeeState.wantsFee() || FeeState.isDeclined() || FeeExemption.isExempt()) return;
+
+    // Aggiunte ravvicinate: resta una sola conferma, con l'importo sul carrello più recente
+    FeeNotifier.dismiss(this.offerToast);
+    const rate = FeeCalculator.describe(FeeCalculator.base(cart), 'paypal');
+    this.offerToast = FeeNotifier.toast(I18n.t('quickOffer', { rate: rate }), {
+      content: FeeToggle.create(cart),
+      duration: this.OFFER_DURATION
+    });
+  }
+};
@@ -0,0 +1,325 @@
+import { CONFIG } from '../config/config.js';
+import { FeeLogger } from '../config/logger.js';
+import { FeeBase } from '../fee/base.js';
+import { FeeCalculator } from '../fee/calculator.js';
+import { FeeEncoding } from '../fee/encoding.js';
+import { FeeEvents } from '../fee/events.js';
+import { FeeExemption } from '../fee/exemption.js';
+import { CartLines } from '../fee/lines.js';
+import { PaymentMethods } from '../fee/methods.js';
+import { Money } from '../fee/money.js';
+import { CartAudit } from './audit.js';
+import { FeeError } from './errors.js';
+import { CartObserver } from './observer.js';
+import { CartRequest } from './request.js';
+import { CartSections } from './sections.js';
+import { FeeState } from './state.js';
+import { TabSync } from './tab-sync.js';
+
+// CART API FUNCTIONS
+export const CartAPI = {
+  // Eventi per la UI (riepilogo, etichetta "calcolata su"): il client del carrello non sa chi li mostra
+  SUMMARY_EVENT: 'paypal-fee-summary', // detail: { cart } aggiornato o appena letto
+  BASE_EVENT: 'paypal-fee-base',       // detail: { base } dettaglio FeeBase, null senza commissione
+
+  // Aggiungi le righe commissione del metodo indicato (calcolate da FeeEncoding.lines).
+  // FeeError se l'aggiunta non riesce (il messaggio per il cliente lo sceglie FeeRecovery.handle)
+  addFeeLines: async function(lines, method) {
+    if (!method || lines.some(line => !line.variantId)) {
+      throw new FeeError('config', 'Variante commissione non configurata');
+    }
+
+    // _paypal_fee resta per compatibilità con le righe già nei carrelli
+    const marker = method.id === 'paypal' ? { '_paypal_fee': 'true' } : { '_payment_surcharge': method.id };
+
+    FeeLogger.info('💳 Aggiunta commissione', {
+      codifica: CONFIG.FEE_ENCODING,
+      righe: lines.map(line => ({ variantId: line.variantId, quantity: line.quantity })),
+      method: method.id
+    });
+
+    try {
+      const added = await CartRequest.json('/cart/add.js', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          [CartObserver.HEADER]: 'true'
+        },
+        body: JSON.stringify({
+          items: lines.map(line => ({
+            id: line.variantId,
+            quantity: line.quantity,
+            properties: Object.assign({}, marker, line.properties)
+          }))
+        })
+      });
+
+      TabSync.broadcast('cart');
+      return added;
+    } catch (error) {
+      FeeLogger.error('Errore aggiunta commissione', error);
+      throw error;
+    }
+  },
+
+  // Aggiunge il prodotto di un form /cart/add (es: "Acquista ora" fermato da CheckoutGuard).
+  // Richiesta dell'handler: CartObserver non la tratta come modifica esterna, il ricalcolo lo accoda chi chiama
+  addProduct: async function(form) {
+    const added = await CartRequest.json('/cart/add.js', {
+      method: 'POST',
+      headers: { 'Accept': 'application/json', [CartObserver.HEADER]: 'true' },
+      body: new FormData(form)
+    });
+
+    TabSync.broadcast('cart');
+    return added;
+  },
+
+  // Rimuovi commissione PayPal (reason: vedi FeeEvents, es: 'declined', 'empty-cart').
+  // FeeError se il carrello non può essere letto o aggiornato
+  removeFee: async function(reason) {
+    FeeLogger.debug('Rimozione commissione', { reason: reason });
+    
+    const cart = await CartRequest.getCart();
+
+    const feeLines = CartLines.findFeeLineItems(cart);
+    if (feeLines.length === 0) {
+      FeeLogger.debug('Nessuna commissione da rimuovere');
+      return true;
+    }
+
+    // Rimuove tutte le righe commissione in una sola richiesta
+    const updates = {};
+    feeLines.forEach(item => {
+      updates[item.key] = 0;
+    });
+
+    const event = {
+      methodId: PaymentMethods.forLine(feeLines[0]).id,
+      oldAmount: CartLines.getFeeAmount(cart),
+      newAmount: 0,
+      reason: reason || 'declined'
+    };
+
+    try {
+      const updated = await this.updateLines(updates);
+      this.publishCart(updated);
+      FeeLogger.info('🗑️ Commissione rimossa', event);
+      FeeEvents.emit('fee:removed', Object.assign({ cart: updated }, event));
+      return true;
+    } catch (error) {
+      FeeLogger.error('Errore removeFee', error);
+      FeeEvents.emit('fee:error', Object.assign({ cart: cart, error: error }, event));
+      throw error;
+    }
+  },
+
+  // Aggiorna gli attributi del carrello (stringa vuota = rimuove l'attributo)
+  updateAttributes: async function(attributes) {
+    const cart = await CartRequest.json('/cart/update.js', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', [CartObserver.HEADER]: 'true' },
+      body: JSON.stringify({ attributes: attributes })
+    }, { safe: true });
+
+    TabSync.broadcast('state');
+    return cart;
+  },
+
+  // Aggiorna più righe in una sola richiesta: { [lineItemKey]: quantità }.
+  // Quantità assolute: ripetere la richiesta non cambia il risultato
+  updateLines: async function(updates) {
+    const cart = await CartRequest.json('/cart/update.js', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', [CartObserver.HEADER]: 'true' },
+      body: JSON.stringify({ updates: updates })
+    }, { safe: true });
+
+    TabSync.broadcast('cart');
+    return cart;
+  },
+
+  // Aggiorna commissione (rimuove e riaggiungi con nuovo importo)
+  // Accetta un carrello appena letto per evitare una seconda richiesta a /cart.js.
+  // reason finisce negli eventi fee:* (vedi FeeEvents)
+  updateFee: async function(freshCart, reason) {
+    const cart = freshCart || await CartRequest.getCart();
+    const subtotal = CartLines.getSubtotalWithoutFee(cart);
+
+    // Se carrello vuoto (solo commissione o niente), rimuovi
+    if (subtotal === 0) {
+      await this.removeFee('empty-cart');
+      return false;
+    }
+
+    // Metodo scelto dal cliente, altrimenti quello della commissione già nel carrello
+    const existingFee = CartLines.findFeeLineItem(cart);
+    const methodId = FeeState.getMethod() ||
+      (existingFee ? PaymentMethods.forLine(existingFee).id : PaymentMethods.DEFAULT_ID);
+
+    const breakdown = FeeBase.breakdown(cart);
+    const plan = this.planSurcharge(cart, methodId);
+
+    FeeLogger.debug('🔍 updateFee', {
+      subtotal: subtotal,
+      subtotaleFormattato: Money.format(subtotal),
+      base: breakdown,
+      metodo: methodId,
+      regola: FeeCalculator.describe(breakdown.base, methodId),
+      feeCalcolata: plan.amount,
+      feeFormattata: Money.format(plan.amount)
+    });
+
+    // Se già corretta, non fare nulla
+    if (Object.keys(plan.updates).length === 0 && plan.additions.length === 0) {
+      return true;
+    }
+
+    const event = {
+      methodId: plan.method.id,
+      oldAmount: CartLines.getFeeAmount(cart),
+      newAmount: plan.amount,
+      reason: reason || 'cart-changed'
+    };
+
+    // Prima aggiunta: i listener possono bloccarla
+    if (!existingFee && !FeeEvents.emit('fee:before-add', Object.assign({ cart: cart }, event), true)) {
+      FeeLogger.info('⛔ Commissione bloccata da un listener fee:before-add');
+      return false;
+    }
+
+    let updated;
+    try {
+      updated = await this.applyPlan(plan);
+    } catch (error) {
+      FeeEvents.emit('fee:error', Object.assign({ cart: cart, error: error }, event));
+      throw error;
+    }
+
+    FeeLogger.info(existingFee ? '💳 Commissione aggiornata' : '💳 Commissione aggiunta', event);
+    FeeEvents.emit(existingFee ? 'fee:updated' : 'fee:added', Object.assign({ cart: updated }, event));
+    await this.refreshCartUI();
+    return true;
+  },
+
+  // Calcola le modifiche per lasciare nel carrello solo le righe commissione del metodo indicato,
+  // nella codifica attiva (FeeEncoding). Le righe esistenti vengono riusate cambiando la quantità.
+  // - updates: per /cart/update.js { [lineItemKey]: quantità }, 0 per le righe da togliere
+  // - additions: righe nuove da aggiungere con /cart/add.js (update.js non accetta proprietà)
+  // - duplicates: righe di altri metodi o doppioni di una riga già tenuta (vedi CartAudit)
+  planSurcharge: function(cart, methodId) {
+    const method = PaymentMethods.get(methodId);
+    const amount = Math.round(FeeCalculator.calculate(FeeCalculator.base(cart), method.id, cart));
+    const feeLines = CartLines.findFeeLineItems(cart);
+    const others = feeLines.filter(item => PaymentMethods.forLine(item).id !== method.id);
+    const candidates = feeLines.filter(item => others.indexOf(item) === -1);
+    const kept = [];
+    const additions = [];
+    const updates = {};
+
+    FeeEncoding.lines(amount, method).forEach(line => {
+      const index = candidates.findIndex(item => FeeEncoding.canKeep(item, line));
+      if (index === -1) {
+        additions.push(line);
+        return;
+      }
+
+      const item = candidates.splice(index, 1)[0];
+      kept.push(item);
+      if (item.quantity !== line.quantity) updates[item.key] = line.quantity;
+    });
+
+    // Restano le righe non più necessarie: altri metodi, tagli non usati, doppioni
+    const removed = others.concat(candidates);
+    removed.forEach(item => {
+      updates[item.key] = 0;
+    });
+
+    const duplicates = others.concat(candidates.filter(item => {
+      return kept.some(keptItem => keptItem.variant_id === item.variant_id);
+    }));
+
+    return {
+      method: method,
+      amount: amount,
+      updates: updates,
+      additions: additions,
+      kept: kept,
+      removed: removed,
+      duplicates: duplicates
+    };
+  },
+
+  // Esegue un piano di planSurcharge: prima aggiorna/toglie le righe, poi aggiunge quelle nuove.
+  // Restituisce il carrello aggiornato
+  applyPlan: async function(plan) {
+    let cart = null;
+
+    if (Object.keys(plan.updates).length > 0) {
+      cart = await this.updateLines(plan.updates);
+    }
+
+    if (plan.additions.length > 0) {
+      await this.addFeeLines(plan.additions, plan.method);
+      cart = await CartRequest.getCart();
+    }
+
+    this.publishCart(cart);
+    return cart;
+  },
+
+  // Allinea la commissione al carrello attuale: rimuove se vuoto, aggiorna se presente o richiesta
+  // Da chiamare SOLO tramite CartQueue, che garantisce una modifica alla volta
+  reconcile: async function(reason) {
+    const loaded = await CartRequest.getCart();
+
+    // La scelta salvata nel carrello (es: da un'altra scheda o dispositivo) prevale sulla cache
+    if (FeeState.syncFromCart(loaded)) FeeState.notify();
+
+    // Tag prodotto per le esclusioni della base di calcolo
+    await FeeBase.prepare(loaded);
+
+    // Prima corregge righe duplicate/orfane, poi allinea l'importo
+    const cart = await CartAudit.run(loaded);
+    const corrected = cart !== loaded;
+    if (corrected) await this.refreshCartUI();
+    this.publishCart(cart);
+
+    // Carrello vuoto (o solo commissione): deseleziona checkbox
+    if (CartLines.getSubtotalWithoutFee(cart) === 0) {
+      this.publishBase(null);
+      FeeState.clear();
+      FeeState.notify();
+      return corrected;
+    }
+
+    // Esente: l'audit ha già tolto le righe commissione
+    if (FeeExemption.isExempt()) {
+      this.publishBase(null);
+      return corrected;
+    }
+
+    const hasFee = !!CartLines.findFeeLineItem(cart);
+    if (!hasFee && !FeeState.wantsFee()) {
+      this.publishBase(null);
+      return corrected;
+    }
+
+    this.publishBase(FeeBase.breakdown(cart));
+    return this.updateFee(cart, reason);
+  },
+
+  publishCart: function(cart) {
+    if (cart) FeeEvents.emit(this.SUMMARY_EVENT, { cart: cart });
+  },
+
+  publishBase: function(breakdown) {
+    FeeEvents.emit(this.BASE_EVENT, { base: breakdown });
+  },
+
+  // Compatibilità: il refresh delle sezioni è in CartSections
+  refreshCartUI: function() {
+    return CartSections.refresh();
+  }
+};
@@ -0,0 +1,102 @@
+import { FeeLogger } from '../config/logger.js';
+import { FeeEvents } from '../fee/events.js';
+import { FeeExemption } from '../fee/exemption.js';
+import { CartLines } from '../fee/lines.js';
+import { PaymentMethods } from '../fee/methods.js';
+import { FeeState } from './state.js';
+
+// AUDIT CARRELLO
+// Eseguito a ogni lettura del carrello da CartAPI.reconcile: unisce righe commissione duplicate
+// e rimuove quelle orfane. Ogni correzione viene notificata ai listener registrati con onCorrection()
+// e con l'evento 'paypal-fee-audit' sul document.
+// Piano e applicazione delle correzioni (CartAPI.planSurcharge/applyPlan) arrivano da init(), così l'audit non importa CartAPI
+export const CartAudit = {
+  listeners: [],
+  plan: null, // (cart, methodId) → piano come CartAPI.planSurcharge
+  apply: null, // piano → Promise con il carrello aggiornato
+
+  init: function(callbacks) {
+    this.plan = callbacks.plan;
+    this.apply = callbacks.apply;
+  },
+
+  // Restituisce il carrello corretto (o lo stesso oggetto se non serviva nulla)
+  run: async function(cart) {
+    const feeLines = CartLines.findFeeLineItems(cart);
+    if (feeLines.length === 0) return cart;
+
+    const subtotal = CartLines.getSubtotalWithoutFee(cart);
+    let updates = {};
+    let additions = [];
+    let method = null;
+    let type = null;
+
+    if (subtotal === 0) {
+      // Solo commissione nel carrello
+      type = 'empty-cart';
+      feeLines.forEach(item => { updates[item.key] = 0; });
+    } else if (FeeExemption.isExempt()) {
+      // Cliente o mercato esente: nessuna commissione, anche se scelta in precedenza
+      type = 'exempt';
+      feeLines.forEach(item => { updates[item.key] = 0; });
+    } else if (FeeState.isDeclined()) {
+      // Il cliente ha tolto la spunta: non paga con PayPal
+      type = 'orphan-removed';
+      feeLines.forEach(item => { updates[item.key] = 0; });
+    } else if (feeLines.length > 1) {
+      // Doppio invio, proprietà diverse, race o più metodi: tiene solo le righe del metodo scelto.
+      // Con la codifica a tagli più righe sono normali: conta solo se il piano trova doppioni
+      const methodId = FeeState.getMethod() || PaymentMethods.forLine(feeLines[0]).id;
+      const plan = this.plan(cart, methodId);
+      if (plan.duplicates.length > 0) {
+        type = 'duplicates-merged';
+        updates = plan.updates;
+        additions = plan.additions;
+        method = plan.method;
+      }
+    }
+
+    if (!type) return cart;
+
+    try {
+      const updated = await this.apply({ updates: updates, additions: additions, method: method });
+      if (type !== 'duplicates-merged') {
+        FeeEvents.emit('fee:removed', {
+          cart: updated,
+          methodId: PaymentMethods.forLine(feeLines[0]).id,
+          oldAmount: CartLines.getFeeAmount(cart),
+          newAmount: 0,
+          reason: type
+        });
+      }
+      this.report({
+        type: type,
+        lines: feeLines.map(item => ({ key: item.key, variantId: item.variant_id, sku: item.sku, quantity: item.quantity })),
+        updates: updates,
+        additions: additions,
+        cart: updated
+      });
+      return updated;
+    } catch (error) {
+      // Il ricalcolo si ferma qui: FeeRecovery lo ripeterà sul carrello riletto
+      FeeLogger.error('Errore audit commissione', error);
+      throw error;
+    }
+  },
+
+  // Registra una funzione chiamata a ogni correzione: fn({ type, lines, updates, additions, cart })
+  // Restituisce la funzione per rimuovere il listener
+  onCorrection: function(fn) {
+    this.listeners.push(fn);
+    return () => {
+      this.listeners = this.listeners.filter(listener => listener !== fn);
+    };
+  },
+
+  report: function(correction) {
+    this.listeners.forEach(fn => {
+      try { fn(correction); } catch (error) { FeeLogger.error('Errore listener audit', error); }
+    });
+    document.dispatchEvent(new CustomEvent('paypal-fee-audit', { detail: correction }));
+  }
+};
@@ -0,0 +1,17 @@
+// ERRORI RICHIESTE CARRELLO
+// type: 'network' (nessuna risposta), 'out-of-stock' (422), 'rate-limit' (429), 'config' (variante
+// commissione mancante) oppure 'unknown'. retryable = la stessa richiesta può riuscire più tardi
+export class FeeError extends Error {
+  constructor(type, message, details = {}) {
+    super(message);
+    this.name = 'FeeError';
+    this.type = type;
+    this.status = details.status || 0;
+    this.description = details.description || '';
+    this.retryAfter = details.retryAfter || 0; // Secondi, dall'header Retry-After
+  }
+
+  get retryable() {
+    return this.type === 'network' || this.type === 'rate-limit' || this.status >= 500;
+  }
+}
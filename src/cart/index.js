@@ -0,0 +1,52 @@
+import { CONFIG } from '../config/config.js';
+import { start as startFee } from '../fee/index.js';
+import { CartAPI } from './api.js';
+import { CartAudit } from './audit.js';
+import { FeeError } from './errors.js';
+import { CartObserver } from './observer.js';
+import { CartQueue } from './queue.js';
+import { CartRequest } from './request.js';
+import { CartSections } from './sections.js';
+import { FeeState } from './state.js';
+import { TabSync } from './tab-sync.js';
+
+export { CartAPI, CartAudit, CartObserver, CartQueue, CartRequest, CartSections, FeeError, FeeState, TabSync };
+
+// AVVIO CLIENT CARRELLO
+// Richieste Ajax, coda delle modifiche, scelta del cliente e sincronizzazione tra schede.
+// Non conosce la UI: comunica con eventi sul document (CartSections.EVENT_NAME, FeeState.CHANGE_EVENT,
+// CartAPI.SUMMARY_EVENT, CartAPI.BASE_EVENT, CartQueue.RECALCULATED_EVENT/FAILED_EVENT).
+// Il primo ricalcolo lo avvia src/index.js quando anche la UI è pronta
+let started = false;
+
+export function start() {
+  if (started) return;
+  started = true;
+  startFee();
+
+  // Collega coda, stato e audit a CartAPI: solo api.js importa gli altri moduli del carrello, mai il contrario
+  CartQueue.init({ apply: reason => CartAPI.reconcile(reason) });
+  FeeState.init({ updateAttributes: attributes => CartAPI.updateAttributes(attributes) });
+  CartAudit.init({
+    plan: (cart, methodId) => CartAPI.planSurcharge(cart, methodId),
+    apply: plan => CartAPI.applyPlan(plan)
+  });
+
+  // La scelta salvata nel carrello arriva già nel layout: aggiorna la cache prima che la UI la legga
+  if (CONFIG.INITIAL_CART_CHOICE !== undefined) {
+    FeeState.syncFromCart({ attributes: { [CONFIG.CART_ATTRIBUTE]: CONFIG.INITIAL_CART_CHOICE } });
+  }
+
+  // Intercetta le modifiche al carrello di tema e app
+  CartObserver.install();
+
+  // Allinea le altre schede aperte
+  TabSync.init();
+
+  // Listener per aggiornamenti carrello. Le aggiunte di AddToCartNoRedirect sono già passate da CartObserver
+  // e QuickAdd: un solo ricalcolo per aggiunta
+  document.addEventListener('cart:updated', (e) => {
+    if (e.detail && e.detail.source === CartObserver.UPDATED_SOURCE) return;
+    CartQueue.schedule();
+  });
+}
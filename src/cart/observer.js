@@ -0,0 +1,151 @@
+import { FeeLogger } from '../config/logger.js';
+import { CartRequest } from './request.js';
+
+// OSSERVATORE MUTAZIONI CARRELLO
+// Avvolge fetch e XMLHttpRequest: ogni richiesta riuscita verso le rotte /cart/* di window.routes
+// (add, change, update, clear) emette un solo evento 'paypal-fee-cart-changed' con il carrello aggiornato,
+// qualunque sia l'origine (pulsanti quantità, quick-add nelle collezioni, app di terze parti).
+// detail: { cart, route, source } - source è 'handler' per le richieste di questo file (header HEADER), 'theme' per le altre.
+export const CartObserver = {
+  EVENT_NAME: 'paypal-fee-cart-changed',
+  HEADER: 'X-PayPal-Fee-Handler',
+  UPDATED_SOURCE: 'paypal-fee-add', // detail.source dei 'cart:updated' emessi dopo aggiunte già notificate qui
+  installed: false,
+
+  install: function() {
+    if (this.installed) return;
+    this.installed = true;
+
+    const observer = this;
+
+    if (window.fetch) {
+      const nativeFetch = window.fetch;
+      window.fetch = function(input, init) {
+        const request = nativeFetch.apply(this, arguments);
+        const url = typeof input === 'string' ? input : (input && input.url) || String(input);
+        const route = observer.matchRoute(url);
+        if (!route) return request;
+
+        const source = observer.sourceOf(input, init);
+        return request.then(response => {
+          if (response.ok) {
+            const copy = response.clone();
+            observer.notify(route, source, () => copy.json());
+          }
+          return response;
+        });
+      };
+    }
+
+    if (window.XMLHttpRequest) {
+      const nativeOpen = XMLHttpRequest.prototype.open;
+      const nativeSend = XMLHttpRequest.prototype.send;
+
+      XMLHttpRequest.prototype.open = function(method, url) {
+        this._paypalFeeRoute = observer.matchRoute(String(url));
+        return nativeOpen.apply(this, arguments);
+      };
+
+      XMLHttpRequest.prototype.send = function() {
+        const route = this._paypalFeeRoute;
+        if (route) {
+          this.addEventListener('load', () => {
+            if (this.status < 200 || this.status >= 300) return;
+            observer.notify(route, 'theme', () => this.responseType === 'json' ? this.response : JSON.parse(this.responseText));
+          });
+        }
+        return nativeSend.apply(this, arguments);
+      };
+    }
+  },
+
+  // Rotte che modificano il carrello, senza prefisso lingua (es: /en/cart/add → /cart/add).
+  // Senza window.routes (layout diverso da theme.liquid) valgono le rotte predefinite di Shopify
+  routes: function() {
+    const routes = window.routes || {};
+    const cartUrl = routes.cartUrl || '/cart';
+    return [
+      routes.cartAddUrl || `${cartUrl}/add`,
+      routes.cartChangeUrl || `${cartUrl}/change`,
+      `${cartUrl}/update`,
+      `${cartUrl}/clear`
+    ].map(route => this.withoutRoot(route));
+  },
+
+  // Rotta di aggiunta al carrello (es: '/cart/add'), nella forma restituita da matchRoute
+  addRoute: function() {
+    return this.routes()[0];
+  },
+
+  withoutRoot: function(pathname) {
+    const root = (window.routes || {}).rootUrlWithoutSlash;
+    return root && pathname.indexOf(`${root}/`) === 0 ? pathname.slice(root.length) : pathname;
+  },
+
+  // Restituisce la rotta (es: '/cart/change') se l'URL modifica il carrello, altrimenti null
+  matchRoute: function(url) {
+    let pathname;
+    try {
+      pathname = new URL(url, window.location.origin).pathname;
+    } catch (_) {
+      return null;
+    }
+    pathname = this.withoutRoot(pathname.replace(/\.js(on)?$/, ''));
+    return this.routes().indexOf(pathname) !== -1 ? pathname : null;
+  },
+
+  sourceOf: function(input, init) {
+    const headers = (init && init.headers) || (input && typeof input === 'object' ? input.headers : null);
+    if (!headers) return 'theme';
+    const marked = typeof headers.get === 'function' ? headers.get(this.HEADER) : headers[this.HEADER];
+    return marked ? 'handler' : 'theme';
+  },
+
+  // add.js restituisce solo le righe aggiunte: applicate all'ultimo carrello noto (CartRequest.lastCart) danno
+  // il carrello aggiornato senza rileggerlo. Solo se nessun carrello è ancora passato da qui /cart.js viene letto una volta
+  notify: async function(route, source, readResponse) {
+    try {
+      const data = await readResponse();
+      let cart = data;
+      if (!CartRequest.isCart(data)) {
+        cart = CartRequest.lastCart && this.isAddResponse(data)
+          ? this.mergeAdded(CartRequest.lastCart, data)
+          : await CartRequest.getCart();
+      }
+      CartRequest.lastCart = cart;
+      FeeLogger.debug('🛒 Carrello modificato', { route: route, source: source, items: cart.item_count });
+
+      document.dispatchEvent(new CustomEvent(this.EVENT_NAME, {
+        detail: { cart: cart, route: route, source: source }
+      }));
+    } catch (error) {
+      FeeLogger.error('Errore osservatore carrello', error);
+    }
+  },
+
+  // Riga singola (form prodotto) o { items: [...] }, ciascuna con chiave e quantità finale della riga
+  isAddResponse: function(data) {
+    const items = data && (Array.isArray(data.items) ? data.items : [data]);
+    return !!items && items.every(item => item && item.key && typeof item.quantity === 'number');
+  },
+
+  // Le righe già presenti vengono sostituite, le nuove finiscono in cima come fa Shopify.
+  // Gli sconti sul carrello restano quelli dell'ultimo carrello noto fino alla prossima risposta completa
+  mergeAdded: function(cart, data) {
+    const items = cart.items.slice();
+    (Array.isArray(data.items) ? data.items : [data]).forEach(item => {
+      const index = items.findIndex(line => line.key === item.key);
+      if (index === -1) items.unshift(item);
+      else items[index] = item;
+    });
+
+    const subtotal = items.reduce((sum, item) => sum + item.final_line_price, 0);
+    const previousSubtotal = cart.items.reduce((sum, item) => sum + item.final_line_price, 0);
+    return Object.assign({}, cart, {
+      items: items,
+      item_count: items.reduce((sum, item) => sum + item.quantity, 0),
+      items_subtotal_price: subtotal,
+      total_price: cart.total_price + subtotal - previousSubtotal
+    });
+  }
+};
@@ -0,0 +1,50 @@
+import { FeeLogger } from '../config/logger.js';
+
+// CODA MUTAZIONI CARRELLO
+// Le modifiche alla commissione (add/update/remove) partono una alla volta, nell'ordine di arrivo.
+// I ricalcoli richiesti mentre uno è già in attesa vengono accorpati in uno solo.
+// L'esito di ogni ricalcolo è emesso sul document (RECALCULATED_EVENT, FAILED_EVENT): lo usa FeeRecovery.
+// Il ricalcolo vero e proprio (CartAPI.reconcile) arriva da init(), così la coda non importa CartAPI
+export const CartQueue = {
+  RECALCULATED_EVENT: 'paypal-fee-recalculated', // detail: { reason, result }
+  FAILED_EVENT: 'paypal-fee-recalculate-failed', // detail: { reason, error }
+  tail: Promise.resolve(),
+  pendingRecalc: null,
+  apply: null, // reason → Promise con l'esito del ricalcolo
+
+  init: function(callbacks) {
+    this.apply = callbacks.apply;
+  },
+
+  // Accoda un'operazione: parte solo quando la precedente è terminata (anche se fallita)
+  run: function(task) {
+    const result = this.tail.then(() => task());
+    this.tail = result.catch(() => {});
+    return result;
+  },
+
+  // Ricalcolo commissione: se uno è già in coda e non ancora partito, riusa quello
+  // (e il suo reason, vedi FeeEvents)
+  recalculate: function(reason) {
+    if (this.pendingRecalc) return this.pendingRecalc;
+
+    this.pendingRecalc = this.run(() => {
+      // Da qui in poi un nuovo ricalcolo deve rileggere il carrello: ne accoda un altro
+      this.pendingRecalc = null;
+      return this.apply(reason);
+    }).then(result => {
+      FeeLogger.debug('🔁 Ricalcolo commissione', { reason: reason, result: result });
+      document.dispatchEvent(new CustomEvent(this.RECALCULATED_EVENT, { detail: { reason: reason, result: result } }));
+      return result;
+    }, error => {
+      document.dispatchEvent(new CustomEvent(this.FAILED_EVENT, { detail: { reason: reason, error: error } }));
+      throw error;
+    });
+    return this.pendingRecalc;
+  },
+
+  // Ricalcolo di cui nessuno attende l'esito: gli errori li mostra già FeeRecovery
+  schedule: function(reason) {
+    this.recalculate(reason).catch(() => {});
+  }
+};
@@ -0,0 +1,79 @@
+import { FeeError } from './errors.js';
+
+// RICHIESTE AJAX CARRELLO
+// Tutte le chiamate a /cart/* e alle sezioni passano da qui: risposta JSON oppure FeeError.
+// Le operazioni idempotenti (letture, quantità assolute, attributi) vengono ripetute con attesa
+// crescente in caso di errori temporanei; /cart/add.js solo su 429, quando Shopify non l'ha eseguita.
+export const CartRequest = {
+  RETRIES: 3,
+  BASE_DELAY: 400, // ms, raddoppia a ogni tentativo
+  lastCart: null, // Ultimo carrello completo ricevuto da /cart/* (vedi CartObserver.notify)
+
+  // options.safe: true se la richiesta può essere ripetuta senza effetti doppi
+  json: async function(url, init = {}, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const data = await this.send(url, init);
+        if (this.isCart(data)) this.lastCart = data;
+        return data;
+      } catch (error) {
+        const canRetry = options.safe ? error.retryable : error.type === 'rate-limit';
+        // Offline: inutile insistere, ci pensa FeeRecovery al ritorno della connessione
+        if (!canRetry || attempt >= this.RETRIES || navigator.onLine === false) throw error;
+        await this.wait(this.delay(error, attempt));
+      }
+    }
+  },
+
+  send: async function(url, init) {
+    let response;
+    try {
+      response = await fetch(url, init);
+    } catch (error) {
+      throw new FeeError('network', `Richiesta non riuscita: ${url}`);
+    }
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok) throw this.toError(response, data);
+    if (data === null) {
+      throw new FeeError('unknown', `Risposta non valida: ${url}`, { status: response.status });
+    }
+    return data;
+  },
+
+  toError: function(response, data) {
+    const details = {
+      status: response.status,
+      description: (data && (data.description || data.message)) || ''
+    };
+
+    if (response.status === 422) {
+      return new FeeError('out-of-stock', 'Prodotto non disponibile', details);
+    }
+    if (response.status === 429) {
+      details.retryAfter = parseInt(response.headers.get('Retry-After'), 10) || 0;
+      return new FeeError('rate-limit', 'Troppe richieste al carrello', details);
+    }
+    return new FeeError('unknown', `Errore carrello ${response.status}`, details);
+  },
+
+  // Backoff esponenziale con un po' di casualità, o l'attesa indicata da Shopify
+  delay: function(error, attempt) {
+    if (error.retryAfter) return error.retryAfter * 1000;
+    return this.BASE_DELAY * Math.pow(2, attempt) + Math.round(Math.random() * this.BASE_DELAY);
+  },
+
+  // Carrello completo (/cart.js, change, update, clear), non la risposta di add.js con le sole righe aggiunte
+  isCart: function(data) {
+    return !!data && Array.isArray(data.items) && data.item_count !== undefined;
+  },
+
+  // Carrello corrente (FeeError se non leggibile nemmeno dopo i tentativi)
+  getCart: function() {
+    return this.json('/cart.js', {}, { safe: true });
+  },
+
+  wait: function(ms) {
+    return new Promise(resolve => window.setTimeout(resolve, ms));
+  }
+};
@@ -0,0 +1,87 @@
+import { FeeLogger } from '../config/logger.js';
+import { CartRequest } from './request.js';
+
+// REFRESH SEZIONI CARRELLO
+// Sostituisce sezione carrello e mini-cart con l'HTML della Section Rendering API, poi emette EVENT_NAME:
+// checkbox, etichette e contatore li riallinea chi ascolta (src/ui), così il client del carrello
+// non dipende dalla UI.
+export const CartSections = {
+  EVENT_NAME: 'paypal-fee-refreshed',
+
+  cartUrl: function() {
+    return (window.routes && window.routes.cartUrl) || '/cart';
+  },
+
+  // Aggiorna sezione carrello, mini-cart e contatore header con una sola richiesta (Section Rendering API)
+  // e li sostituisce senza ricaricare la pagina. Restituisce true se almeno una sezione è stata aggiornata
+  refresh: async function() {
+    const targets = this.targets();
+    if (targets.length === 0) return false;
+
+    try {
+      const sectionIds = targets.map(target => target.sectionId);
+      const sections = await CartRequest.json(
+        `${this.cartUrl()}?sections=${encodeURIComponent(sectionIds.join(','))}`, {}, { safe: true }
+      );
+
+      // NESSUN overlay opaco - sostituzione immediata senza transizioni
+      targets.forEach(target => {
+        if (!sections[target.sectionId]) return;
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = sections[target.sectionId];
+        target.swap(wrapper);
+      });
+
+      // I moduli della UI riattaccano i listener e riscrivono etichette e contatore
+      document.dispatchEvent(new CustomEvent(this.EVENT_NAME));
+      return true;
+    } catch (error) {
+      FeeLogger.error('Errore aggiornamento sezioni carrello', error);
+      // Nessun reload: il tema riallinea da sé il mini-cart
+      document.documentElement.dispatchEvent(new CustomEvent('cart:refresh', {
+        bubbles: true,
+        detail: { scrollToTop: false }
+      }));
+      return false;
+    }
+  },
+
+  // Sezioni presenti nella pagina da aggiornare: [{ sectionId, swap(wrapper) }]
+  targets: function() {
+    const targets = [];
+
+    // Pagina carrello: sostituisce tutta la sezione
+    const cartSection = document.querySelector('section[data-section-type="cart"]');
+    if (cartSection) {
+      const sectionId = cartSection.getAttribute('data-section-id');
+      targets.push({
+        sectionId: sectionId,
+        swap: wrapper => {
+          const freshSection = wrapper.querySelector(`section[data-section-id="${sectionId}"]`);
+          if (freshSection) cartSection.replaceWith(freshSection);
+        }
+      });
+    }
+
+    // Header: solo il contenuto del mini-cart, così il drawer resta aperto
+    // e il tema mantiene i suoi listener sull'header
+    const miniCart = document.getElementById('mini-cart');
+    const anchor = miniCart || document.querySelector('.header__cart-count');
+    const headerSection = anchor ? anchor.closest('.shopify-section') : null;
+    if (headerSection && headerSection.id) {
+      targets.push({
+        sectionId: headerSection.id.replace(/^shopify-section-/, ''),
+        swap: wrapper => {
+          const freshMiniCart = wrapper.querySelector('#mini-cart');
+          if (miniCart && freshMiniCart) {
+            miniCart.innerHTML = freshMiniCart.innerHTML;
+            miniCart.setAttribute('data-item-count', freshMiniCart.getAttribute('data-item-count'));
+          }
+          // Il contatore non viene copiato: lo scrive CartCount, senza le righe commissione
+        }
+      });
+    }
+
+    return targets;
+  }
+};
@@ -0,0 +1,146 @@
+import { CONFIG } from '../config/config.js';
+import { FeeLogger } from '../config/logger.js';
+import { PaymentMethods } from '../fee/methods.js';
+import { CartQueue } from './queue.js';
+
+// STATO SCELTA CLIENTE
+// selected = il cliente pagherà con un metodo con commissione, declined = ha scelto carta/bonifico.
+// La scelta è salvata nell'attributo carrello CONFIG.CART_ATTRIBUTE, così vale in ogni scheda e dispositivo;
+// sessionStorage è solo una cache ottimistica che la UI legge in modo sincrono.
+// La scrittura degli attributi (CartAPI.updateAttributes) arriva da init(), così lo stato non importa CartAPI
+export const FeeState = {
+  DECLINED_VALUE: 'no',
+  CHANGE_EVENT: 'paypal-fee-choice-changed', // La scelta è cambiata fuori dalla UI (carrello, altra scheda)
+  cartValue: undefined, // Ultimo valore letto o scritto nel carrello
+  pendingWrites: 0,
+  restored: false, // Scelta in cache già riscritta una volta in un carrello senza attributo (vedi syncFromCart)
+  updateAttributes: null, // attributi → Promise, FeeError se non riesce
+
+  init: function(callbacks) {
+    this.updateAttributes = callbacks.updateAttributes;
+  },
+
+  wantsFee: function() {
+    return sessionStorage.getItem(CONFIG.SESSION_KEY_ADDED) === 'true';
+  },
+
+  // Metodo scelto (es: 'paypal', 'klarna'), null se nessuna commissione richiesta.
+  // Un metodo non più configurato (prodotto commissione tolto dalle impostazioni) vale come PayPal
+  getMethod: function() {
+    if (!this.wantsFee()) return null;
+    const methodId = sessionStorage.getItem(CONFIG.SESSION_KEY_METHOD);
+    return methodId && PaymentMethods.get(methodId) ? methodId : PaymentMethods.DEFAULT_ID;
+  },
+
+  isDeclined: function() {
+    return sessionStorage.getItem(CONFIG.SESSION_KEY_DECLINED) === 'true';
+  },
+
+  select: function(methodId) {
+    this.cache(methodId || PaymentMethods.DEFAULT_ID);
+    return this.persist();
+  },
+
+  decline: function() {
+    this.cache(this.DECLINED_VALUE);
+    return this.persist();
+  },
+
+  // Nessuna scelta (es: carrello svuotato)
+  clear: function() {
+    this.cache('');
+    return this.persist();
+  },
+
+  // Valore da salvare nell'attributo carrello per la scelta attuale
+  value: function() {
+    return this.getMethod() || (this.isDeclined() ? this.DECLINED_VALUE : '');
+  },
+
+  // Ripristina una scelta letta in precedenza con value() (es: "Annulla" nel toast)
+  restore: function(value) {
+    this.cache(value);
+    return this.persist();
+  },
+
+  // Scrive la scelta nella cache sessionStorage
+  cache: function(value) {
+    sessionStorage.removeItem(CONFIG.SESSION_KEY_ADDED);
+    sessionStorage.removeItem(CONFIG.SESSION_KEY_METHOD);
+    sessionStorage.removeItem(CONFIG.SESSION_KEY_DECLINED);
+
+    if (value === this.DECLINED_VALUE) {
+      sessionStorage.setItem(CONFIG.SESSION_KEY_DECLINED, 'true');
+    } else if (value) {
+      sessionStorage.setItem(CONFIG.SESSION_KEY_ADDED, 'true');
+      sessionStorage.setItem(CONFIG.SESSION_KEY_METHOD, value);
+    }
+  },
+
+  // Salva la scelta nell'attributo carrello, in coda alle altre modifiche (CartQueue).
+  // Scrive il valore attuale al momento dell'esecuzione, quindi più scelte rapide finiscono nell'ultima
+  persist: function() {
+    if (this.pendingWrites === 0 && this.value() === (this.cartValue || '')) {
+      return Promise.resolve(true);
+    }
+
+    this.pendingWrites++;
+    sessionStorage.setItem(CONFIG.SESSION_KEY_PENDING, 'true');
+
+    return CartQueue.run(() => this.write()).then(result => {
+      this.pendingWrites--;
+      if (this.pendingWrites === 0) sessionStorage.removeItem(CONFIG.SESSION_KEY_PENDING);
+      return result;
+    }, error => {
+      // La cache resta valida: il prossimo persist o reconcile riproverà
+      this.pendingWrites--;
+      FeeLogger.error('Errore salvataggio scelta nel carrello', error);
+      return false;
+    });
+  },
+
+  // Scrive subito la scelta attuale nell'attributo, da un'operazione già in coda (CartQueue.run).
+  // FeeError se non riesce: la scelta resta da salvare (SESSION_KEY_PENDING) e la riscrive il prossimo riallineamento
+  write: async function() {
+    const value = this.value();
+    sessionStorage.setItem(CONFIG.SESSION_KEY_PENDING, 'true');
+    await this.updateAttributes({ [CONFIG.CART_ATTRIBUTE]: value });
+    this.cartValue = value;
+    if (this.pendingWrites === 0) sessionStorage.removeItem(CONFIG.SESSION_KEY_PENDING);
+    return true;
+  },
+
+  // Avvisa checkbox e selettori che la scelta in cache è cambiata (vedi CheckboxHandler.syncFromState)
+  notify: function() {
+    document.dispatchEvent(new CustomEvent(this.CHANGE_EVENT));
+  },
+
+  // Allinea la cache al valore dell'attributo nel carrello. Restituisce true se la scelta è cambiata.
+  // Se una scelta non è ancora stata salvata vale la cache e viene riscritta nel carrello.
+  // Carrello senza attributo ma scelta in cache (es: scelta fatta prima che venisse salvata nel carrello):
+  // la cache viene scritta nell'attributo una volta sola, invece di perdere la scelta
+  syncFromCart: function(cart) {
+    if (!cart) return false;
+
+    if (sessionStorage.getItem(CONFIG.SESSION_KEY_PENDING) === 'true') {
+      if (this.pendingWrites === 0) this.persist();
+      return false;
+    }
+
+    const value = (cart.attributes || {})[CONFIG.CART_ATTRIBUTE] || '';
+    if (!value && this.value() && !this.restored) {
+      this.restored = true;
+      this.cartValue = value;
+      this.persist();
+      return false;
+    }
+
+    this.cartValue = value;
+    if (value === this.value()) return false;
+
+    this.cache(value);
+    // Metodo non più configurato: la cache ora vale PayPal (vedi getMethod) e l'attributo viene corretto
+    if (value !== this.value()) this.persist();
+    return true;
+  }
+};
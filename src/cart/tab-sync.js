@@ -0,0 +1,75 @@
+import { FeeLogger } from '../config/logger.js';
+import { CartSections } from './sections.js';
+import { FeeState } from './state.js';
+
+// SINCRONIZZAZIONE TRA SCHEDE
+// Scelta del cliente e modifiche alle righe commissione vengono inviate alle altre schede aperte
+// (BroadcastChannel, oppure evento 'storage' su localStorage dove non è disponibile).
+// La scheda che riceve riallinea checkbox, carrello, mini-cart e badge senza ricaricare la pagina.
+export const TabSync = {
+  CHANNEL_NAME: 'paypal-fee',
+  STORAGE_KEY: 'paypal_fee_sync',
+  REFRESH_DELAY: 300, // Accorpa i messaggi di una stessa operazione (es: update + add)
+  SYNC_EVENT: 'paypal-fee-sync', // Un'altra scheda ha cambiato il carrello: chi mostra dati del carrello li rilegge
+  tabId: Math.random().toString(36).slice(2),
+  channel: null,
+  started: false,
+  refreshTimer: null,
+
+  init: function() {
+    if (this.started) return;
+    this.started = true;
+
+    if (typeof window.BroadcastChannel === 'function') {
+      this.channel = new BroadcastChannel(this.CHANNEL_NAME);
+      this.channel.onmessage = (e) => this.receive(e.data);
+      return;
+    }
+
+    window.addEventListener('storage', (e) => {
+      if (e.key !== this.STORAGE_KEY || !e.newValue) return;
+      try {
+        this.receive(JSON.parse(e.newValue));
+      } catch (error) {
+        FeeLogger.error('Errore messaggio sincronizzazione schede', error);
+      }
+    });
+  },
+
+  // type: 'state' = scelta salvata nel carrello, 'cart' = righe commissione modificate
+  broadcast: function(type) {
+    if (!this.started) return;
+
+    const message = { source: this.tabId, type: type, value: FeeState.value(), time: Date.now() };
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message);
+      } else {
+        // time rende ogni messaggio diverso: lo stesso valore non genererebbe l'evento storage
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(message));
+      }
+    } catch (error) {
+      FeeLogger.error('Errore invio sincronizzazione schede', error);
+    }
+  },
+
+  receive: function(message) {
+    if (!message || message.source === this.tabId) return;
+
+    // sessionStorage è separato per ogni scheda: copia la scelta, se qui non ce n'è una da salvare
+    if (FeeState.pendingWrites === 0 && message.value !== FeeState.value()) {
+      FeeState.cache(message.value);
+      FeeState.cartValue = message.value;
+      FeeState.notify();
+    }
+
+    window.clearTimeout(this.refreshTimer);
+    this.refreshTimer = window.setTimeout(() => this.refresh(), this.REFRESH_DELAY);
+  },
+
+  refresh: function() {
+    // Carrello, mini-cart e badge (vedi theme.liquid)
+    CartSections.refresh();
+    document.dispatchEvent(new CustomEvent(this.SYNC_EVENT));
+  }
+};
@@ -0,0 +1,72 @@
+// CONFIGURAZIONE
+// SKU e variante arrivano dal blocco <script data-paypal-fee-config> del layout (vedi ConfigLoader)
+export const CONFIG = {
+  PAYPAL_FEE_SKU: null,
+  PAYPAL_FEE_VARIANT_ID: null, // ID variante prodotto "Commissione PayPal 3.5%"
+  PAYPAL_FEE_PRODUCT_HANDLE: null,
+  PAYPAL_FEE_VARIANTS: [], // Tutte le varianti del prodotto commissione: [{ id, sku, price }]
+  SESSION_KEY_ADDED: 'paypal_fee_selected',
+  SESSION_KEY_DECLINED: 'paypal_fee_declined',
+  SESSION_KEY_METHOD: 'paypal_fee_method',
+  SESSION_KEY_PENDING: 'paypal_fee_pending', // Scelta non ancora salvata nel carrello
+  SESSION_KEY_RECONCILE: 'paypal_fee_reconcile', // Ricalcolo fallito da ripetere (vedi FeeRecovery)
+
+  // MODALITÀ DEBUG (vedi FeeLogger): ?paypal_fee_debug=1 la attiva per la sessione (sessionStorage),
+  // il flag in localStorage solo se impostato a mano; ?paypal_fee_debug=0 la spegne
+  DEBUG_PARAM: 'paypal_fee_debug',
+  DEBUG_STORAGE_KEY: 'paypal_fee_debug',
+
+  // ATTRIBUTO CARRELLO con la scelta del cliente (fonte di verità, visibile sull'ordine in admin)
+  // Valori: id del metodo ('paypal', 'klarna'...), 'no' = carta/bonifico, assente = nessuna scelta
+  CART_ATTRIBUTE: 'Pagamento con commissione',
+  INITIAL_CART_CHOICE: undefined, // Valore dell'attributo al rendering della pagina (dal layout)
+  INITIAL_CART_LINES: null, // Righe del carrello al rendering della pagina: { variant_id, sku, quantity, properties }
+
+  // ALTRI METODI CON COMMISSIONE (Klarna, Scalapay, contrassegno...)
+  // Popolati dal blocco config del layout: [{ id, label, sku, variantId, rules }]
+  // Le regole di ogni metodo sovrascrivono FEE_RULES solo nei campi indicati
+  SURCHARGE_METHODS: [],
+
+  // CODIFICA RIGHE COMMISSIONE (vedi FeeEncoding): 'cents' | 'denominations' | 'price-override'
+  FEE_ENCODING: 'cents',
+
+  // ESENZIONI (vedi FeeExemption): la commissione non si applica a questi clienti e mercati
+  // Popolate dal blocco config del layout; confronto senza distinzione maiuscole/minuscole
+  EXEMPTIONS: {
+    customerTags: [], // Es: ['club', 'b2b']
+    countries: [],    // Codici paese ISO, es: ['CH', 'SM']
+    markets: []       // Handle dei mercati Shopify
+  },
+  // Cliente e mercato della pagina attuale (dal layout)
+  CUSTOMER: { tags: [], country: null, market: null },
+
+  // BASE DI CALCOLO COMMISSIONE (vedi FeeBase, importi in centesimi)
+  FEE_BASE: {
+    subtractCartDiscounts: true, // Sottrae gli sconti a livello carrello (cart_level_discount_applications)
+    excludeGiftCards: true,      // Le gift card non pagano commissione
+    excludeProductTypes: [],     // Es: ['Gift Card', 'Servizi']
+    excludeTags: [],             // Es: ['no-commissione'] (tag letti da /products/<handle>.js)
+    excludeSkuPattern: null,     // Espressione regolare sullo SKU, es: '^SERV-'
+    shippingEstimate: 0          // Spedizione stimata da aggiungere (0 = non inclusa)
+  },
+
+  // VALUTA (vedi Money): valuta del negozio e valuta del carrello (Shopify Markets), dal layout
+  // moneySample / moneyWithCurrencySample: Money.SAMPLE_CENTS formattato con money e money_with_currency
+  // nella valuta del carrello (vedi Money.templateFromSample)
+  CURRENCY: { shop: null, active: null, moneySample: null, moneyWithCurrencySample: null },
+
+  // REGOLE COMMISSIONE (tutti gli importi in centesimi della valuta del negozio)
+  // Unica fonte per il calcolo: la usano sia CartAPI.updateFee sia il banner prodotto.
+  // Valori predefiniti: le impostazioni paypal_fee_* del tema arrivano dal blocco config (vedi ConfigLoader.readRules)
+  FEE_RULES: {
+    percentage: 0.035, // 3.5%
+    fixed: 0,          // Parte fissa (es: 35 = €0.35 come applicato da PayPal)
+    min: 0,            // Commissione minima
+    max: null,         // Commissione massima (null = nessun limite)
+    rounding: 'ceil',  // 'ceil' | 'floor' | 'round'
+    roundingStep: 1,   // Arrotonda a multipli di N centesimi (5 = arrotonda ai 5 centesimi)
+    // Fasce per subtotale, dalla più bassa alla più alta. Una fascia può sovrascrivere percentage e fixed
+    // Es: [{ from: 0, percentage: 0.035 }, { from: 50000, percentage: 0.03, fixed: 35 }]
+    tiers: []
+  }
+};
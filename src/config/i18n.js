@@ -0,0 +1,102 @@
+// TESTI TRADUCIBILI
+// I testi dell'interfaccia arrivano da window.languages, compilato in theme.liquid con le chiavi
+// paypal_fee.js.* dei file di lingua (vedi README): t('loaderAdding') legge window.languages.paypalFeeLoaderAdding.
+// Se la chiave manca o non è tradotta si usa DEFAULTS nella lingua della pagina (italiano, altrimenti inglese).
+// Segnaposto come in Liquid: t('loaderAdding', { method: 'PayPal' }) sostituisce {{ method }}
+export const I18n = {
+  PREFIX: 'paypalFee',
+  DEFAULTS: {
+    it: {
+      loaderDefault: 'Aggiornamento in corso...',
+      loaderAdding: 'Aggiunta commissione {{ method }}...',
+      loaderUpdating: 'Aggiornamento commissione {{ method }}...',
+      loaderRemoving: 'Rimozione commissione...',
+      buttonAdding: 'Aggiunta in corso...',
+      previewBase: '{{ rate }} su {{ base }}, carrello incluso',
+      errorVariantMissing: 'ERRORE: Variant ID commissione PayPal non configurato. Contatta l\'assistenza.',
+      errorOutOfStock: 'Il prodotto commissione PayPal non è disponibile. Contatta l\'assistenza.',
+      errorUpdate: 'Errore durante l\'aggiornamento. Ricarica la pagina.',
+      errorCheckout: 'Non è stato possibile aggiungere la commissione PayPal. Riprova o contatta l\'assistenza.',
+      modalWarning: '⚠️ IMPORTANTE: Gli ordini PayPal senza commissione NON verranno processati.',
+      modalCancel: 'Annulla',
+      removeTitle: 'Rimuovere Commissione PayPal?',
+      removeMessageHtml: 'Stai per rimuovere la commissione PayPal dal carrello.<br>Questo significa che <strong>NON pagherai con PayPal</strong>.',
+      removeConfirm: 'Conferma Rimozione',
+      guardTitle: 'Come pagherai?',
+      guardMessageHtml: 'Nel carrello non c\'è la commissione PayPal ({{ rate }}).<br>Se pagherai con PayPal aggiungila ora, altrimenti scegli carta o bonifico.',
+      guardDecline: 'Pago con carta o bonifico',
+      guardConfirm: 'Aggiungi commissione e continua',
+      statusAdded: 'Commissione {{ method }} di {{ amount }} aggiunta al carrello',
+      statusUpdated: 'Commissione {{ method }} aggiornata: {{ amount }}',
+      statusRemoved: 'Commissione rimossa dal carrello',
+      toastAdded: 'Commissione {{ method }} aggiunta',
+      toastRemoved: 'Commissione rimossa',
+      toastUndo: 'Annulla',
+      toastClose: 'Chiudi',
+      recoveryOffline: 'Sei offline: la commissione verrà aggiornata appena torna la connessione.',
+      recoveryFailed: 'Non è stato possibile aggiornare la commissione: il totale potrebbe non essere corretto.',
+      recoveryRetry: 'Riprova',
+      recoveryResolved: 'Commissione aggiornata',
+      quickOffer: 'Prodotto aggiunto al carrello. Pagherai con PayPal? La commissione è del {{ rate }}.',
+      quickToggle: 'Pagherò con PayPal (+{{ amount }})'
+    },
+    en: {
+      loaderDefault: 'Updating...',
+      loaderAdding: 'Adding {{ method }} fee...',
+      loaderUpdating: 'Updating {{ method }} fee...',
+      loaderRemoving: 'Removing fee...',
+      buttonAdding: 'Adding...',
+      previewBase: '{{ rate }} of {{ base }}, cart included',
+      errorVariantMissing: 'ERROR: PayPal fee variant ID is not configured. Please contact support.',
+      errorOutOfStock: 'The PayPal fee product is not available. Please contact support.',
+      errorUpdate: 'Something went wrong while updating. Please reload the page.',
+      errorCheckout: 'We could not add the PayPal fee. Please try again or contact support.',
+      modalWarning: '⚠️ IMPORTANT: PayPal orders without the fee will NOT be processed.',
+      modalCancel: 'Cancel',
+      removeTitle: 'Remove the PayPal fee?',
+      removeMessageHtml: 'You are about to remove the PayPal fee from your cart.<br>This means you will <strong>NOT pay with PayPal</strong>.',
+      removeConfirm: 'Remove fee',
+      guardTitle: 'How will you pay?',
+      guardMessageHtml: 'Your cart does not include the PayPal fee ({{ rate }}).<br>If you will pay with PayPal add it now, otherwise choose card or bank transfer.',
+      guardDecline: 'I will pay by card or bank transfer',
+      guardConfirm: 'Add fee and continue',
+      statusAdded: '{{ method }} fee of {{ amount }} added to the cart',
+      statusUpdated: '{{ method }} fee updated: {{ amount }}',
+      statusRemoved: 'Fee removed from the cart',
+      toastAdded: '{{ method }} fee added',
+      toastRemoved: 'Fee removed',
+      toastUndo: 'Undo',
+      toastClose: 'Close',
+      recoveryOffline: 'You are offline: the fee will be updated as soon as the connection is back.',
+      recoveryFailed: 'The fee could not be updated: the total may not be correct.',
+      recoveryRetry: 'Retry',
+      recoveryResolved: 'Fee updated',
+      quickOffer: 'Product added to your cart. Will you pay with PayPal? The fee is {{ rate }}.',
+      quickToggle: 'I will pay with PayPal (+{{ amount }})'
+    }
+  },
+
+  // Lingua dei testi predefiniti: quella della pagina se disponibile, altrimenti inglese
+  language: function() {
+    const lang = (document.documentElement.lang || '').slice(0, 2).toLowerCase();
+    return this.DEFAULTS[lang] ? lang : 'en';
+  },
+
+  // Lingua per i numeri (es: percentuale 3,5% in italiano, 3.5% in inglese): lang della pagina, italiano senza DOM
+  locale: function() {
+    const lang = typeof document !== 'undefined' ? document.documentElement.lang : '';
+    return lang || 'it';
+  },
+
+  t: function(key, variables) {
+    const name = this.PREFIX + key.charAt(0).toUpperCase() + key.slice(1);
+    let text = window.languages ? window.languages[name] : null;
+    if (!text || text.indexOf('translation missing') !== -1) {
+      text = this.DEFAULTS[this.language()][key] || this.DEFAULTS.it[key] || key;
+    }
+
+    return Object.keys(variables || {}).reduce((result, variable) => {
+      return result.replace(new RegExp(`\\{\\{\\s*${variable}\\s*\\}\\}`, 'g'), () => variables[variable]);
+    }, text);
+  }
+};
@@ -0,0 +1,16 @@
+import { CONFIG } from './config.js';
+import { I18n } from './i18n.js';
+import { ConfigLoader } from './loader.js';
+import { FeeLogger } from './logger.js';
+
+export { CONFIG, ConfigLoader, FeeLogger, I18n };
+
+// AVVIO CONFIGURAZIONE
+// Legge una sola volta il blocco <script data-paypal-fee-config> del layout in CONFIG.
+// Restituisce true se la configurazione è valida (i problemi finiscono nel log, vedi FeeLogger)
+let valid = null;
+
+export function start() {
+  if (valid === null) valid = ConfigLoader.load();
+  return valid;
+}
@@ -0,0 +1,219 @@
+import { CONFIG } from './config.js';
+import { FeeLogger } from './logger.js';
+
+// CARICAMENTO CONFIGURAZIONE DAL LAYOUT
+export const ConfigLoader = {
+  SELECTOR: 'script[type="application/json"][data-paypal-fee-config]',
+  ENCODINGS: ['cents', 'denominations', 'price-override'], // Strategie di FeeEncoding
+  ROUNDINGS: ['ceil', 'floor', 'round'], // Modi di FeeRules.ROUNDING_MODES
+
+  read: function() {
+    const element = document.querySelector(this.SELECTOR);
+    if (!element) return null;
+
+    try {
+      return JSON.parse(element.textContent);
+    } catch (error) {
+      FeeLogger.error('⚠️ Configurazione JSON non valida', error);
+      return null;
+    }
+  },
+
+  // Restituisce l'elenco dei problemi trovati (vuoto se la configurazione è valida)
+  validate: function(data) {
+    const problems = [];
+
+    if (!data) {
+      problems.push('blocco <script data-paypal-fee-config> mancante nel layout');
+      return problems;
+    }
+    if (!data.sku) {
+      problems.push('SKU commissione non impostato');
+    }
+    if (!data.productPublished) {
+      problems.push('prodotto commissione non trovato o non pubblicato nel canale Online Store');
+    } else if (!data.variantId) {
+      problems.push('variante commissione mancante');
+    } else if (data.variantAvailable === false) {
+      problems.push(`variante ${data.variantId} non disponibile (controlla inventario/vendita senza scorte)`);
+    }
+
+    this.readRules(data.rules || {}, 'PayPal', problems);
+
+    (data.methods || []).forEach(method => {
+      this.readRules(method.rules || {}, method.label, problems);
+      if (!method.variantId) {
+        problems.push(`${method.label}: variante commissione mancante`);
+      } else if (method.variantAvailable === false) {
+        problems.push(`${method.label}: variante ${method.variantId} non disponibile`);
+      }
+    });
+
+    if (data.base && data.base.excludeSkuPattern) {
+      try {
+        new RegExp(data.base.excludeSkuPattern);
+      } catch (error) {
+        problems.push(`espressione SKU da escludere non valida: ${data.base.excludeSkuPattern}`);
+      }
+    }
+
+    if (data.encoding && this.ENCODINGS.indexOf(data.encoding) === -1) {
+      problems.push(`codifica "${data.encoding}" sconosciuta, uso "cents"`);
+    } else if (data.encoding === 'denominations') {
+      // Senza un taglio da €0.01 l'ultimo taglio viene arrotondato per eccesso
+      [{ label: 'PayPal', variants: data.variants }].concat(data.methods || []).forEach(method => {
+        if (!(method.variants || []).length) return;
+        const prices = (method.variants || []).map(variant => variant.price);
+        if (prices.indexOf(1) === -1) {
+          problems.push(`${method.label}: nessuna variante da €0.01, la commissione verrà arrotondata al taglio più piccolo`);
+        }
+      });
+    }
+
+    return problems;
+  },
+
+  // Regole commissione dal layout (percentuali già divise per 100, importi in centesimi della valuta del negozio).
+  // Restituisce solo i campi validi, che sovrascrivono CONFIG.FEE_RULES; per gli altri aggiunge un problema
+  readRules: function(rules, label, problems = []) {
+    const result = {};
+    const amount = value => typeof value === 'number' && isFinite(value) && value >= 0;
+    const check = (field, valid, message) => {
+      if (rules[field] === undefined || rules[field] === null) return;
+      if (valid(rules[field])) {
+        result[field] = rules[field];
+      } else {
+        problems.push(`${label}: ${message} (${JSON.stringify(rules[field])})`);
+      }
+    };
+
+    check('percentage', value => amount(value) && value < 1, 'percentuale non valida');
+    check('fixed', amount, 'parte fissa non valida');
+    check('min', amount, 'commissione minima non valida');
+    check('max', value => amount(value) && value >= (result.min || 0), 'commissione massima non valida o sotto la minima');
+    check('rounding', value => this.ROUNDINGS.indexOf(value) !== -1, 'arrotondamento sconosciuto');
+    check('roundingStep', value => Number.isInteger(value) && value >= 1, 'passo di arrotondamento non valido');
+
+    if (rules.tiers !== undefined) {
+      const tiers = this.readTiers(rules.tiers, label, problems);
+      if (tiers) result.tiers = tiers;
+    }
+    return result;
+  },
+
+  // Fasce dal layout, una per riga: "da; percentuale; parte fissa" (es: "50000; 3,2; 35" = da €500, 3,2% + €0,35).
+  // Parte fissa facoltativa. Una riga non valida scarta tutte le fasce: resta la regola base, non fasce a metà
+  readTiers: function(lines, label, problems) {
+    const tiers = [];
+    const rows = (lines || []).map(line => String(line).trim()).filter(Boolean);
+
+    for (const row of rows) {
+      const values = row.split(';').map(value => value.trim() === '' ? NaN : Number(value.trim().replace(',', '.')));
+      const [from, percentage, fixed] = values;
+      const previous = tiers[tiers.length - 1];
+      const valid = values.length >= 2 && values.length <= 3 &&
+        values.every(value => isFinite(value) && value >= 0) &&
+        percentage < 100 && (!previous || from > previous.from);
+
+      if (!valid) {
+        problems.push(`${label}: fascia "${row}" non valida (da; percentuale; parte fissa, dalla più bassa alla più alta)`);
+        return null;
+      }
+
+      const tier = { from: Math.round(from), percentage: percentage / 100 };
+      if (fixed !== undefined) tier.fixed = Math.round(fixed);
+      tiers.push(tier);
+    }
+    return tiers;
+  },
+
+  // Normalizza le impostazioni base dal layout (liste separate da virgola, spazi, valori vuoti)
+  readBase: function(base) {
+    const list = value => (value || []).map(entry => String(entry).trim()).filter(Boolean);
+    let pattern = base.excludeSkuPattern || null;
+    try {
+      if (pattern) new RegExp(pattern);
+    } catch (error) {
+      pattern = null;
+    }
+
+    return {
+      subtractCartDiscounts: base.subtractCartDiscounts !== false,
+      excludeGiftCards: base.excludeGiftCards !== false,
+      excludeProductTypes: list(base.excludeProductTypes),
+      excludeTags: list(base.excludeTags),
+      excludeSkuPattern: pattern,
+      shippingEstimate: Math.max(0, Math.round(Number(base.shippingEstimate) || 0))
+    };
+  },
+
+  // Normalizza regole di esenzione e dati cliente (maiuscole/minuscole, spazi, valori vuoti)
+  readExemptions: function(exemptions, customer) {
+    const list = (value, normalize) => (value || []).map(entry => normalize(String(entry).trim())).filter(Boolean);
+    const lower = value => value.toLowerCase();
+    const upper = value => value.toUpperCase();
+
+    return {
+      rules: {
+        customerTags: list(exemptions.customerTags, lower),
+        countries: list(exemptions.countries, upper),
+        markets: list(exemptions.markets, lower)
+      },
+      customer: {
+        tags: list(customer.tags, lower),
+        country: customer.country ? upper(customer.country) : null,
+        market: customer.market ? lower(customer.market) : null
+      }
+    };
+  },
+
+  load: function() {
+    const data = this.read();
+    const problems = this.validate(data);
+
+    if (data) {
+      CONFIG.PAYPAL_FEE_SKU = data.sku || null;
+      CONFIG.PAYPAL_FEE_VARIANT_ID = data.variantId || null;
+      CONFIG.PAYPAL_FEE_PRODUCT_HANDLE = data.productHandle || null;
+      CONFIG.PAYPAL_FEE_VARIANTS = data.variants || [];
+      CONFIG.CART_ATTRIBUTE = data.cartAttribute || CONFIG.CART_ATTRIBUTE;
+      if (data.rules) {
+        CONFIG.FEE_RULES = Object.assign({}, CONFIG.FEE_RULES, this.readRules(data.rules, 'PayPal'));
+      }
+      if (data.base) {
+        CONFIG.FEE_BASE = Object.assign({}, CONFIG.FEE_BASE, this.readBase(data.base));
+      }
+      const exemptions = this.readExemptions(data.exemptions || {}, data.customer || {});
+      CONFIG.EXEMPTIONS = exemptions.rules;
+      CONFIG.CUSTOMER = exemptions.customer;
+      CONFIG.INITIAL_CART_CHOICE = data.cartChoice;
+      CONFIG.INITIAL_CART_LINES = Array.isArray(data.cartLines) ? data.cartLines : null;
+      if (data.currency) {
+        CONFIG.CURRENCY = {
+          shop: data.currency.shop || null,
+          active: data.currency.active || data.currency.shop || null,
+          moneySample: data.currency.moneySample || null,
+          moneyWithCurrencySample: data.currency.moneyWithCurrencySample || null
+        };
+      }
+      CONFIG.FEE_ENCODING = this.ENCODINGS.indexOf(data.encoding) !== -1 ? data.encoding : 'cents';
+      CONFIG.SURCHARGE_METHODS = (data.methods || [])
+        .filter(method => method.variantId)
+        .map(method => ({
+          id: method.id,
+          label: method.label,
+          sku: method.sku || null,
+          variantId: method.variantId,
+          variants: method.variants || [],
+          rules: this.readRules(method.rules || {}, method.label)
+        }));
+    }
+
+    if (problems.length) {
+      // Errore e non avviso: deve restare visibile nella console anche fuori dalla modalità debug
+      FeeLogger.error('⚠️ Configurazione incompleta:\n- ' + problems.join('\n- '));
+    }
+
+    return problems.length === 0;
+  }
+};
@@ -0,0 +1,84 @@
+import { CONFIG } from './config.js';
+
+// LOG
+// Livelli debug < info < warn < error. Di norma la console riceve solo gli errori;
+// in modalità debug (CONFIG.DEBUG_PARAM nell'URL, o flag in localStorage impostato a mano) tutti i livelli, e ogni voce
+// { time, level, message, data } resta nello storico letto dal pannello diagnostica (FeeDiagnostics).
+// Nessun accesso a window all'import: il calcolo commissione resta importabile senza DOM
+export const FeeLogger = {
+  LEVELS: ['debug', 'info', 'warn', 'error'],
+  DEFAULT_LEVEL: 'error',
+  HISTORY_SIZE: 50,
+  PREFIX: '[Commissione PayPal]',
+  entries: [],
+  listeners: [],
+  debugMode: null, // Letto alla prima richiesta (vedi isDebug)
+
+  isDebug: function() {
+    if (this.debugMode === null) this.debugMode = this.detect();
+    return this.debugMode;
+  },
+
+  // Il parametro nell'URL vale per le pagine successive della stessa sessione (sessionStorage): lo staff lo fa
+  // aprire una volta al cliente. Il flag in localStorage, per le prove in negozio, va impostato a mano da console.
+  // ?paypal_fee_debug=0 spegne entrambi
+  detect: function() {
+    if (typeof window === 'undefined') return false;
+    const param = new URLSearchParams(window.location.search).get(CONFIG.DEBUG_PARAM);
+    try {
+      if (param === '0') {
+        window.sessionStorage.removeItem(CONFIG.DEBUG_STORAGE_KEY);
+        window.localStorage.removeItem(CONFIG.DEBUG_STORAGE_KEY);
+      } else if (param !== null) {
+        window.sessionStorage.setItem(CONFIG.DEBUG_STORAGE_KEY, '1');
+      }
+      return window.sessionStorage.getItem(CONFIG.DEBUG_STORAGE_KEY) === '1' ||
+        window.localStorage.getItem(CONFIG.DEBUG_STORAGE_KEY) === '1';
+    } catch (_) {
+      // Storage non disponibile (es: cookie bloccati): vale solo il parametro
+      return param !== null && param !== '0';
+    }
+  },
+
+  debug: function(message, data) {
+    this.log('debug', message, data);
+  },
+
+  info: function(message, data) {
+    this.log('info', message, data);
+  },
+
+  warn: function(message, data) {
+    this.log('warn', message, data);
+  },
+
+  error: function(message, data) {
+    this.log('error', message, data);
+  },
+
+  log: function(level, message, data) {
+    const debug = this.isDebug();
+
+    if (debug) {
+      const entry = { time: Date.now(), level: level, message: message, data: data };
+      this.entries.push(entry);
+      if (this.entries.length > this.HISTORY_SIZE) this.entries.shift();
+      this.listeners.forEach(fn => {
+        try { fn(entry); } catch (_) {}
+      });
+    }
+
+    if (!debug && this.LEVELS.indexOf(level) < this.LEVELS.indexOf(this.DEFAULT_LEVEL)) return;
+    const args = [`${this.PREFIX} ${message}`];
+    if (data !== undefined) args.push(data);
+    console[level].apply(console, args);
+  },
+
+  // Nuove voci dello storico (solo in modalità debug). Restituisce la funzione per rimuovere il listener
+  subscribe: function(fn) {
+    this.listeners.push(fn);
+    return () => {
+      this.listeners = this.listeners.filter(listener => listener !== fn);
+    };
+  }
+};
@@ -0,0 +1,95 @@
+import { CONFIG } from '../config/config.js';
+import { FeeLogger } from '../config/logger.js';
+import { CartLines } from './lines.js';
+import { Money } from './money.js';
+
+// BASE DI CALCOLO COMMISSIONE
+// Pipeline di passi (PIPELINE) configurati da CONFIG.FEE_BASE. Ogni passo riceve carrello, righe e
+// dettaglio parziale e lo aggiorna. Il dettaglio finale è esposto (FeeLabels) per mostrare nel
+// riepilogo "commissione calcolata su €X":
+// { lines, excluded: [{ key, title, amount, reason }], discounts, shipping, base }
+export const FeeBase = {
+  PIPELINE: ['lines', 'cartDiscounts', 'shipping'],
+  tagsByHandle: {}, // Cache tag prodotto: /cart.js non li include
+
+  steps: {
+    // Somma le righe prodotto, tranne commissioni ed esclusioni configurate
+    lines: function(cart, items, breakdown) {
+      items.forEach(item => {
+        if (CartLines.isFeeLine(item)) return;
+
+        const reason = FeeBase.exclusionReason(item);
+        if (reason) {
+          breakdown.excluded.push({ key: item.key, title: item.title, amount: item.final_line_price, reason: reason });
+          return;
+        }
+        breakdown.lines += item.final_line_price;
+      });
+      breakdown.base = breakdown.lines;
+    },
+
+    // Sconti a livello carrello: non sono già inclusi in final_line_price
+    cartDiscounts: function(cart, items, breakdown) {
+      if (!CONFIG.FEE_BASE.subtractCartDiscounts) return;
+
+      (cart.cart_level_discount_applications || []).forEach(discount => {
+        breakdown.discounts += discount.total_allocated_amount || 0;
+      });
+      breakdown.base = Math.max(0, breakdown.base - breakdown.discounts);
+    },
+
+    // Spedizione stimata, solo se c'è qualcosa su cui pagare la commissione
+    shipping: function(cart, items, breakdown) {
+      if (!CONFIG.FEE_BASE.shippingEstimate || breakdown.base <= 0) return;
+
+      breakdown.shipping = Money.round(Money.fromShopCurrency(CONFIG.FEE_BASE.shippingEstimate));
+      breakdown.base += breakdown.shipping;
+    }
+  },
+
+  // Dettaglio della base per il carrello; extraItems = righe ipotetiche (es: anteprima pagina prodotto)
+  breakdown: function(cart, extraItems) {
+    const items = (cart.items || []).concat(extraItems || []);
+    const breakdown = { lines: 0, excluded: [], discounts: 0, shipping: 0, base: 0 };
+
+    this.PIPELINE.forEach(name => {
+      this.steps[name](cart, items, breakdown);
+    });
+
+    return breakdown;
+  },
+
+  // Motivo per cui la riga non paga commissione, null se va inclusa
+  exclusionReason: function(item) {
+    const rules = CONFIG.FEE_BASE;
+    const productType = String(item.product_type || '').toLowerCase();
+    const tags = this.tagsByHandle[item.handle] || [];
+
+    if (rules.excludeGiftCards && item.gift_card) return 'gift-card';
+    if (rules.excludeProductTypes.some(type => type.toLowerCase() === productType)) return 'product-type';
+    if (rules.excludeSkuPattern && new RegExp(rules.excludeSkuPattern, 'i').test(item.sku || '')) return 'sku';
+    if (rules.excludeTags.some(tag => tags.indexOf(tag) !== -1)) return 'tag';
+    return null;
+  },
+
+  // Carica i tag dei prodotti nel carrello non ancora in cache (solo se ci sono tag da escludere)
+  prepare: async function(cart) {
+    if (!cart || CONFIG.FEE_BASE.excludeTags.length === 0) return;
+
+    const handles = cart.items
+      .filter(item => !CartLines.isFeeLine(item) && item.handle && !this.tagsByHandle[item.handle])
+      .map(item => item.handle)
+      .filter((handle, index, list) => list.indexOf(handle) === index);
+
+    await Promise.all(handles.map(async handle => {
+      try {
+        const response = await fetch(`/products/${handle}.js`);
+        if (!response.ok) return;
+        const product = await response.json();
+        this.tagsByHandle[handle] = product.tags || [];
+      } catch (error) {
+        FeeLogger.error('Errore lettura tag prodotto', { handle: handle, error: error });
+      }
+    }));
+  }
+};
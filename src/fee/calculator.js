@@ -0,0 +1,41 @@
+import { I18n } from '../config/i18n.js';
+import { FeeBase } from './base.js';
+import { FeeEvents } from './events.js';
+import { PaymentMethods } from './methods.js';
+import { Money } from './money.js';
+import { FeeRules } from './rules.js';
+
+// CALCOLO COMMISSIONE
+// Unico punto di calcolo per carrello, riepilogo, banner prodotto e script esterni al tema:
+// import { FeeCalculator } from './src/fee/calculator.js' non carica DOM, richieste o listener.
+// Usa CONFIG così com'è: nel tema la configurazione del layout la carica start() di src/config.
+export const FeeCalculator = {
+  // Calcola la commissione del metodo di pagamento (default PayPal), passando per gli hook
+  // beforeCalculate/afterCalculate (vedi FeeEvents). cart è il carrello su cui si calcola, se noto
+  calculate: function(subtotalCents, methodId, cart) {
+    const method = PaymentMethods.get(methodId);
+    const context = { base: subtotalCents, methodId: method.id, cart: cart || null };
+    const base = FeeEvents.runHooks('beforeCalculate', subtotalCents, context);
+    const amount = FeeRules.calculate(base, Money.localizeRules(PaymentMethods.rules(method.id)));
+    const result = FeeEvents.runHooks('afterCalculate', amount, Object.assign({}, context, { base: base }));
+    // Anche dopo gli hook l'importo deve essere esprimibile nella valuta del carrello
+    return result > 0 ? Money.round(result) : 0;
+  },
+
+  // Solo le regole del metodo, senza hook: nessun codice esterno e nessun log (es: pannello diagnostica)
+  calculateWithoutHooks: function(subtotalCents, methodId) {
+    const method = PaymentMethods.get(methodId);
+    const amount = FeeRules.calculate(subtotalCents, Money.localizeRules(PaymentMethods.rules(method.id)));
+    return amount > 0 ? Money.round(amount) : 0;
+  },
+
+  // Importo su cui si calcola la commissione (vedi FeeBase)
+  base: function(cart) {
+    return FeeBase.breakdown(cart).base;
+  },
+
+  // Descrizione leggibile della regola nella lingua della pagina (es: "3,5%" o "3,5% + 0,35 €")
+  describe: function(subtotalCents, methodId) {
+    return FeeRules.describe(Money.localizeRules(PaymentMethods.rules(methodId)), subtotalCents, I18n.locale());
+  }
+};
@@ -0,0 +1,95 @@
+import { CONFIG } from '../config/config.js';
+
+// CODIFICA RIGHE COMMISSIONE
+// Trasforma un importo in centesimi nelle righe da mettere nel carrello: [{ variantId, quantity, properties }].
+// - cents: una riga della variante da €0.01, quantità = centesimi (350 = €3.50). In un'altra valuta
+//   la quantità è l'importo diviso il prezzo convertito della variante (vedi unitPrice)
+// - denominations: varianti a taglio fisso (€10, €1, €0.10, €0.01), poche righe con quantità piccole
+// - price-override: una riga a quantità 1 con l'importo in _fee_amount; il prezzo lo imposta
+//   un meccanismo esterno (es: Cart Transform di Shopify Functions), la variante costa €0
+// Il resto dell'handler riconosce le righe con PaymentMethods.forLine e non dipende dalla codifica.
+export const FeeEncoding = {
+  STRATEGIES: {
+    cents: {
+      lines: function(amount, method) {
+        const unit = FeeEncoding.unitPrice(method);
+        return [{
+          variantId: method.variantId,
+          quantity: Math.ceil(amount / unit),
+          properties: {
+            'Nota': unit === 1
+              ? 'La quantità mostrata rappresenta i centesimi dell\'importo (es: 350 = €3.50)'
+              : 'La quantità mostrata moltiplicata per il prezzo unitario è l\'importo della commissione'
+          }
+        }];
+      }
+    },
+
+    denominations: {
+      // Tagli dal più grande al più piccolo; l'ultimo arrotonda per eccesso se manca il taglio da €0.01
+      lines: function(amount, method) {
+        const denominations = FeeEncoding.denominations(method);
+        const lines = [];
+        let rest = amount;
+
+        denominations.forEach((variant, index) => {
+          const isLast = index === denominations.length - 1;
+          const quantity = isLast ? Math.ceil(rest / variant.price) : Math.floor(rest / variant.price);
+          if (quantity <= 0) return;
+
+          lines.push({ variantId: variant.id, quantity: quantity, properties: {} });
+          rest -= quantity * variant.price;
+        });
+
+        return lines;
+      }
+    },
+
+    'price-override': {
+      lines: function(amount, method) {
+        return [{
+          variantId: method.variantId,
+          quantity: 1,
+          properties: { '_fee_amount': String(amount), '_fee_currency': CONFIG.CURRENCY.active || '' }
+        }];
+      },
+
+      // Una riga con importo diverso non si corregge con la quantità: va sostituita
+      canKeep: function(item, line) {
+        return String((item.properties || {})._fee_amount) === line.properties._fee_amount;
+      }
+    }
+  },
+
+  get: function() {
+    return this.STRATEGIES[CONFIG.FEE_ENCODING] || this.STRATEGIES.cents;
+  },
+
+  // Righe che rappresentano l'importo (nessuna se l'importo è zero)
+  lines: function(amountCents, method) {
+    const amount = Math.round(amountCents);
+    if (amount <= 0) return [];
+    return this.get().lines(amount, method);
+  },
+
+  // Prezzo della variante commissione nella valuta del carrello (il layout stampa i prezzi già convertiti).
+  // 1 centesimo se non è noto
+  unitPrice: function(method) {
+    const variant = (method.variants || []).find(entry => entry.id === method.variantId);
+    return variant && variant.price > 0 ? variant.price : 1;
+  },
+
+  // Varianti del metodo con prezzo positivo, dalla più cara alla più economica
+  denominations: function(method) {
+    return (method.variants || [])
+      .filter(variant => variant.price > 0)
+      .sort((a, b) => b.price - a.price);
+  },
+
+  // Una riga già nel carrello può diventare quella voluta cambiando solo la quantità?
+  canKeep: function(item, line) {
+    if (item.variant_id !== line.variantId) return false;
+    const strategy = this.get();
+    return strategy.canKeep ? strategy.canKeep(item, line) : true;
+  }
+};
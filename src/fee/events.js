@@ -0,0 +1,58 @@
+import { FeeLogger } from '../config/logger.js';
+
+// EVENTI E HOOK PUBBLICI
+// Eventi sul document (CustomEvent) per chi deve reagire alle modifiche della commissione:
+// - fee:before-add  prima di aggiungere la commissione a un carrello che non l'ha (preventDefault() la blocca)
+// - fee:added / fee:updated / fee:removed  dopo la modifica nel carrello
+// - fee:error  quando la modifica non riesce
+// detail: { cart, methodId, oldAmount, newAmount, reason } (+ error per fee:error), importi in centesimi.
+// Hook (registrati con PayPalFeeHandler.on): beforeCalculate(base, context) può restituire una nuova base,
+// afterCalculate(amount, context) un nuovo importo. context: { base, methodId, cart }
+// Deprecato: dopo fee:added, fee:updated e fee:removed parte anche il vecchio 'paypal-fee-changed' senza dati (vedi README)
+export const FeeEvents = {
+  HOOKS: ['beforeCalculate', 'afterCalculate'],
+  DEPRECATED_CHANGE_EVENT: 'paypal-fee-changed',
+  CHANGE_EVENTS: ['fee:added', 'fee:updated', 'fee:removed'],
+  hooks: { beforeCalculate: [], afterCalculate: [] },
+
+  // Hook per i nomi in HOOKS, altrimenti listener sul document. Restituisce la funzione per rimuoverlo
+  on: function(name, fn) {
+    if (this.HOOKS.indexOf(name) !== -1) {
+      this.hooks[name].push(fn);
+    } else {
+      document.addEventListener(name, fn);
+    }
+    return () => this.off(name, fn);
+  },
+
+  off: function(name, fn) {
+    if (this.HOOKS.indexOf(name) !== -1) {
+      this.hooks[name] = this.hooks[name].filter(hook => hook !== fn);
+    } else {
+      document.removeEventListener(name, fn);
+    }
+  },
+
+  // Passa il valore attraverso gli hook in ordine di registrazione. Un hook che fallisce
+  // o restituisce qualcosa che non è un numero lascia il valore invariato
+  runHooks: function(name, value, context) {
+    return this.hooks[name].reduce((current, hook) => {
+      try {
+        const result = hook(current, context);
+        return typeof result === 'number' && isFinite(result) ? result : current;
+      } catch (error) {
+        FeeLogger.error(`Errore hook ${name}`, error);
+        return current;
+      }
+    }, value);
+  },
+
+  // Restituisce false se un listener ha annullato l'evento (solo per quelli cancelable)
+  emit: function(name, detail, cancelable) {
+    const result = document.dispatchEvent(new CustomEvent(name, { detail: detail, cancelable: !!cancelable }));
+    if (this.CHANGE_EVENTS.indexOf(name) !== -1) {
+      document.dispatchEvent(new CustomEvent(this.DEPRECATED_CHANGE_EVENT));
+    }
+    return result;
+  }
+};
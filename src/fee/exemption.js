@@ -0,0 +1,22 @@
+import { CONFIG } from '../config/config.js';
+
+// ESENZIONI COMMISSIONE
+// Clienti con tag esenti (club, rivenditori B2B) e paesi/mercati dove la commissione non è ammessa.
+// Stesse regole dello snippet payment-surcharge-exemption, che nel tema nasconde banner e checkbox:
+// qui servono a togliere le righe commissione rimaste nel carrello e a non bloccare il checkout.
+export const FeeExemption = {
+  // 'customer-tag', 'country', 'market' oppure null se la commissione si applica
+  reason: function() {
+    const rules = CONFIG.EXEMPTIONS;
+    const customer = CONFIG.CUSTOMER;
+
+    if (rules.customerTags.some(tag => customer.tags.indexOf(tag) !== -1)) return 'customer-tag';
+    if (customer.country && rules.countries.indexOf(customer.country) !== -1) return 'country';
+    if (customer.market && rules.markets.indexOf(customer.market) !== -1) return 'market';
+    return null;
+  },
+
+  isExempt: function() {
+    return this.reason() !== null;
+  }
+};
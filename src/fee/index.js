@@ -0,0 +1,19 @@
+import { start as startConfig } from '../config/index.js';
+import { FeeBase } from './base.js';
+import { FeeCalculator } from './calculator.js';
+import { FeeEncoding } from './encoding.js';
+import { FeeEvents } from './events.js';
+import { FeeExemption } from './exemption.js';
+import { CartLines } from './lines.js';
+import { PaymentMethods } from './methods.js';
+import { Money } from './money.js';
+import { FeeRules } from './rules.js';
+
+export { CartLines, FeeBase, FeeCalculator, FeeEncoding, FeeEvents, FeeExemption, FeeRules, Money, PaymentMethods };
+
+// AVVIO CALCOLO COMMISSIONE
+// Il calcolo non ha listener né richieste: start() carica solo la configurazione del layout,
+// così regole, metodi ed esenzioni sono quelli del tema. Senza start() valgono i valori di CONFIG
+export function start() {
+  return startConfig();
+}
@@ -0,0 +1,49 @@
+import { PaymentMethods } from './methods.js';
+
+// RIGHE COMMISSIONE NEL CARRELLO
+// Letture sulle righe di /cart.js: quali sono commissioni (PayPal o altro metodo, vedi PaymentMethods.forLine),
+// quanto valgono e cosa resta senza. Nessuna richiesta: lavorano sul carrello ricevuto.
+export const CartLines = {
+  // Verifica se il line item è una commissione
+  isFeeLine: function(item) {
+    return !!PaymentMethods.forLine(item);
+  },
+
+  // Calcola subtotale escludendo commissione PayPal (per sapere se il carrello è vuoto; per l'importo usa FeeCalculator.base)
+  getSubtotalWithoutFee: function(cart) {
+    let subtotal = 0;
+    cart.items.forEach(item => {
+      if (!this.isFeeLine(item)) {
+        subtotal += item.final_line_price;
+      }
+    });
+    return subtotal;
+  },
+
+  // Calcola il numero di articoli visualizzabile (esclude commissione). Unico conteggio usato per i badge (CartCount)
+  getAdjustedItemCount: function(cart) {
+    let count = 0;
+    cart.items.forEach(item => {
+      if (!this.isFeeLine(item)) {
+        count += item.quantity;
+      }
+    });
+    return count;
+  },
+
+  // Trova line item commissione PayPal
+  findFeeLineItem: function(cart) {
+    return cart.items.find(item => this.isFeeLine(item));
+  },
+
+  // Trova TUTTE le righe commissione (normalmente una sola, vedi CartAudit)
+  findFeeLineItems: function(cart) {
+    return cart.items.filter(item => this.isFeeLine(item));
+  },
+
+  // Importo commissione presente nel carrello (somma delle righe commissione, in centesimi)
+  getFeeAmount: function(cart) {
+    if (!cart || !cart.items) return 0;
+    return this.findFeeLineItems(cart).reduce((sum, item) => sum + item.final_line_price, 0);
+  }
+};
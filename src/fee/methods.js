@@ -0,0 +1,43 @@
+import { CONFIG } from '../config/config.js';
+
+// METODI DI PAGAMENTO CON COMMISSIONE
+// PayPal usa la configurazione principale, gli altri arrivano da CONFIG.SURCHARGE_METHODS
+export const PaymentMethods = {
+  DEFAULT_ID: 'paypal',
+
+  all: function() {
+    const paypal = {
+      id: 'paypal',
+      label: 'PayPal',
+      sku: CONFIG.PAYPAL_FEE_SKU,
+      variantId: CONFIG.PAYPAL_FEE_VARIANT_ID,
+      variants: CONFIG.PAYPAL_FEE_VARIANTS,
+      rules: {}
+    };
+    return [paypal].concat(CONFIG.SURCHARGE_METHODS);
+  },
+
+  get: function(methodId) {
+    const id = methodId || this.DEFAULT_ID;
+    return this.all().find(method => method.id === id) || null;
+  },
+
+  // Regole effettive: FEE_RULES con le eventuali sovrascritture del metodo
+  rules: function(methodId) {
+    const method = this.get(methodId);
+    return Object.assign({}, CONFIG.FEE_RULES, method ? method.rules : {});
+  },
+
+  // Metodo a cui appartiene una riga commissione (per SKU, variante o proprietà), null se prodotto normale
+  forLine: function(item) {
+    const properties = item.properties || {};
+
+    return this.all().find(method => {
+      return (!!method.sku && item.sku === method.sku) ||
+        (!!method.variantId && item.variant_id === method.variantId) ||
+        (method.variants || []).some(variant => variant.id === item.variant_id) ||
+        (method.id === 'paypal' && properties._paypal_fee === 'true') ||
+        properties._payment_surcharge === method.id;
+    }) || null;
+  }
+};
@@ -0,0 +1,145 @@
+import { CONFIG } from '../config/config.js';
+
+// VALUTA E FORMATO IMPORTI
+// Gli importi di /cart.js sono nella valuta del carrello (Shopify Markets), sempre in centesimi:
+// anche per le valute senza decimali (JPY: ¥1000 = 100000). Le regole in CONFIG sono nella valuta
+// del negozio e vengono convertite con il cambio di Shopify.currency.rate. Gli importi si mostrano sempre
+// con i formati del negozio (segnaposto del filtro money), anche nelle altre valute.
+export const Money = {
+  TEMPLATE_FALLBACK: '{{amount_with_comma_separator}} €',
+  SAMPLE_CENTS: 1234567, // Importo degli esempi di formato pubblicati dal layout (currency.moneySample)
+  // "migliaia|decimali" dell'esempio → segnaposto del filtro money
+  SAMPLE_PLACEHOLDERS: {
+    ',|.': 'amount',
+    '.|,': 'amount_with_comma_separator',
+    ' |,': 'amount_with_space_separator',
+    ' |.': 'amount_with_period_and_space_separator',
+    '\'|.': 'amount_with_apostrophe_separator',
+    ',|': 'amount_no_decimals',
+    '.|': 'amount_no_decimals_with_comma_separator',
+    ' |': 'amount_no_decimals_with_space_separator'
+  },
+
+  isShopCurrency: function() {
+    return !CONFIG.CURRENCY.active || CONFIG.CURRENCY.active === CONFIG.CURRENCY.shop;
+  },
+
+  // Cambio da valuta del negozio a valuta del carrello (1 se coincidono)
+  rate: function() {
+    if (this.isShopCurrency()) return 1;
+    const rate = Number(window.Shopify && window.Shopify.currency && window.Shopify.currency.rate);
+    return rate > 0 ? rate : 1;
+  },
+
+  // Decimali della valuta (EUR 2, JPY 0), 2 se il browser non la conosce
+  decimals: function(currency) {
+    try {
+      return new Intl.NumberFormat('en', { style: 'currency', currency: currency }).resolvedOptions().maximumFractionDigits;
+    } catch (error) {
+      return 2;
+    }
+  },
+
+  // Passo minimo in centesimi per la valuta del carrello: 1 per EUR, 100 per JPY
+  minorUnitStep: function() {
+    if (!CONFIG.CURRENCY.active) return 1;
+    return Math.pow(10, Math.max(0, 2 - this.decimals(CONFIG.CURRENCY.active)));
+  },
+
+  // Arrotonda per eccesso all'unità minima della valuta
+  round: function(cents) {
+    const step = this.minorUnitStep();
+    return Math.ceil(Math.round(cents) / step) * step;
+  },
+
+  // Importo in centesimi della valuta del negozio → centesimi della valuta del carrello (non arrotondato)
+  fromShopCurrency: function(cents) {
+    return cents * this.rate();
+  },
+
+  // Regole FEE_RULES convertite nella valuta del carrello: importi fissi, fasce e passo di arrotondamento
+  // col cambio. Il modo (ceil/floor/round) resta; il passo diventa un multiplo dell'unità minima della valuta
+  localizeRules: function(rules) {
+    const convert = value => value === null || value === undefined ? value : this.fromShopCurrency(value);
+    const step = this.minorUnitStep();
+    // Passo 1 = unità minima in ogni valuta; gli altri (es: 5 centesimi) sono importi da convertire
+    const roundingStep = (rules.roundingStep || 1) > 1
+      ? Math.max(Math.round(convert(rules.roundingStep) / step) * step, step)
+      : step;
+
+    return Object.assign({}, rules, {
+      fixed: convert(rules.fixed),
+      min: convert(rules.min),
+      max: convert(rules.max),
+      roundingStep: roundingStep,
+      tiers: (rules.tiers || []).map(tier => Object.assign({}, tier, {
+        from: convert(tier.from),
+        fixed: convert(tier.fixed)
+      }))
+    });
+  },
+
+  // Formato del negozio (shop.money_format, es: "€{{amount_with_comma_separator}}"), vedi template()
+  format: function(cents) {
+    return this.applyTemplate(cents, this.template(false));
+  },
+
+  // Come format, con il formato "con valuta" del negozio (shop.money_with_currency_format, es:
+  // "€{{amount_with_comma_separator}} EUR"): per gli importi che il tema stampa con money_with_currency
+  formatWithCurrency: function(cents) {
+    return this.applyTemplate(cents, this.template(true));
+  },
+
+  // Valuta del negozio: i formati di window.theme. Altre valute: il formato che Shopify usa per la valuta
+  // del carrello, ricavato dagli esempi formattati dal layout (vedi templateFromSample)
+  template: function(withCurrency) {
+    if (!this.isShopCurrency()) {
+      const sample = withCurrency ? CONFIG.CURRENCY.moneyWithCurrencySample : CONFIG.CURRENCY.moneySample;
+      const template = sample ? this.templateFromSample(sample) : null;
+      if (template) return template;
+    }
+
+    const theme = window.theme || {};
+    return (withCurrency && theme.moneyWithCurrencyFormat) || theme.moneyFormat || this.TEMPLATE_FALLBACK;
+  },
+
+  // Esempio "$12,345.67" (SAMPLE_CENTS con il filtro money) → "${{amount}}": i separatori indicano il segnaposto.
+  // null se i separatori non corrispondono a nessun segnaposto di Shopify
+  templateFromSample: function(sample) {
+    const text = sample.replace(/<[^>]*>/g, '').replace(/\u00a0/g, ' ');
+    const match = text.match(/\d[\d.,' ]*\d/);
+    if (!match) return null;
+
+    const number = match[0];
+    const hasDecimals = /[.,]\d{2}$/.test(number);
+    const decimal = hasDecimals ? number.charAt(number.length - 3) : '';
+    const thousands = ((hasDecimals ? number.slice(0, -3) : number).match(/\D/) || [''])[0];
+    const placeholder = this.SAMPLE_PLACEHOLDERS[`${thousands}|${decimal}`];
+
+    return placeholder ? text.replace(number, `{{${placeholder}}}`) : null;
+  },
+
+  // Stessi segnaposto del filtro money di Liquid
+  applyTemplate: function(cents, template) {
+    const value = Math.round(cents) / 100;
+    const withSeparators = (precision, thousands, decimal) => {
+      const parts = value.toFixed(precision).split('.');
+      const whole = parts[0].replace(/(\d)(?=(\d{3})+(?!\d))/g, '$1' + thousands);
+      return parts[1] ? whole + decimal + parts[1] : whole;
+    };
+    const placeholders = {
+      amount: () => withSeparators(2, ',', '.'),
+      amount_no_decimals: () => withSeparators(0, ',', '.'),
+      amount_with_comma_separator: () => withSeparators(2, '.', ','),
+      amount_no_decimals_with_comma_separator: () => withSeparators(0, '.', ','),
+      amount_with_space_separator: () => withSeparators(2, ' ', ','),
+      amount_no_decimals_with_space_separator: () => withSeparators(0, ' ', ','),
+      amount_with_period_and_space_separator: () => withSeparators(2, ' ', '.'),
+      amount_with_apostrophe_separator: () => withSeparators(2, '\'', '.')
+    };
+
+    return template
+      .replace(/\{\{\s*(\w+)\s*\}\}/, (match, name) => placeholders[name] ? placeholders[name]() : match)
+      .replace(/<[^>]*>/g, ''); // Alcuni formati contengono HTML (es: <span class=money>)
+  }
+};
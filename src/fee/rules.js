@@ -0,0 +1,65 @@
+import { Money } from './money.js';
+
+// MOTORE REGOLE COMMISSIONE
+export const FeeRules = {
+  ROUNDING_MODES: {
+    ceil: Math.ceil,
+    floor: Math.floor,
+    round: Math.round
+  },
+
+  // Restituisce la fascia applicabile al subtotale (l'ultima con from <= subtotale)
+  resolveTier: function(subtotalCents, rules) {
+    let match = null;
+    (rules.tiers || []).forEach(tier => {
+      if (subtotalCents >= (tier.from || 0)) match = tier;
+    });
+    return match;
+  },
+
+  // Percentuale e parte fissa effettive per il subtotale
+  resolveRate: function(subtotalCents, rules) {
+    const tier = this.resolveTier(subtotalCents, rules) || {};
+    return {
+      percentage: tier.percentage !== undefined ? tier.percentage : (rules.percentage || 0),
+      fixed: tier.fixed !== undefined ? tier.fixed : (rules.fixed || 0)
+    };
+  },
+
+  round: function(amount, rules) {
+    const mode = this.ROUNDING_MODES[rules.rounding] || Math.ceil;
+    const step = rules.roundingStep > 0 ? rules.roundingStep : 1;
+    // Elimina l'errore dei float (es: 10000 * 0.035 = 350.00000000000006) prima di arrotondare
+    const normalized = Math.round((amount / step) * 1e6) / 1e6;
+    return mode(normalized) * step;
+  },
+
+  calculate: function(subtotalCents, rules) {
+    if (!subtotalCents || subtotalCents <= 0) return 0;
+
+    const rate = this.resolveRate(subtotalCents, rules);
+    let fee = this.round(subtotalCents * rate.percentage + rate.fixed, rules);
+
+    if (rules.min) fee = Math.max(fee, rules.min);
+    if (rules.max !== null && rules.max !== undefined) fee = Math.min(fee, rules.max);
+
+    return fee;
+  },
+
+  // Percentuale col separatore decimale della lingua (locale, es: 'it' → 3,5%, 'en' → 3.5%)
+  describe: function(rules, subtotalCents, locale) {
+    const rate = this.resolveRate(subtotalCents || 0, rules);
+    const percentage = this.formatPercentage(rate.percentage, locale) + '%';
+    return rate.fixed ? percentage + ' + ' + Money.format(rate.fixed) : percentage;
+  },
+
+  formatPercentage: function(percentage, locale) {
+    const value = Math.round(percentage * 10000) / 100;
+    try {
+      return new Intl.NumberFormat(locale || 'it', { maximumFractionDigits: 2 }).format(value);
+    } catch (error) {
+      // Lingua non riconosciuta dal browser
+      return new Intl.NumberFormat('it', { maximumFractionDigits: 2 }).format(value);
+    }
+  }
+};
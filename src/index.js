@@ -0,0 +1,88 @@
+/**
+ * PAYPAL FEE HANDLER
+ * Gestione commissione PayPal 3.5% per Softair Italia
+ *
+ * Funzionalità:
+ * - Checkbox "Pagherò con PayPal" nel carrello e mini-cart
+ * - Banner informativo chiaro nella pagina prodotto
+ * - Calcolo commissione configurabile (percentuale, parte fissa, min/max, fasce, arrotondamento)
+ * - Ricalcolo automatico quando carrello cambia
+ * - Ricalcolo e toggle compatto dopo i quick-add di collezioni, ricerca e quick-view
+ * - Rimozione automatica se carrello vuoto
+ * - Log silenziosi salvo modalità debug (?paypal_fee_debug=1), con pannello diagnostica
+ *
+ * Punto d'ingresso del bundle assets/paypal-fee-handler.js (npm run build). I moduli sono in src/:
+ * config, fee (calcolo, importabile da solo), cart (client del carrello), ui, modal, add-to-cart.
+ */
+
+import { CONFIG, ConfigLoader, FeeLogger, I18n, start as startConfig } from './config/index.js';
+import { CartLines, FeeBase, FeeCalculator, FeeEncoding, FeeEvents, FeeExemption, FeeRules, Money, PaymentMethods } from './fee/index.js';
+import { CartAPI, CartAudit, CartObserver, CartQueue, CartSections, FeeError, FeeState, TabSync, start as startCart } from './cart/index.js';
+import { CartCount, FeeDiagnostics, FeeNotifier, FeePreview, FeeRecovery, FeeSummary, start as startUI } from './ui/index.js';
+import { FeeDialog, start as startModal } from './modal/index.js';
+import { start as startAddToCart } from './add-to-cart/index.js';
+import { Utils } from './utils.js';
+
+// INIZIALIZZAZIONE
+// Idempotente: le chiamate successive alla prima non registrano altri listener
+let started = false;
+
+export function start() {
+  if (started) return false;
+  started = true;
+
+  startConfig();
+  startCart();
+  startUI();
+  startModal();
+  startAddToCart();
+
+  // Garantisce che la commissione sia allineata al subtotale attuale (la UI ascolta già l'esito)
+  CartQueue.schedule('init');
+  return true;
+}
+
+// Esporta per uso globale
+window.PayPalFeeHandler = {
+  config: CONFIG,
+  configLoader: ConfigLoader,
+  utils: Utils,
+  money: Money,
+  i18n: I18n,
+  logger: FeeLogger,
+  diagnostics: FeeDiagnostics,
+  notifier: FeeNotifier,
+  dialog: FeeDialog,
+  feeRules: FeeRules,
+  calculator: FeeCalculator,
+  lines: CartLines,
+  paymentMethods: PaymentMethods,
+  encoding: FeeEncoding,
+  feeBase: FeeBase,
+  exemption: FeeExemption,
+  summary: FeeSummary,
+  preview: FeePreview,
+  cartAPI: CartAPI,
+  cartQueue: CartQueue,
+  sections: CartSections,
+  recovery: FeeRecovery,
+  FeeError: FeeError,
+  cartObserver: CartObserver,
+  cartCount: CartCount,
+  events: FeeEvents,
+  on: FeeEvents.on.bind(FeeEvents),
+  off: FeeEvents.off.bind(FeeEvents),
+  audit: CartAudit,
+  tabSync: TabSync,
+  state: FeeState,
+  start: start,
+  init: start
+};
+
+// Lo script è caricato con defer dopo window.routes e window.theme (theme.liquid): nessuna attesa.
+// Se il DOM è già pronto, inizializza subito
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', start);
+} else {
+  start();
+}
@@ -0,0 +1,261 @@
+import { I18n } from '../config/i18n.js';
+import { FeeLogger } from '../config/logger.js';
+import { FeeExemption } from '../fee/exemption.js';
+import { CartLines } from '../fee/lines.js';
+import { PaymentMethods } from '../fee/methods.js';
+import { CartAPI } from '../cart/api.js';
+import { CartQueue } from '../cart/queue.js';
+import { CartRequest } from '../cart/request.js';
+import { FeeState } from '../cart/state.js';
+import { CheckboxHandler } from '../ui/checkbox.js';
+import { FeeLabels } from '../ui/labels.js';
+import { FeeNotifier } from '../ui/notifier.js';
+import { FeeDialog } from './dialog.js';
+
+// BLOCCO CHECKOUT PAYPAL SENZA COMMISSIONE
+// Intercetta il pulsante checkout del carrello/mini-cart e i pulsanti di pagamento accelerato
+// (PayPal, "Acquista ora"). Se il cliente non ha scelto la commissione né carta/bonifico,
+// apre un modal che propone di aggiungerla e continuare oppure di pagare con carta o bonifico.
+// Nota: i pulsanti PayPal dentro un iframe non emettono click nel documento e non sono intercettabili.
+export const CheckoutGuard = {
+  ACCELERATED_SELECTOR: '.shopify-payment-button, .additional-checkout-buttons, [data-shopify="payment-button"], shopify-accelerated-checkout, shopify-accelerated-checkout-cart',
+  TRIGGER_SELECTOR: 'button, [role="button"], a', // Pulsante cliccato dentro un contenitore accelerato
+  modalElement: null,
+  pending: null, // { origin: 'checkout' | 'cart-express' | 'product', form, trigger, triggerPath }
+  busy: false,
+  released: false, // Il prossimo submit/clic è la ripresa di quello intercettato: passa senza controlli
+
+  init: function() {
+    if (this.modalElement) return;
+    this.createModal();
+
+    // Fase di cattura: deve partire prima dei listener del tema e di Shopify
+    document.addEventListener('submit', (e) => {
+      const submitter = e.submitter;
+      if (submitter && submitter.name === 'checkout') {
+        this.guard(e, 'checkout', e.target, submitter);
+      }
+    }, true);
+
+    document.addEventListener('click', (e) => {
+      const target = e.target;
+      if (!target || !target.closest) return;
+
+      const checkoutButton = target.closest('button[name="checkout"], input[name="checkout"]');
+      if (checkoutButton) {
+        this.guard(e, 'checkout', checkoutButton.form, checkoutButton);
+        return;
+      }
+
+      const accelerated = target.closest(this.ACCELERATED_SELECTOR);
+      if (accelerated) {
+        const form = accelerated.closest('form');
+        const isProduct = !!form && /\/cart\/add/.test(form.getAttribute('action') || '');
+        // Da ricliccare alla ripresa è il pulsante (PayPal, Apple Pay...), non il contenitore
+        const button = target.closest(this.TRIGGER_SELECTOR);
+        this.guard(e, isProduct ? 'product' : 'cart-express', form, button && accelerated.contains(button) ? button : accelerated);
+      }
+    }, true);
+  },
+
+  // trigger: pulsante checkout o pulsante accelerato da riattivare quando il controllo è superato
+  guard: function(e, origin, form, trigger) {
+    if (this.released) {
+      this.released = false;
+      return;
+    }
+
+    // Carta o bonifico, oppure cliente/mercato esente: nessuna commissione richiesta
+    if (FeeState.isDeclined() || FeeExemption.isExempt()) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    e.stopImmediatePropagation();
+    if (this.busy) return;
+
+    this.pending = { origin: origin, form: form, trigger: trigger, triggerPath: this.triggerPath(trigger) };
+
+    // Commissione già scelta: verifica che sia nel carrello e prosegue senza chiedere
+    if (FeeState.wantsFee()) {
+      this.continueWithFee();
+      return;
+    }
+
+    this.showModal();
+  },
+
+  createModal: function() {
+    const modalHTML = `
+      <div class="paypal-checkout-confirm-overlay" id="paypal-checkout-guard-modal">
+        <div class="paypal-fee-modal">
+          <div class="paypal-fee-modal__header">
+            <span class="paypal-fee-modal__icon">💳</span>
+            <h3 class="paypal-fee-modal__title" id="paypal-checkout-guard-title">${I18n.t('guardTitle')}</h3>
+          </div>
+          <div class="paypal-fee-modal__body">
+            <p class="paypal-fee-modal__message">
+              ${I18n.t('guardMessageHtml', { rate: '<span data-paypal-fee-rate>3,5%</span>' })}
+            </p>
+            <div class="paypal-fee-modal__warning">
+              <p class="paypal-fee-modal__warning-text">
+                ${I18n.t('modalWarning')}
+              </p>
+            </div>
+          </div>
+          <div class="paypal-fee-modal__footer">
+            <button class="paypal-fee-modal__button paypal-fee-modal__button--cancel" data-modal-cancel>
+              ${I18n.t('modalCancel')}
+            </button>
+            <button class="paypal-fee-modal__button paypal-fee-modal__button--cancel" data-modal-decline>
+              ${I18n.t('guardDecline')}
+            </button>
+            <button class="paypal-fee-modal__button paypal-fee-modal__button--primary" data-modal-confirm>
+              ${I18n.t('guardConfirm')}
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+    this.modalElement = document.getElementById('paypal-checkout-guard-modal');
+    FeeLabels.update();
+
+    this.modalElement.querySelector('[data-modal-cancel]').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.closeModal();
+    });
+    this.modalElement.querySelector('[data-modal-decline]').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.continueWithoutFee();
+    });
+    this.modalElement.querySelector('[data-modal-confirm]').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.closeModal();
+      this.continueWithFee();
+    });
+
+    // Ruoli ARIA, focus, chiusura con ESC e clic sull'overlay
+    FeeDialog.setup(this.modalElement, () => this.closeModal());
+  },
+
+  showModal: function() {
+    FeeDialog.open(this.modalElement);
+  },
+
+  closeModal: function() {
+    FeeDialog.close(this.modalElement);
+  },
+
+  // Riprende il checkout intercettato. Il form del carrello viene reinviato con il suo pulsante checkout,
+  // così Shopify riceve anche nota e attributi del form; i pulsanti accelerati del carrello vengono ricliccati
+  resume: function(pending) {
+    const trigger = this.currentTrigger(pending);
+    const form = pending.form && this.currentForm(pending.form);
+
+    if (pending.origin === 'checkout' && form && typeof form.requestSubmit === 'function') {
+      // Submit e clic vengono inviati in modo sincrono: dopo la chiamata il permesso non serve più
+      this.released = true;
+      form.requestSubmit(form.querySelector('[name="checkout"]'));
+      this.released = false;
+      return;
+    }
+
+    if (pending.origin === 'cart-express' && trigger) {
+      this.released = true;
+      trigger.click();
+      this.released = false;
+      return;
+    }
+
+    // "Acquista ora" salterebbe il carrello (e la commissione), o il pulsante è stato sostituito:
+    // si va al checkout del carrello
+    window.location.href = this.checkoutUrl();
+  },
+
+  // Aggiungendo la commissione la sezione carrello viene sostituita (CartSections): un form staccato
+  // non si può inviare. Si usa quello nuovo con lo stesso id, riportando nota e attributi già scritti
+  currentForm: function(form) {
+    if (form.isConnected) return form;
+    const current = form.id ? document.getElementById(form.id) : null;
+    if (!current) return null;
+
+    Array.from(form.elements).forEach(field => {
+      if (!field.name || !/^(textarea|text|select-one)$/.test(field.type)) return;
+      const target = current.elements.namedItem(field.name);
+      if (target && target.type === field.type) target.value = field.value;
+    });
+    return current;
+  },
+
+  // Posizione del pulsante accelerato: { wrapper, button } come indici nel documento e nel contenitore
+  triggerPath: function(trigger) {
+    const wrapper = trigger && trigger.closest && trigger.closest(this.ACCELERATED_SELECTOR);
+    if (!wrapper) return null;
+    return {
+      wrapper: Array.from(document.querySelectorAll(this.ACCELERATED_SELECTOR)).indexOf(wrapper),
+      button: wrapper === trigger ? -1 : Array.from(wrapper.querySelectorAll(this.TRIGGER_SELECTOR)).indexOf(trigger)
+    };
+  },
+
+  // Come per il form: se il mini-cart è stato riscritto si riclicca il pulsante nella stessa posizione
+  currentTrigger: function(pending) {
+    const trigger = pending.trigger;
+    if (!trigger || trigger.isConnected) return trigger || null;
+    const path = pending.triggerPath;
+    const wrapper = path ? document.querySelectorAll(this.ACCELERATED_SELECTOR)[path.wrapper] : null;
+    if (!wrapper) return null;
+    return path.button === -1 ? wrapper : wrapper.querySelectorAll(this.TRIGGER_SELECTOR)[path.button] || null;
+  },
+
+  // Checkout nella lingua/mercato della pagina (window.routes di theme.liquid)
+  checkoutUrl: function() {
+    return `${(window.routes || {}).rootUrlWithoutSlash || ''}/checkout`;
+  },
+
+  // Aggiunge la commissione (e il prodotto, se si arriva da "Acquista ora") poi riprende il checkout
+  continueWithFee: async function() {
+    const pending = this.pending || { origin: 'checkout' };
+    this.busy = true;
+    FeeNotifier.progress(I18n.t('loaderAdding', { method: 'PayPal' }));
+
+    try {
+      await FeeState.select(FeeState.getMethod() || PaymentMethods.DEFAULT_ID);
+
+      // "Acquista ora" salta il carrello: il prodotto va aggiunto perché la commissione lo includa
+      if (pending.origin === 'product' && pending.form) {
+        await CartAPI.addProduct(pending.form);
+      }
+
+      await CartQueue.recalculate('checkout-guard');
+
+      const cart = await CartRequest.getCart();
+      if (!CartLines.findFeeLineItem(cart)) {
+        throw new Error('Commissione non presente nel carrello');
+      }
+
+      FeeNotifier.endProgress();
+      this.busy = false;
+      this.resume(pending);
+    } catch (error) {
+      FeeLogger.error('Errore checkout con commissione', error);
+      this.busy = false;
+      // Prodotto di "Acquista ora" non disponibile (422): Shopify spiega il motivo
+      FeeNotifier.error(error.type === 'out-of-stock' && error.description ? error.description : I18n.t('errorCheckout'));
+    }
+  },
+
+  // Il cliente paga con carta o bonifico: dal carrello prosegue al checkout, dai pulsanti
+  // accelerati (che possono essere PayPal) torna alla pagina per scegliere il pulsante giusto
+  continueWithoutFee: async function() {
+    const pending = this.pending || { origin: 'checkout' };
+    this.closeModal();
+
+    await FeeState.decline();
+    CheckboxHandler.syncFromState();
+
+    if (pending.origin === 'checkout') {
+      this.resume(pending);
+    }
+  }
+};
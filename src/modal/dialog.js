@@ -0,0 +1,82 @@
+// FINESTRA DI DIALOGO ACCESSIBILE
+// Per i modal della commissione (rimozione, checkout): role="dialog" con aria-modal, titolo e messaggio
+// collegati, focus intrappolato nel modal, chiusura con ESC o clic sull'overlay e focus restituito
+// all'elemento che l'ha aperto. L'overlay è visibile con la classe .active (vedi paypal-fee-styles.css).
+export const FeeDialog = {
+  FOCUSABLE: 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])',
+  returnFocus: null,
+
+  // onDismiss: chiamata per ESC e clic sull'overlay (di solito chiude il modal)
+  setup: function(overlay, onDismiss) {
+    const dialog = overlay.querySelector('.paypal-fee-modal');
+    const title = dialog.querySelector('.paypal-fee-modal__title');
+    const message = dialog.querySelector('.paypal-fee-modal__message');
+
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('tabindex', '-1');
+    if (title) {
+      title.id = title.id || `${overlay.id}-title`;
+      dialog.setAttribute('aria-labelledby', title.id);
+    }
+    if (message) {
+      message.id = message.id || `${overlay.id}-message`;
+      dialog.setAttribute('aria-describedby', message.id);
+    }
+
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) onDismiss();
+    });
+    overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        onDismiss();
+      } else if (e.key === 'Tab') {
+        this.trapFocus(e, dialog);
+      }
+    });
+  },
+
+  open: function(overlay) {
+    if (overlay.classList.contains('active')) return;
+    this.returnFocus = document.activeElement;
+    overlay.classList.add('active');
+    document.body.style.overflow = 'hidden'; // Blocca scroll
+
+    // Primo pulsante (Annulla): l'azione meno distruttiva
+    const dialog = overlay.querySelector('[role="dialog"]');
+    (dialog.querySelector(this.FOCUSABLE) || dialog).focus();
+  },
+
+  close: function(overlay) {
+    if (!overlay.classList.contains('active')) return;
+    overlay.classList.remove('active');
+    document.body.style.overflow = ''; // Ripristina scroll
+
+    // L'elemento che ha aperto il modal può essere stato sostituito dal refresh delle sezioni
+    const returnFocus = this.returnFocus;
+    this.returnFocus = null;
+    if (returnFocus && document.body.contains(returnFocus) && typeof returnFocus.focus === 'function') {
+      returnFocus.focus();
+    }
+  },
+
+  trapFocus: function(e, dialog) {
+    const focusable = Array.from(dialog.querySelectorAll(this.FOCUSABLE));
+    if (focusable.length === 0) {
+      e.preventDefault();
+      dialog.focus();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === dialog)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+};
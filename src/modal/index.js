@@ -0,0 +1,22 @@
+import { start as startUI } from '../ui/index.js';
+import { CheckoutGuard } from './checkout-guard.js';
+import { FeeDialog } from './dialog.js';
+import { RemoveFeeHandler } from './remove.js';
+
+export { CheckoutGuard, FeeDialog, RemoveFeeHandler };
+
+// AVVIO MODAL
+// Conferma della rimozione e blocco del checkout PayPal senza commissione
+let started = false;
+
+export function start() {
+  if (started) return;
+  started = true;
+  startUI();
+
+  // Inizializza handler rimozione (sempre)
+  RemoveFeeHandler.init();
+
+  // Blocca checkout PayPal senza commissione (sempre)
+  CheckoutGuard.init();
+}
@@ -0,0 +1,131 @@
+import { I18n } from '../config/i18n.js';
+import { FeeLogger } from '../config/logger.js';
+import { CartAPI } from '../cart/api.js';
+import { CartQueue } from '../cart/queue.js';
+import { FeeState } from '../cart/state.js';
+import { CheckboxHandler } from '../ui/checkbox.js';
+import { FeeRecovery } from '../ui/recovery.js';
+import { FeeDialog } from './dialog.js';
+
+// GESTIONE RIMOZIONE COMMISSIONE PAYPAL CON MODAL CUSTOM
+export const RemoveFeeHandler = {
+  modalElement: null,
+
+  init: function() {
+    if (this.modalElement) return;
+    this.createModal();
+    document.addEventListener('click', this.handleRemoveClick.bind(this));
+  },
+
+  createModal: function() {
+    // Crea il modal HTML
+    const modalHTML = `
+      <div class="paypal-fee-modal-overlay" id="paypal-fee-remove-modal">
+        <div class="paypal-fee-modal">
+          <div class="paypal-fee-modal__header">
+            <span class="paypal-fee-modal__icon">⚠️</span>
+            <h3 class="paypal-fee-modal__title">${I18n.t('removeTitle')}</h3>
+          </div>
+          <div class="paypal-fee-modal__body">
+            <p class="paypal-fee-modal__message">
+              ${I18n.t('removeMessageHtml')}
+            </p>
+            <div class="paypal-fee-modal__warning">
+              <p class="paypal-fee-modal__warning-text">
+                ${I18n.t('modalWarning')}
+              </p>
+            </div>
+          </div>
+          <div class="paypal-fee-modal__footer">
+            <button class="paypal-fee-modal__button paypal-fee-modal__button--cancel" data-modal-cancel>
+              ${I18n.t('modalCancel')}
+            </button>
+            <button class="paypal-fee-modal__button paypal-fee-modal__button--confirm" data-modal-confirm>
+              ${I18n.t('removeConfirm')}
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    // Aggiungi al body
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+    this.modalElement = document.getElementById('paypal-fee-remove-modal');
+
+    // Event listeners per i pulsanti del modal
+    this.modalElement.querySelector('[data-modal-cancel]').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.closeConfirmModal();
+    });
+    this.modalElement.querySelector('[data-modal-confirm]').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.confirmRemoval(e);
+    });
+
+    // Ruoli ARIA, focus, chiusura con ESC e clic sull'overlay
+    FeeDialog.setup(this.modalElement, () => this.closeConfirmModal());
+  },
+
+  handleRemoveClick: function(e) {
+    const removeLink = e.target.closest('[data-paypal-fee-remove]');
+    if (!removeLink) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    e.stopImmediatePropagation();
+    this.showConfirmModal();
+  },
+
+  showConfirmModal: function() {
+    if (this.modalElement) FeeDialog.open(this.modalElement);
+  },
+
+  closeConfirmModal: function() {
+    if (this.modalElement) FeeDialog.close(this.modalElement);
+  },
+
+  confirmRemoval: async function(e) {
+    FeeLogger.info('🗑️ Rimozione commissione confermata dall\'utente');
+
+    // Previeni qualsiasi comportamento default
+    if (e) {
+      e.preventDefault();
+      e.stopPropagation();
+      e.stopImmediatePropagation();
+    }
+
+    // Chiudi il modal di conferma
+    this.closeConfirmModal();
+    const previous = FeeState.value();
+
+    // Il cliente ha scelto di non pagare con PayPal: checkbox e toggle si tolgono subito
+    FeeState.cache(FeeState.DECLINED_VALUE);
+    CheckboxHandler.syncFromState();
+
+    // Rimozione e scelta salvate nella stessa operazione: "Annulla" offre solo uno stato già nel carrello
+    try {
+      await CartQueue.run(async () => {
+        await CartAPI.removeFee('declined');
+        await FeeState.write();
+      });
+    } catch (error) {
+      FeeLogger.error('Errore rimozione commissione', error);
+
+      // Errore temporaneo: la scelta resta e FeeRecovery riallinea il carrello più tardi
+      if (!FeeRecovery.handle(error, 'declined')) {
+        FeeState.restore(previous);
+        CheckboxHandler.syncFromState();
+      }
+      return false;
+    }
+
+    // Refresh UI senza redirect
+    await CartAPI.refreshCartUI();
+    CheckboxHandler.offerUndo(previous);
+
+    // Assicurati di rimanere sulla pagina corrente
+    return false;
+  }
+};
@@ -0,0 +1,279 @@
+import { I18n } from '../config/i18n.js';
+import { FeeLogger } from '../config/logger.js';
+import { CartLines } from '../fee/lines.js';
+import { PaymentMethods } from '../fee/methods.js';
+import { CartAPI } from '../cart/api.js';
+import { CartObserver } from '../cart/observer.js';
+import { CartQueue } from '../cart/queue.js';
+import { CartRequest } from '../cart/request.js';
+import { FeeState } from '../cart/state.js';
+import { FeeNotifier } from './notifier.js';
+import { FeePreview } from './preview.js';
+import { FeeRecovery } from './recovery.js';
+
+// CHECKBOX HANDLER
+export const CheckboxHandler = {
+  delegated: false,
+
+  init: function() {
+    FeeLogger.debug('Inizializzazione checkbox handler');
+    
+    // Checkbox nel carrello principale
+    const mainCheckbox = document.getElementById('paypal-fee-checkbox-main');
+    if (mainCheckbox) {
+      // Sincronizza stato PRIMA di clonare
+      const shouldBeChecked = FeeState.wantsFee();
+      mainCheckbox.checked = shouldBeChecked;
+      
+      // Rimuovi listener esistenti clonando l'elemento
+      const newMainCheckbox = mainCheckbox.cloneNode(true);
+      newMainCheckbox.checked = shouldBeChecked; // Mantieni lo stato anche nel clone
+      mainCheckbox.parentNode.replaceChild(newMainCheckbox, mainCheckbox);
+      newMainCheckbox.addEventListener('change', this.handleCheckboxChange.bind(this));
+    }
+
+    // Checkbox nel mini-cart
+    const drawerCheckbox = document.getElementById('paypal-fee-checkbox-drawer');
+    if (drawerCheckbox) {
+      // Sincronizza stato PRIMA di clonare
+      const shouldBeChecked = FeeState.wantsFee();
+      drawerCheckbox.checked = shouldBeChecked;
+      
+      // Rimuovi listener esistenti clonando l'elemento
+      const newDrawerCheckbox = drawerCheckbox.cloneNode(true);
+      newDrawerCheckbox.checked = shouldBeChecked; // Mantieni lo stato anche nel clone
+      drawerCheckbox.parentNode.replaceChild(newDrawerCheckbox, drawerCheckbox);
+      newDrawerCheckbox.addEventListener('change', this.handleCheckboxChange.bind(this));
+    }
+
+    // Checkbox nella pagina prodotto
+    const productCheckbox = document.getElementById('paypal-fee-checkbox-product');
+    if (productCheckbox) {
+      // Sincronizza stato PRIMA di clonare
+      const shouldBeChecked = FeeState.wantsFee();
+      productCheckbox.checked = shouldBeChecked;
+      
+      // Rimuovi listener esistenti clonando l'elemento
+      const newProductCheckbox = productCheckbox.cloneNode(true);
+      newProductCheckbox.checked = shouldBeChecked; // Mantieni lo stato anche nel clone
+      productCheckbox.parentNode.replaceChild(newProductCheckbox, productCheckbox);
+      newProductCheckbox.addEventListener('change', this.handleProductCheckboxChange.bind(this));
+    }
+
+    // Selettori metodo di pagamento (radio), presenti solo se ci sono altri metodi con commissione
+    this.syncMethodSelectors();
+
+    // I listener delegati sul document vanno registrati una sola volta:
+    // init() viene richiamato dopo ogni refresh della sezione carrello
+    if (this.delegated) return;
+    this.delegated = true;
+
+    // Ricalcolo dinamico a ogni modifica del carrello fatta dal tema o da altre app (vedi CartObserver).
+    // Le richieste di questo file sono escluse: la commissione è già allineata da chi le ha fatte.
+    // Anche le aggiunte: le ricalcola subito QuickAdd (src/add-to-cart), senza attendere
+    document.addEventListener(CartObserver.EVENT_NAME, (e) => {
+      if (e.detail.source === 'handler' || e.detail.route === CartObserver.addRoute()) return;
+
+      // Accorpa i clic ravvicinati sui pulsanti quantità
+      window.clearTimeout(this._recalcTimer);
+      this._recalcTimer = window.setTimeout(() => {
+        CartQueue.schedule();
+      }, 600);
+    });
+
+    // Radio metodo di pagamento: delegato perché le sezioni vengono sostituite dopo ogni refresh
+    document.addEventListener('change', (e) => {
+      if (e.target.matches('[data-payment-surcharge]')) {
+        this.handleMethodChange(e);
+      }
+    });
+  },
+
+  // Riallinea checkbox e radio alla scelta attuale (es: cambiata nel carrello da un'altra scheda)
+  syncFromState: function() {
+    const wantsFee = FeeState.wantsFee();
+    ['paypal-fee-checkbox-main', 'paypal-fee-checkbox-drawer', 'paypal-fee-checkbox-product'].forEach(id => {
+      const checkbox = document.getElementById(id);
+      if (checkbox) checkbox.checked = wantsFee;
+    });
+    // Toggle compatti delle conferme di aggiunta (vedi FeeToggle)
+    document.querySelectorAll('[data-paypal-fee-toggle]').forEach(toggle => {
+      toggle.checked = wantsFee;
+    });
+    this.syncMethodSelectors();
+    FeePreview.render();
+  },
+
+  // Spunta il radio del metodo scelto ('' = carta/bonifico); nessuno se il cliente non ha ancora scelto
+  syncMethodSelectors: function() {
+    const methodId = FeeState.getMethod();
+    const selected = methodId || (FeeState.isDeclined() ? '' : null);
+
+    document.querySelectorAll('[data-payment-surcharge]').forEach(radio => {
+      radio.checked = selected !== null && radio.value === selected;
+    });
+  },
+
+  handleMethodChange: async function(e) {
+    const radio = e.target;
+    const methodId = radio.value || null;
+    const selector = radio.closest('[data-payment-surcharge-selector]');
+    const location = selector ? selector.getAttribute('data-payment-surcharge-selector') : '';
+    const previous = FeeState.value();
+
+    // Salva lo stato immediatamente (cache subito, attributo carrello in coda)
+    const saved = methodId ? FeeState.select(methodId) : FeeState.decline();
+    this.syncMethodSelectors();
+
+    // Pagina prodotto: la commissione verrà applicata all'aggiunta al carrello
+    if (location === 'product') {
+      FeePreview.render();
+      return;
+    }
+
+    const radios = selector ? selector.querySelectorAll('[data-payment-surcharge]') : [radio];
+    radios.forEach(input => { input.disabled = true; });
+
+    const method = PaymentMethods.get(methodId);
+    FeeNotifier.progress(method ? I18n.t('loaderUpdating', { method: method.label }) : I18n.t('loaderRemoving'));
+
+    try {
+      if (methodId) {
+        // Passa alla commissione del metodo scelto (updateFee aggiorna le sezioni se cambia qualcosa)
+        await CartQueue.recalculate('selected');
+      } else {
+        await CartQueue.run(() => CartAPI.removeFee('declined'));
+        await CartAPI.refreshCartUI();
+      }
+
+      await saved;
+      FeeNotifier.endProgress();
+      radios.forEach(input => { input.disabled = false; });
+      this.syncMethodSelectors();
+      this.offerUndo(previous);
+    } catch (error) {
+      FeeLogger.error('Errore cambio metodo di pagamento', error);
+
+      // Errore temporaneo: la scelta resta e FeeRecovery riallinea il carrello più tardi
+      if (!FeeRecovery.handle(error, methodId ? 'selected' : 'declined')) {
+        FeeState.restore(previous);
+      }
+      this.syncMethodSelectors();
+      radios.forEach(input => { input.disabled = false; });
+    }
+  },
+
+  handleCheckboxChange: function(e) {
+    return this.applyCheckbox(e.target);
+  },
+
+  // Aggiunge o toglie la commissione PayPal secondo la spunta: checkbox di carrello e mini-cart e toggle
+  // delle aggiunte rapide (FeeToggle). done(checkbox) viene chiamata a modifica riuscita, prima del toast
+  applyCheckbox: async function(checkbox, done) {
+    const isChecked = checkbox.checked;
+
+    // Disabilita checkbox durante operazione
+    checkbox.disabled = true;
+
+    // Operazione in corso (non bloccante)
+    FeeNotifier.progress(isChecked ? I18n.t('loaderAdding', { method: 'PayPal' }) : I18n.t('loaderRemoving'));
+
+    // Salva lo stato immediatamente (cache subito, attributo carrello in coda)
+    const previous = FeeState.value();
+    const saved = isChecked ? FeeState.select() : FeeState.decline();
+
+    try {
+      if (isChecked) {
+        // Aggiungi commissione (audit + calcolo sul carrello riletto al momento dell'esecuzione)
+        // updateFee aggiorna carrello, mini-cart e contatore se la commissione cambia
+        await CartQueue.recalculate('selected');
+      } else {
+        // Rimuovi commissione
+        await CartQueue.run(() => CartAPI.removeFee('declined'));
+        await CartAPI.refreshCartUI();
+      }
+
+      // Nessun reload: le sezioni sono già aggiornate (la checkbox può essere stata sostituita)
+      await saved;
+      FeeNotifier.endProgress();
+      checkbox.disabled = false;
+      if (done) done(checkbox);
+      CheckboxHandler.syncFromState();
+      CheckboxHandler.offerUndo(previous);
+
+    } catch (error) {
+      FeeLogger.error('Errore gestione checkbox', error);
+      checkbox.disabled = false;
+
+      // Errore temporaneo: la spunta resta e FeeRecovery riallinea il carrello più tardi
+      if (!FeeRecovery.handle(error, isChecked ? 'selected' : 'declined')) {
+        checkbox.checked = !isChecked;
+        FeeState.restore(previous);
+      }
+    }
+  },
+
+  // Toast con "Annulla" dopo che il cliente ha aggiunto o tolto la commissione
+  offerUndo: function(previous) {
+    const method = PaymentMethods.get(FeeState.getMethod());
+    const message = method
+      ? I18n.t('toastAdded', { method: method.label })
+      : I18n.t('toastRemoved');
+
+    FeeNotifier.toast(message, {
+      action: { label: I18n.t('toastUndo'), handler: () => this.restoreChoice(previous) }
+    });
+  },
+
+  // Torna alla scelta precedente (FeeState.value()) e riallinea il carrello
+  restoreChoice: async function(previous) {
+    const saved = FeeState.restore(previous);
+    this.syncFromState();
+
+    try {
+      if (FeeState.wantsFee()) {
+        await CartQueue.recalculate('undo');
+      } else {
+        await CartQueue.run(() => CartAPI.removeFee('undo'));
+        await CartAPI.refreshCartUI();
+      }
+      await saved;
+      this.syncFromState();
+    } catch (error) {
+      FeeLogger.error('Errore annullamento scelta commissione', error);
+      FeeRecovery.handle(error, 'undo');
+    }
+  },
+
+  handleProductCheckboxChange: function(e) {
+    const isChecked = e.target.checked;
+    
+    // Salva la scelta nel carrello (sarà usata quando si aggiunge il prodotto)
+    if (isChecked) {
+      FeeState.select();
+    } else {
+      FeeState.decline();
+    }
+    
+    // Sincronizza con altre checkbox se esistono
+    const mainCheckbox = document.getElementById('paypal-fee-checkbox-main');
+    const drawerCheckbox = document.getElementById('paypal-fee-checkbox-drawer');
+    
+    if (mainCheckbox) mainCheckbox.checked = isChecked;
+    if (drawerCheckbox) drawerCheckbox.checked = isChecked;
+
+    FeePreview.render();
+  },
+
+  syncCheckboxState: async function(checkbox) {
+    // Verifica se commissione è già nel carrello
+    const cart = await CartRequest.getCart();
+    const hasFee = CartLines.findFeeLineItem(cart) !== undefined;
+    checkbox.checked = hasFee;
+
+    // Salva la scelta
+    if (hasFee) {
+      FeeState.select();
+    }
+  }
+};
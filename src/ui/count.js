@@ -0,0 +1,60 @@
+import { FeeLogger } from '../config/logger.js';
+import { CartLines } from '../fee/lines.js';
+import { CartObserver } from '../cart/observer.js';
+import { CartRequest } from '../cart/request.js';
+import { TabSync } from '../cart/tab-sync.js';
+
+// CONTATORE CARRELLO
+// Unico responsabile dei badge (BADGE_SELECTOR) e di window.theme.cartCount: il numero esclude sempre
+// le righe commissione (CartLines.getAdjustedItemCount). Si aggiorna con il carrello che accompagna ogni
+// modifica (CartObserver), senza richieste in più; solo se il carrello cambia in un'altra scheda (TabSync)
+// lo rilegge. Se il tema riscrive un badge con il proprio count (righe commissione incluse) il valore
+// corretto viene ripristinato subito.
+export const CartCount = {
+  BADGE_SELECTOR: '.header__cart-count, [data-cart-count], .cart-count',
+  count: null,
+  observer: null,
+  watched: new WeakSet(),
+
+  init: function() {
+    document.addEventListener(CartObserver.EVENT_NAME, (e) => this.update(e.detail.cart));
+    document.addEventListener(TabSync.SYNC_EVENT, () => this.refresh());
+  },
+
+  refresh: async function() {
+    try {
+      this.update(await CartRequest.getCart());
+    } catch (error) {
+      // Resta il count precedente: al prossimo cambio del carrello si riprova
+      FeeLogger.error('Errore aggiornamento contatore carrello', error);
+    }
+  },
+
+  update: function(cart) {
+    if (!cart || !cart.items) return;
+    this.count = CartLines.getAdjustedItemCount(cart);
+    if (window.theme) window.theme.cartCount = this.count;
+    this.render();
+  },
+
+  // Scrive il count in tutti i badge, compresi quelli appena inseriti da un refresh delle sezioni
+  render: function() {
+    if (this.count === null) return;
+    const text = String(this.count);
+
+    document.querySelectorAll(this.BADGE_SELECTOR).forEach(badge => {
+      if (badge.textContent !== text) badge.textContent = text;
+      this.watch(badge);
+    });
+  },
+
+  watch: function(badge) {
+    if (this.watched.has(badge) || typeof MutationObserver !== 'function') return;
+    if (!this.observer) {
+      // Scrivere lo stesso valore non genera altre modifiche: nessun ciclo
+      this.observer = new MutationObserver(() => this.render());
+    }
+    this.observer.observe(badge, { childList: true, characterData: true, subtree: true });
+    this.watched.add(badge);
+  }
+};
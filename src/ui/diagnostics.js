@@ -0,0 +1,186 @@
+import { CONFIG } from '../config/config.js';
+import { FeeLogger } from '../config/logger.js';
+import { FeeCalculator } from '../fee/calculator.js';
+import { FeeEncoding } from '../fee/encoding.js';
+import { FeeExemption } from '../fee/exemption.js';
+import { CartLines } from '../fee/lines.js';
+import { PaymentMethods } from '../fee/methods.js';
+import { Money } from '../fee/money.js';
+import { CartAPI } from '../cart/api.js';
+import { CartObserver } from '../cart/observer.js';
+import { CartQueue } from '../cart/queue.js';
+import { CartRequest } from '../cart/request.js';
+import { FeeState } from '../cart/state.js';
+
+// PANNELLO DIAGNOSTICA
+// Solo in modalità debug (vedi FeeLogger): riquadro fisso con subtotale, base, commissione attesa ed effettiva,
+// stato di checkbox e sessione e ultime operazioni sul carrello, per l'assistenza al telefono con il cliente.
+// "Copia" mette lo stesso resoconto negli appunti in JSON. Testi solo in italiano: è uno strumento interno
+export const FeeDiagnostics = {
+  OPERATIONS: 10, // Ultime voci del log mostrate
+  CHECKBOXES: {
+    carrello: 'paypal-fee-checkbox-main',
+    'mini-cart': 'paypal-fee-checkbox-drawer',
+    prodotto: 'paypal-fee-checkbox-product'
+  },
+  panel: null,
+  cart: null,
+  rendering: false, // render() in corso: un log scritto nel frattempo non ne avvia un altro
+
+  init: function() {
+    if (this.panel || !FeeLogger.isDebug()) return;
+
+    this.panel = document.createElement('aside');
+    this.panel.className = 'paypal-fee-debug';
+    this.panel.setAttribute('aria-label', 'Diagnostica commissione PayPal');
+    this.panel.innerHTML = `
+      <div class="paypal-fee-debug__header">
+        <strong class="paypal-fee-debug__title">Diagnostica commissione</strong>
+        <button type="button" class="paypal-fee-debug__button" data-paypal-fee-debug-copy>Copia</button>
+        <button type="button" class="paypal-fee-debug__button" data-paypal-fee-debug-close aria-label="Chiudi">×</button>
+      </div>
+      <dl class="paypal-fee-debug__values"></dl>
+      <ol class="paypal-fee-debug__operations"></ol>
+      <p class="paypal-fee-debug__footer">Per disattivare: ?${CONFIG.DEBUG_PARAM}=0</p>
+    `;
+    document.body.appendChild(this.panel);
+
+    this.panel.querySelector('[data-paypal-fee-debug-copy]').addEventListener('click', () => this.copy());
+    this.panel.querySelector('[data-paypal-fee-debug-close]').addEventListener('click', () => {
+      this.panel.hidden = true;
+    });
+
+    // Carrello aggiornato con l'evento quando c'è, altrimenti riletto
+    const refresh = (e) => this.refresh(e.detail && e.detail.cart);
+    [CartObserver.EVENT_NAME, CartAPI.SUMMARY_EVENT, CartQueue.RECALCULATED_EVENT, CartQueue.FAILED_EVENT, FeeState.CHANGE_EVENT]
+      .forEach(name => document.addEventListener(name, refresh));
+
+    // Checkbox e toggle cambiano prima che il carrello risponda; il log a ogni nuova voce
+    document.addEventListener('change', () => this.render());
+    FeeLogger.subscribe(() => this.render());
+
+    this.refresh();
+  },
+
+  refresh: async function(cart) {
+    try {
+      this.cart = cart || await CartRequest.getCart();
+    } catch (error) {
+      FeeLogger.warn('Diagnostica: carrello non leggibile', error);
+    }
+    this.render();
+  },
+
+  // Resoconto dello stato attuale (importi in centesimi), mostrato nel pannello e copiato con "Copia"
+  report: function() {
+    const cart = this.cart;
+    const methodId = FeeState.getMethod();
+    const method = methodId ? PaymentMethods.get(methodId) : null;
+    const base = cart ? FeeCalculator.base(cart) : null;
+    // Attesa: quella delle regole per la scelta attuale. Senza hook, che possono scrivere nel log (vedi render)
+    const expectedAmount = cart && method && !FeeExemption.isExempt()
+      ? FeeCalculator.calculateWithoutHooks(base, method.id)
+      : 0;
+    const feeLines = cart ? CartLines.findFeeLineItems(cart) : [];
+
+    const checkboxes = {};
+    Object.keys(this.CHECKBOXES).forEach(name => {
+      const checkbox = document.getElementById(this.CHECKBOXES[name]);
+      if (checkbox) checkboxes[name] = checkbox.checked;
+    });
+    document.querySelectorAll('[data-paypal-fee-toggle]').forEach((toggle, index) => {
+      checkboxes[`toggle ${index + 1}`] = toggle.checked;
+    });
+
+    return {
+      subtotal: cart ? CartLines.getSubtotalWithoutFee(cart) : null,
+      base: base,
+      method: method ? method.id : null,
+      expected: {
+        amount: expectedAmount,
+        quantity: method ? FeeEncoding.lines(expectedAmount, method).reduce((sum, line) => sum + line.quantity, 0) : 0
+      },
+      actual: {
+        amount: CartLines.getFeeAmount(cart),
+        quantity: feeLines.reduce((sum, item) => sum + item.quantity, 0)
+      },
+      checkboxes: checkboxes,
+      session: {
+        choice: FeeState.value(),
+        cartAttribute: cart ? (cart.attributes || {})[CONFIG.CART_ATTRIBUTE] || '' : null,
+        pendingWrite: sessionStorage.getItem(CONFIG.SESSION_KEY_PENDING) === 'true',
+        pendingRecalc: sessionStorage.getItem(CONFIG.SESSION_KEY_RECONCILE),
+        exemption: FeeExemption.reason()
+      },
+      operations: FeeLogger.entries.slice(-this.OPERATIONS).map(entry => ({
+        time: new Date(entry.time).toISOString(),
+        level: entry.level,
+        message: entry.message
+      }))
+    };
+  },
+
+  // Non rientrante: il pannello si aggiorna a ogni voce del log (FeeLogger.subscribe)
+  render: function() {
+    if (!this.panel || this.rendering) return;
+    this.rendering = true;
+    try {
+      this.draw(this.report());
+    } finally {
+      this.rendering = false;
+    }
+  },
+
+  draw: function(report) {
+    const money = (cents) => cents === null ? '—' : Money.format(cents);
+    const checkboxes = Object.keys(report.checkboxes)
+      .map(name => `${name} ${report.checkboxes[name] ? '✓' : '✗'}`)
+      .join(', ');
+    const session = report.session;
+
+    const rows = [
+      ['Subtotale', money(report.subtotal)],
+      ['Base commissione', money(report.base)],
+      ['Commissione attesa', `${money(report.expected.amount)} (qtà ${report.expected.quantity})`],
+      ['Commissione nel carrello', `${money(report.actual.amount)} (qtà ${report.actual.quantity})`,
+        report.actual.quantity !== report.expected.quantity],
+      ['Checkbox', checkboxes || '—'],
+      ['Scelta (sessione)', session.choice || 'nessuna'],
+      ['Scelta (carrello)', session.cartAttribute === null ? '—' : session.cartAttribute || 'nessuna'],
+      ['In sospeso', [session.pendingWrite ? 'salvataggio scelta' : '', session.pendingRecalc ? `ricalcolo (${session.pendingRecalc})` : '']
+        .filter(Boolean).join(', ') || 'no'],
+      ['Esenzione', session.exemption || 'no']
+    ];
+
+    const values = this.panel.querySelector('.paypal-fee-debug__values');
+    values.textContent = '';
+    rows.forEach(([label, value, mismatch]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      if (mismatch) detail.className = 'paypal-fee-debug__mismatch';
+      values.appendChild(term);
+      values.appendChild(detail);
+    });
+
+    const operations = this.panel.querySelector('.paypal-fee-debug__operations');
+    operations.textContent = '';
+    report.operations.slice().reverse().forEach(entry => {
+      const item = document.createElement('li');
+      item.className = `paypal-fee-debug__operation paypal-fee-debug__operation--${entry.level}`;
+      item.textContent = `${new Date(entry.time).toLocaleTimeString('it-IT')} ${entry.message}`;
+      operations.appendChild(item);
+    });
+  },
+
+  // Resoconto negli appunti; senza Clipboard API (pagina non sicura) finisce nella console
+  copy: async function() {
+    const text = JSON.stringify(this.report(), null, 2);
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (_) {
+      FeeLogger.info('Resoconto diagnostica', text);
+    }
+  }
+};
@@ -0,0 +1,58 @@
+import { CONFIG } from '../config/config.js';
+import { CartAPI } from '../cart/api.js';
+import { start as startCart } from '../cart/index.js';
+import { CartSections } from '../cart/sections.js';
+import { FeeState } from '../cart/state.js';
+import { CheckboxHandler } from './checkbox.js';
+import { CartCount } from './count.js';
+import { FeeDiagnostics } from './diagnostics.js';
+import { FeeLabels } from './labels.js';
+import { FeeNotifier } from './notifier.js';
+import { FeePreview } from './preview.js';
+import { FeeRecovery } from './recovery.js';
+import { FeeSummary } from './summary.js';
+import { FeeToggle } from './toggle.js';
+
+export { CartCount, CheckboxHandler, FeeDiagnostics, FeeLabels, FeeNotifier, FeePreview, FeeRecovery, FeeSummary, FeeToggle };
+
+// AVVIO UI
+// Checkbox, toggle compatto e selettori, riepilogo, etichette, anteprima prodotto, contatore, avvisi e diagnostica.
+// Resta allineata al client del carrello (src/cart) con gli eventi che questo emette sul document
+let started = false;
+
+export function start() {
+  if (started) return;
+  started = true;
+  startCart();
+
+  // Avvisi e regione aria-live (annuncia anche gli eventi fee:*)
+  FeeNotifier.init();
+
+  // Ricalcolo fallito: stato degradato e nuovo tentativo quando torna la connessione
+  FeeRecovery.init();
+
+  // Pannello diagnostica, solo in modalità debug (vedi FeeLogger)
+  FeeDiagnostics.init();
+
+  // Badge carrello senza righe commissione, corretti subito con le righe pubblicate dal layout
+  CartCount.init();
+  if (CONFIG.INITIAL_CART_LINES) {
+    CartCount.update({ items: CONFIG.INITIAL_CART_LINES });
+  }
+
+  CheckboxHandler.init();
+  FeeToggle.init();
+  FeeLabels.update();
+  FeePreview.init();
+
+  // Sezioni sostituite: riattacca i listener e riscrive etichette e contatore
+  // (RemoveFeeHandler non serve: usa event delegation sul document)
+  document.addEventListener(CartSections.EVENT_NAME, () => {
+    CheckboxHandler.init();
+    FeeLabels.update();
+    CartCount.render();
+  });
+  document.addEventListener(FeeState.CHANGE_EVENT, () => CheckboxHandler.syncFromState());
+  document.addEventListener(CartAPI.SUMMARY_EVENT, (e) => FeeSummary.render(e.detail.cart));
+  document.addEventListener(CartAPI.BASE_EVENT, (e) => FeeLabels.setBase(e.detail.base));
+}
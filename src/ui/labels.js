@@ -0,0 +1,34 @@
+import { FeeCalculator } from '../fee/calculator.js';
+import { Money } from '../fee/money.js';
+
+// ETICHETTE PERCENTUALE
+// Gli elementi [data-paypal-fee-rate] nei banner mostrano la regola configurata in FEE_RULES,
+// [data-payment-surcharge-rate="klarna"] quella del metodo indicato
+export const FeeLabels = {
+  base: null, // Ultimo dettaglio FeeBase del carrello, null se non c'è commissione
+
+  update: function() {
+    this.renderBase();
+    const label = FeeCalculator.describe();
+    document.querySelectorAll('[data-paypal-fee-rate]').forEach(el => {
+      el.textContent = label;
+    });
+    document.querySelectorAll('[data-payment-surcharge-rate]').forEach(el => {
+      el.textContent = FeeCalculator.describe(0, el.getAttribute('data-payment-surcharge-rate'));
+    });
+  },
+
+  setBase: function(breakdown) {
+    this.base = breakdown;
+    this.renderBase();
+  },
+
+  // [data-paypal-fee-base] nel riepilogo: "Commissione calcolata su €X" (nascosto senza commissione)
+  renderBase: function() {
+    document.querySelectorAll('[data-paypal-fee-base]').forEach(el => {
+      const amount = el.querySelector('[data-paypal-fee-base-amount]');
+      el.hidden = !this.base || this.base.base <= 0;
+      if (amount && this.base) amount.textContent = Money.format(this.base.base);
+    });
+  }
+};
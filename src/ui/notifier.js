@@ -0,0 +1,114 @@
+import { I18n } from '../config/i18n.js';
+import { PaymentMethods } from '../fee/methods.js';
+import { Money } from '../fee/money.js';
+
+// AVVISI NON BLOCCANTI
+// Regione aria-live (role="status") per i messaggi di stato, letti dagli screen reader senza spostare il focus,
+// e toast in basso nella pagina al posto di alert() e del loader a tutto schermo. Un toast può avere
+// un'azione (es: "Annulla"); quelli di errore usano role="alert". Annuncia anche gli eventi fee:*.
+export const FeeNotifier = {
+  DURATION: 6000,
+  region: null,
+  container: null,
+  progressToast: null,
+
+  init: function() {
+    if (this.region) return;
+
+    this.region = document.createElement('div');
+    this.region.className = 'paypal-fee-sr-only';
+    this.region.setAttribute('role', 'status');
+    this.region.setAttribute('aria-live', 'polite');
+    document.body.appendChild(this.region);
+
+    this.container = document.createElement('div');
+    this.container.className = 'paypal-fee-toasts';
+    document.body.appendChild(this.container);
+
+    const announceFee = (key) => (e) => {
+      const method = PaymentMethods.get(e.detail.methodId);
+      this.announce(I18n.t(key, {
+        method: method ? method.label : 'PayPal',
+        amount: Money.format(e.detail.newAmount)
+      }));
+    };
+    document.addEventListener('fee:added', announceFee('statusAdded'));
+    document.addEventListener('fee:updated', announceFee('statusUpdated'));
+    document.addEventListener('fee:removed', announceFee('statusRemoved'));
+  },
+
+  // Legge il messaggio con lo screen reader (svuota prima, così anche un testo uguale viene riletto)
+  announce: function(message) {
+    this.init();
+    this.region.textContent = '';
+    window.setTimeout(() => {
+      this.region.textContent = message;
+    }, 100);
+  },
+
+  // options: { type: 'info' | 'error' | 'progress', action: { label, handler }, duration (0 = resta aperto),
+  //   content: elemento mostrato sotto il messaggio (es: il toggle compatto di FeeToggle) }
+  toast: function(message, options = {}) {
+    this.init();
+    const type = options.type || 'info';
+    const toast = document.createElement('div');
+    toast.className = `paypal-fee-toast paypal-fee-toast--${type}`;
+    if (type === 'error') toast.setAttribute('role', 'alert');
+
+    const text = document.createElement('span');
+    text.className = 'paypal-fee-toast__message';
+    text.textContent = message;
+    toast.appendChild(text);
+
+    if (options.content) text.appendChild(options.content);
+
+    if (options.action) {
+      const action = document.createElement('button');
+      action.type = 'button';
+      action.className = 'paypal-fee-toast__action';
+      action.textContent = options.action.label;
+      action.addEventListener('click', () => {
+        this.dismiss(toast);
+        options.action.handler();
+      });
+      toast.appendChild(action);
+    }
+
+    if (type !== 'progress') {
+      const close = document.createElement('button');
+      close.type = 'button';
+      close.className = 'paypal-fee-toast__close';
+      close.setAttribute('aria-label', I18n.t('toastClose'));
+      close.textContent = '×';
+      close.addEventListener('click', () => this.dismiss(toast));
+      toast.appendChild(close);
+    }
+
+    this.container.appendChild(toast);
+    if (type !== 'error') this.announce(message);
+
+    const duration = options.duration !== undefined ? options.duration : (type === 'progress' ? 0 : this.DURATION);
+    if (duration > 0) window.setTimeout(() => this.dismiss(toast), duration);
+    return toast;
+  },
+
+  dismiss: function(toast) {
+    if (toast && toast.parentNode) toast.parentNode.removeChild(toast);
+  },
+
+  // Operazione in corso (una alla volta): sostituisce il loader a tutto schermo
+  progress: function(message) {
+    this.endProgress();
+    this.progressToast = this.toast(message, { type: 'progress' });
+  },
+
+  endProgress: function() {
+    this.dismiss(this.progressToast);
+    this.progressToast = null;
+  },
+
+  error: function(message) {
+    this.endProgress();
+    this.toast(message, { type: 'error', duration: 0 });
+  }
+};
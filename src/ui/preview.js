@@ -0,0 +1,131 @@
+import { I18n } from '../config/i18n.js';
+import { FeeLogger } from '../config/logger.js';
+import { FeeBase } from '../fee/base.js';
+import { FeeCalculator } from '../fee/calculator.js';
+import { PaymentMethods } from '../fee/methods.js';
+import { Money } from '../fee/money.js';
+import { CartObserver } from '../cart/observer.js';
+import { CartRequest } from '../cart/request.js';
+import { FeeState } from '../cart/state.js';
+import { TabSync } from '../cart/tab-sync.js';
+
+// ANTEPRIMA COMMISSIONE PAGINA PRODOTTO
+// Mostra nel banner l'importo in euro che il cliente pagherà: base del carrello attuale più
+// variante selezionata × quantità (FeeBase), calcolato con FeeCalculator.calculate come la riga aggiunta da ajaxAdd
+export const FeePreview = {
+  SELECTOR: '[data-paypal-fee-preview]',
+  cart: null,
+  product: null, // { handle, type, tags, giftCard, variants: { [id]: { price, sku } } }
+  attached: false,
+
+  init: function() {
+    const element = document.querySelector(this.SELECTOR);
+    if (!element) return;
+
+    const productElement = element.parentNode.querySelector('[data-paypal-fee-preview-product]');
+    try {
+      this.product = productElement ? JSON.parse(productElement.textContent) : { variants: {} };
+    } catch (error) {
+      FeeLogger.error('Errore dati prodotto anteprima commissione', error);
+      return;
+    }
+
+    // I tag del prodotto sono già nella pagina: evita una richiesta per le esclusioni
+    if (this.product.handle) FeeBase.tagsByHandle[this.product.handle] = this.product.tags || [];
+
+    this.loadCart();
+    if (this.attached) return;
+    this.attached = true;
+
+    // Variante e quantità: il tema aggiorna gli input del form, a volte senza eventi (pulsanti +/-)
+    const scheduleRender = (e) => {
+      const form = this.form();
+      if (form && e.target && form.contains(e.target)) window.setTimeout(() => this.render(), 0);
+    };
+    document.addEventListener('change', scheduleRender);
+    document.addEventListener('input', scheduleRender);
+    document.addEventListener('click', scheduleRender);
+    document.addEventListener('variant:changed', () => this.render());
+
+    // Il carrello è cambiato (qui o in un'altra scheda): rilegge il subtotale
+    document.addEventListener('cart:updated', () => this.loadCart());
+    document.addEventListener(CartObserver.EVENT_NAME, () => this.loadCart());
+    document.addEventListener(TabSync.SYNC_EVENT, () => this.loadCart());
+  },
+
+  loadCart: async function() {
+    try {
+      const cart = await CartRequest.getCart();
+      await FeeBase.prepare(cart);
+      this.cart = cart;
+      this.render();
+    } catch (error) {
+      // Resta l'anteprima precedente (o nessuna): al prossimo cambio del carrello si riprova
+      FeeLogger.error('Errore anteprima commissione', error);
+    }
+  },
+
+  form: function() {
+    const element = document.querySelector(this.SELECTOR);
+    return element ? element.closest('form') || document.querySelector('form[action*="/cart/add"]') : null;
+  },
+
+  // Variante e quantità selezionate nel form prodotto
+  selection: function() {
+    const form = this.form();
+    if (!form) return null;
+
+    const variantInput = form.querySelector('[name="id"]');
+    const quantityInput = form.querySelector('[name="quantity"]');
+    const quantity = quantityInput ? parseInt(quantityInput.value, 10) : 1;
+
+    return {
+      variantId: variantInput ? String(variantInput.value) : null,
+      quantity: quantity > 0 ? quantity : 1
+    };
+  },
+
+  // { methodId, base, fee } oppure null se non calcolabile (carrello non letto, variante sconosciuta)
+  calculate: function() {
+    const selection = this.selection();
+    const variant = selection ? this.product.variants[selection.variantId] : null;
+    if (!this.cart || !variant) return null;
+
+    // Riga ipotetica con gli stessi campi di /cart.js usati da FeeBase
+    const line = {
+      key: 'preview',
+      title: this.product.title,
+      handle: this.product.handle,
+      product_type: this.product.type,
+      gift_card: !!this.product.giftCard,
+      sku: variant.sku,
+      variant_id: Number(selection.variantId),
+      properties: {},
+      quantity: selection.quantity,
+      final_line_price: variant.price * selection.quantity
+    };
+
+    const methodId = FeeState.getMethod() || PaymentMethods.DEFAULT_ID;
+    const base = FeeBase.breakdown(this.cart, [line]).base;
+
+    return { methodId: methodId, base: base, fee: FeeCalculator.calculate(base, methodId, this.cart) };
+  },
+
+  render: function() {
+    const element = document.querySelector(this.SELECTOR);
+    if (!element) return;
+
+    const preview = this.calculate();
+    if (!preview || preview.fee <= 0) {
+      element.hidden = true;
+      return;
+    }
+
+    const method = PaymentMethods.get(preview.methodId);
+    element.querySelector('[data-paypal-fee-preview-method]').textContent = method ? method.label : 'PayPal';
+    element.querySelector('[data-paypal-fee-preview-amount]').textContent = Money.format(preview.fee);
+    element.querySelector('[data-paypal-fee-preview-base]').textContent =
+      I18n.t('previewBase', { rate: FeeCalculator.describe(preview.base, preview.methodId), base: Money.format(preview.base) });
+    element.hidden = false;
+  }
+};
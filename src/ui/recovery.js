@@ -0,0 +1,81 @@
+import { CONFIG } from '../config/config.js';
+import { I18n } from '../config/i18n.js';
+import { FeeLogger } from '../config/logger.js';
+import { FeeError } from '../cart/errors.js';
+import { CartQueue } from '../cart/queue.js';
+import { FeeNotifier } from './notifier.js';
+
+// RIPRISTINO DOPO ERRORI
+// Se un ricalcolo fallisce (rete assente, troppe richieste, errore Shopify) carrello e scelta del cliente
+// possono non coincidere (es: checkbox spuntata senza riga commissione). Resta un segnaposto in
+// sessionStorage, la pagina mostra lo stato degradato (classe DEGRADED_CLASS sul body e avviso con
+// "Riprova") e il ricalcolo viene ripetuto al ritorno della connessione o al prossimo caricamento.
+export const FeeRecovery = {
+  DEGRADED_CLASS: 'paypal-fee-degraded',
+  MESSAGES: { 'out-of-stock': 'errorOutOfStock', 'config': 'errorVariantMissing' },
+  notice: null,
+
+  init: function() {
+    document.addEventListener(CartQueue.RECALCULATED_EVENT, () => this.resolve());
+    document.addEventListener(CartQueue.FAILED_EVENT, (e) => this.fail(e.detail.reason, e.detail.error));
+
+    // Il ricalcolo 'init' parte comunque all'avvio: qui basta riprovare quando torna la rete
+    window.addEventListener('online', () => this.retry());
+  },
+
+  isPending: function() {
+    return sessionStorage.getItem(CONFIG.SESSION_KEY_RECONCILE) !== null;
+  },
+
+  // Errore che può risolversi da solo riprovando più tardi
+  isTemporary: function(error) {
+    return error instanceof FeeError && error.retryable;
+  },
+
+  // Errore di un'operazione avviata dal cliente. Restituisce true se è temporaneo: la scelta resta
+  // e verrà applicata al riallineamento; altrimenti mostra il messaggio e il chiamante la annulla
+  handle: function(error, reason, messageKey = 'errorUpdate') {
+    if (this.isTemporary(error)) {
+      this.fail(reason, error);
+      return true;
+    }
+
+    FeeNotifier.error(I18n.t((error && this.MESSAGES[error.type]) || messageKey));
+    return false;
+  },
+
+  fail: function(reason, error) {
+    FeeLogger.error('⚠️ Commissione non allineata al carrello', error);
+    sessionStorage.setItem(CONFIG.SESSION_KEY_RECONCILE, reason || 'cart-changed');
+    this.showDegraded(error);
+  },
+
+  // Chiamata dopo ogni ricalcolo riuscito
+  resolve: function() {
+    const wasPending = this.isPending();
+    sessionStorage.removeItem(CONFIG.SESSION_KEY_RECONCILE);
+    document.body.classList.remove(this.DEGRADED_CLASS);
+    FeeNotifier.dismiss(this.notice);
+    this.notice = null;
+
+    if (wasPending) FeeNotifier.toast(I18n.t('recoveryResolved'));
+  },
+
+  retry: function() {
+    if (!this.isPending()) return Promise.resolve(false);
+    return CartQueue.recalculate('recovery').catch(() => false);
+  },
+
+  showDegraded: function(error) {
+    document.body.classList.add(this.DEGRADED_CLASS);
+    FeeNotifier.endProgress();
+    FeeNotifier.dismiss(this.notice);
+
+    const offline = navigator.onLine === false || (error && error.type === 'network');
+    this.notice = FeeNotifier.toast(I18n.t(offline ? 'recoveryOffline' : 'recoveryFailed'), {
+      type: 'error',
+      duration: 0,
+      action: { label: I18n.t('recoveryRetry'), handler: () => this.retry() }
+    });
+  }
+};
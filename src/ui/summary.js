@@ -0,0 +1,42 @@
+import { FeeCalculator } from '../fee/calculator.js';
+import { CartLines } from '../fee/lines.js';
+import { PaymentMethods } from '../fee/methods.js';
+import { Money } from '../fee/money.js';
+
+// RIEPILOGO COMMISSIONE (snippet payment-surcharge-summary)
+// Nel cart-recap e nel mini-cart la commissione non è una riga prodotto: compare come subtotale
+// senza commissione + commissione con percentuale, sopra al totale. Aggiornato con il carrello
+// restituito da ogni modifica della commissione (il mini-cart non viene ricaricato dal server).
+export const FeeSummary = {
+  render: function(cart) {
+    if (!cart || !cart.items) return;
+
+    const feeLines = CartLines.findFeeLineItems(cart);
+    const fee = CartLines.getFeeAmount(cart);
+    const method = feeLines.length ? PaymentMethods.forLine(feeLines[0]) : PaymentMethods.get();
+    const subtotal = cart.items_subtotal_price - fee;
+    const rate = FeeCalculator.describe(FeeCalculator.base(cart), method.id);
+
+    document.querySelectorAll('[data-paypal-fee-summary]').forEach(el => {
+      el.hidden = fee === 0;
+
+      const subtotalElement = el.querySelector('[data-paypal-fee-summary-subtotal]');
+      const feeElement = el.querySelector('[data-paypal-fee-summary-fee]');
+      const methodElement = el.querySelector('[data-paypal-fee-summary-method]');
+      const rateElement = el.querySelector('[data-payment-surcharge-rate]');
+
+      if (subtotalElement) subtotalElement.textContent = Money.format(subtotal);
+      if (feeElement) feeElement.textContent = Money.format(fee);
+      if (methodElement) methodElement.textContent = method.label;
+      if (rateElement) {
+        rateElement.setAttribute('data-payment-surcharge-rate', method.id);
+        rateElement.textContent = rate;
+      }
+    });
+
+    // Il tema stampa il totale con money_with_currency (main-cart, mini-cart)
+    document.querySelectorAll('[data-paypal-fee-summary-total]').forEach(el => {
+      el.textContent = Money.formatWithCurrency(cart.total_price);
+    });
+  }
+};
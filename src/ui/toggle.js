@@ -0,0 +1,47 @@
+import { I18n } from '../config/i18n.js';
+import { FeeCalculator } from '../fee/calculator.js';
+import { Money } from '../fee/money.js';
+import { FeeState } from '../cart/state.js';
+import { CheckboxHandler } from './checkbox.js';
+import { FeeNotifier } from './notifier.js';
+
+// TOGGLE COMPATTO
+// "Pagherò con PayPal (+importo)" nella conferma delle aggiunte rapide (vedi QuickAdd in src/add-to-cart).
+// Stesso effetto della checkbox del carrello; il listener è delegato perché i toggle nascono e spariscono con i toast
+export const FeeToggle = {
+  SELECTOR: '[data-paypal-fee-toggle]',
+  delegated: false,
+
+  init: function() {
+    if (this.delegated) return;
+    this.delegated = true;
+
+    document.addEventListener('change', (e) => {
+      if (e.target.matches(this.SELECTOR)) {
+        // Come la checkbox del carrello; a scelta fatta la conferma lascia il posto al toast con "Annulla"
+        CheckboxHandler.applyCheckbox(e.target, toggle => FeeNotifier.dismiss(toggle.closest('.paypal-fee-toast')));
+      }
+    });
+  },
+
+  // Toggle con l'importo calcolato sul carrello ricevuto (centesimi, senza righe commissione)
+  create: function(cart) {
+    const amount = FeeCalculator.calculate(FeeCalculator.base(cart), 'paypal', cart);
+
+    const label = document.createElement('label');
+    label.className = 'paypal-fee-toggle';
+
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.className = 'paypal-fee-toggle__input';
+    input.setAttribute('data-paypal-fee-toggle', '');
+    input.checked = FeeState.wantsFee();
+    label.appendChild(input);
+
+    const text = document.createElement('span');
+    text.textContent = I18n.t('quickToggle', { amount: Money.format(amount) });
+    label.appendChild(text);
+
+    return label;
+  }
+};
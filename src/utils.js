@@ -0,0 +1,66 @@
+import { CartRequest } from './cart/request.js';
+import { I18n } from './config/i18n.js';
+import { FeeCalculator } from './fee/calculator.js';
+import { CartLines } from './fee/lines.js';
+import { Money } from './fee/money.js';
+import { FeeNotifier } from './ui/notifier.js';
+
+// UTILITY FUNCTIONS
+// Esposte come PayPalFeeHandler.utils per gli script del tema e delle app che le usano già.
+// I moduli importano direttamente Money, FeeCalculator, CartLines, CartRequest e FeeNotifier
+export const Utils = {
+  // Formatta un importo in centesimi nella valuta del carrello (vedi Money.format)
+  formatMoney: function(cents) {
+    return Money.format(cents);
+  },
+
+  calculateFee: function(subtotalCents, methodId, cart) {
+    return FeeCalculator.calculate(subtotalCents, methodId, cart);
+  },
+
+  getFeeBase: function(cart) {
+    return FeeCalculator.base(cart);
+  },
+
+  describeFee: function(subtotalCents, methodId) {
+    return FeeCalculator.describe(subtotalCents, methodId);
+  },
+
+  getCart: function() {
+    return CartRequest.getCart();
+  },
+
+  isFeeLine: function(item) {
+    return CartLines.isFeeLine(item);
+  },
+
+  getSubtotalWithoutFee: function(cart) {
+    return CartLines.getSubtotalWithoutFee(cart);
+  },
+
+  getAdjustedItemCount: function(cart) {
+    return CartLines.getAdjustedItemCount(cart);
+  },
+
+  findFeeLineItem: function(cart) {
+    return CartLines.findFeeLineItem(cart);
+  },
+
+  findFeeLineItems: function(cart) {
+    return CartLines.findFeeLineItems(cart);
+  },
+
+  getFeeAmount: function(cart) {
+    return CartLines.getFeeAmount(cart);
+  },
+
+  // Mostra l'operazione in corso (toast non bloccante, annunciato agli screen reader)
+  showLoader: function(message = I18n.t('loaderDefault')) {
+    FeeNotifier.progress(message);
+  },
+
+  // Nascondi l'operazione in corso
+  hideLoader: function() {
+    FeeNotifier.endProgress();
+  }
+};
@@ -0,0 +1,95 @@
+// Il calcolo commissione importato da solo, senza bundle né jsdom: nessun window, document o fetch.
+// Valgono le regole predefinite di CONFIG (PayPal 3,5% arrotondato per eccesso, valuta del negozio).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../src/config/config.js';
+import { ConfigLoader } from '../src/config/loader.js';
+import { FeeCalculator } from '../src/fee/calculator.js';
+import { FeeEvents } from '../src/fee/events.js';
+import { Money } from '../src/fee/money.js';
+import { FeeRules } from '../src/fee/rules.js';
+
+function line(fields) {
+  return Object.assign({ key: fields.sku, properties: {}, gift_card: false, product_type: 'Fucili' }, fields);
+}
+
+test('calcolo: 3,5% arrotondato per eccesso al centesimo', () => {
+  assert.equal(typeof globalThis.window, 'undefined');
+  assert.equal(FeeCalculator.calculate(9980), 350); // 349,3
+  assert.equal(FeeCalculator.calculate(14970), 524); // 523,95
+  assert.equal(FeeCalculator.calculate(0), 0);
+  assert.equal(FeeCalculator.describe(9980), '3,5%');
+});
+
+test('descrizione: percentuale col separatore decimale della lingua', () => {
+  const rules = { percentage: 0.035, fixed: 0, tiers: [] };
+  assert.equal(FeeRules.describe(rules, 9980, 'it'), '3,5%');
+  assert.equal(FeeRules.describe(rules, 9980, 'en'), '3.5%');
+  assert.equal(FeeRules.describe(rules, 9980, 'de-CH'), '3.5%');
+  assert.equal(FeeRules.describe(rules, 9980, 'fr'), '3,5%');
+});
+
+test('base: esclude righe commissione e gift card', () => {
+  const cart = {
+    items: [
+      line({ sku: 'ASG-M4', final_line_price: 9980 }),
+      line({ sku: 'GIFT-25', final_line_price: 2500, gift_card: true }),
+      line({ sku: 'PAYPAL-FEE', final_line_price: 350, properties: { _paypal_fee: 'true' } })
+    ],
+    cart_level_discount_applications: []
+  };
+
+  assert.equal(FeeCalculator.base(cart), 9980);
+  assert.equal(FeeCalculator.calculate(FeeCalculator.base(cart), 'paypal', cart), 350);
+});
+
+test('hook afterCalculate: cambia l\'importo calcolato', () => {
+  const off = FeeEvents.on('afterCalculate', (amount, context) => context.base > 10000 ? amount - 50 : amount);
+  try {
+    assert.equal(FeeCalculator.calculate(9980), 350);
+    assert.equal(FeeCalculator.calculate(20000), 650);
+  } finally {
+    off();
+  }
+  assert.equal(FeeCalculator.calculate(20000), 700);
+});
+
+test('formato di un\'altra valuta ricavato dall\'esempio del layout', () => {
+  assert.equal(Money.templateFromSample('$12,345.67'), '${{amount}}');
+  assert.equal(Money.templateFromSample('12.345,67 € EUR'), '{{amount_with_comma_separator}} € EUR');
+  assert.equal(Money.templateFromSample('¥12,346'), '¥{{amount_no_decimals}}');
+  assert.equal(Money.templateFromSample('CHF 12\'345.67'), 'CHF {{amount_with_apostrophe_separator}}');
+  assert.equal(Money.applyTemplate(10330, Money.templateFromSample('12 345,67 kr')), '103,30 kr');
+});
+
+test('regole dal layout: i valori non validi restano predefiniti, le fasce diventano percentuali', () => {
+  const problems = [];
+  const read = ConfigLoader.readRules({
+    percentage: 0.04,
+    fixed: 35,
+    min: -5,
+    max: null,
+    rounding: 'su',
+    roundingStep: 1,
+    tiers: ['', '\n50000; 3,2; 35', '100000; 2,5']
+  }, 'PayPal', problems);
+
+  assert.equal(problems.length, 2);
+  assert.equal(read.min, undefined);
+  assert.equal(read.rounding, undefined);
+  assert.equal(read.tiers.length, 2);
+  assert.equal(read.tiers[0].from, 50000);
+  assert.equal(read.tiers[0].percentage, 0.032);
+  assert.equal(read.tiers[0].fixed, 35);
+  assert.equal(read.tiers[1].fixed, undefined);
+
+  const rules = Object.assign({}, CONFIG.FEE_RULES, read);
+  assert.equal(FeeRules.calculate(9980, rules), 435); // 4% + 35 = 434,2
+  assert.equal(FeeRules.calculate(60000, rules), 1955); // 3,2% + 35
+  assert.equal(FeeRules.calculate(100000, rules), 2535); // 2,5% + 35 della regola base
+
+  // Fasce fuori ordine: scartate tutte, resta la regola base
+  assert.equal(ConfigLoader.readRules({ tiers: ['50000; 3', '10000; 4'] }, 'PayPal', problems).tiers, undefined);
+  assert.equal(problems.length, 3);
+});
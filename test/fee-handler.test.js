@@ -0,0 +1,426 @@
+// Scenari end-to-end di paypal-fee-handler.js: la pagina gira in jsdom, il carrello è quello di FakeShop.
+// Importi in centesimi; commissione PayPal 3,5% arrotondata per eccesso, una riga da €0.01 per centesimo.
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeShop, FEE_VARIANT_ID } from './helpers/fake-shop.js';
+import { openPage, CART_ATTRIBUTE } from './helpers/storefront.js';
+
+let page = null;
+
+afterEach(() => {
+  if (page) page.close();
+  page = null;
+});
+
+// 2 × €49,90 = €99,80 → commissione €3,50 (349,3 arrotondato per eccesso)
+function shopWithRifles(options = {}) {
+  return new FakeShop(Object.assign({ lines: [{ variantId: 101, quantity: 2 }] }, options));
+}
+
+// Carrello con la commissione già scelta e presente
+function shopWithFee() {
+  return new FakeShop({
+    lines: [
+      { variantId: 101, quantity: 2 },
+      { variantId: FEE_VARIANT_ID, quantity: 350, properties: { _paypal_fee: 'true' } }
+    ],
+    attributes: { [CART_ATTRIBUTE]: 'paypal' }
+  });
+}
+
+async function toggle(selector, checked) {
+  const checkbox = page.$(selector);
+  checkbox.checked = checked;
+  checkbox.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+  await page.settle();
+}
+
+test('spunta nel carrello: aggiunge la commissione e salva la scelta', async () => {
+  const shop = shopWithRifles();
+  page = await openPage(shop, { page: 'cart' });
+  assert.equal(shop.feeLines().length, 0);
+
+  // Totali del riepilogo appena riscritti dall'handler (il listener di FeeSummary è registrato prima di questo)
+  let totals = [];
+  page.document.addEventListener('paypal-fee-summary', () => {
+    totals = Array.from(page.document.querySelectorAll('[data-paypal-fee-summary-total]'), total => total.textContent);
+  });
+
+  await toggle('#paypal-fee-checkbox-main', true);
+
+  assert.equal(shop.feeAmount(), 350);
+  assert.equal(shop.feeLines().length, 1);
+  assert.equal(shop.attributes[CART_ATTRIBUTE], 'paypal');
+  assert.equal(page.$('#paypal-fee-checkbox-main').checked, true);
+  assert.equal(page.badge(), '2');
+  // Riepilogo riscritto dall'handler dopo l'aggiunta della commissione: totale nel formato con valuta,
+  // come money_with_currency nel tema
+  assert.ok(totals.length > 0);
+  totals.forEach(total => assert.equal(total, '€103,30 EUR'));
+});
+
+test('tolta la spunta nel carrello: rimuove la commissione', async () => {
+  const shop = shopWithFee();
+  page = await openPage(shop, { page: 'cart' });
+  assert.equal(page.$('#paypal-fee-checkbox-main').checked, true);
+
+  await toggle('#paypal-fee-checkbox-main', false);
+
+  assert.equal(shop.feeLines().length, 0);
+  assert.equal(shop.attributes[CART_ATTRIBUTE], 'no');
+  assert.equal(page.$('#paypal-fee-checkbox-main').checked, false);
+  assert.equal(page.badge(), '2');
+});
+
+test('evento deprecato paypal-fee-changed: emesso ancora dopo fee:added e fee:removed', async () => {
+  const shop = shopWithRifles();
+  page = await openPage(shop, { page: 'cart' });
+  const events = [];
+  ['fee:added', 'fee:removed', 'paypal-fee-changed'].forEach(name => {
+    page.document.addEventListener(name, () => events.push(name));
+  });
+
+  await toggle('#paypal-fee-checkbox-main', true);
+  await toggle('#paypal-fee-checkbox-main', false);
+
+  assert.deepEqual(events, ['fee:added', 'paypal-fee-changed', 'fee:removed', 'paypal-fee-changed']);
+});
+
+test('spunta e tolta nel mini-cart', async () => {
+  const shop = shopWithRifles();
+  page = await openPage(shop, { page: 'home' });
+
+  await toggle('#paypal-fee-checkbox-drawer', true);
+  assert.equal(shop.feeAmount(), 350);
+  assert.equal(page.badge(), '2');
+
+  await toggle('#paypal-fee-checkbox-drawer', false);
+  assert.equal(shop.feeLines().length, 0);
+  assert.equal(shop.attributes[CART_ATTRIBUTE], 'no');
+});
+
+test('cambio quantità dal tema: ricalcola la commissione', async () => {
+  const shop = shopWithFee();
+  page = await openPage(shop, { page: 'cart' });
+
+  // 3 × €49,90 = €149,70 → €5,24 (523,95 arrotondato per eccesso)
+  await page.themeFetch('/cart/change.js', { line: 1, quantity: 3 });
+  await page.settleThemeChange();
+
+  assert.equal(shop.feeAmount(), 524);
+  assert.equal(shop.feeLines().length, 1);
+  assert.equal(page.badge(), '3');
+});
+
+test('attributo sparito dal carrello: la scelta in cache viene riscritta, non persa', async () => {
+  const shop = shopWithFee();
+  page = await openPage(shop, { page: 'cart' });
+
+  // Carrello con la commissione ma senza attributo (es: scelta fatta prima che venisse salvata nel carrello)
+  delete shop.attributes[CART_ATTRIBUTE];
+  await page.themeFetch('/cart/change.js', { line: 1, quantity: 3 });
+  await page.settleThemeChange();
+
+  assert.equal(shop.attributes[CART_ATTRIBUTE], 'paypal');
+  assert.equal(page.handler.state.wantsFee(), true);
+  assert.equal(page.$('#paypal-fee-checkbox-main').checked, true);
+  assert.equal(shop.feeAmount(), 524);
+});
+
+test('metodo salvato non più configurato: vale PayPal e il ricalcolo non si blocca', async () => {
+  // 'klarna' rimasto nell'attributo dopo che il prodotto commissione Klarna è stato tolto dalle impostazioni
+  const shop = shopWithRifles({ attributes: { [CART_ATTRIBUTE]: 'klarna' } });
+  page = await openPage(shop, { page: 'cart' });
+
+  await page.themeFetch('/cart/change.js', { line: 1, quantity: 3 });
+  await page.settleThemeChange();
+
+  assert.equal(page.document.body.classList.contains('paypal-fee-degraded'), false);
+  assert.equal(page.handler.state.getMethod(), 'paypal');
+  assert.equal(shop.attributes[CART_ATTRIBUTE], 'paypal');
+  assert.equal(shop.feeAmount(), 524);
+});
+
+test('carrello svuotato dal tema: toglie la commissione e la spunta', async () => {
+  const shop = shopWithFee();
+  page = await openPage(shop, { page: 'cart' });
+
+  await page.themeFetch('/cart/change.js', { id: '101', quantity: 0 });
+  await page.settleThemeChange();
+
+  assert.equal(shop.lines.length, 0);
+  assert.equal(page.handler.state.wantsFee(), false);
+  assert.equal(page.$('#paypal-fee-checkbox-main').checked, false);
+  assert.equal(page.badge(), '0');
+});
+
+test('pagina prodotto: con la spunta, l\'aggiunta del prodotto include la commissione', async () => {
+  const shop = new FakeShop();
+  page = await openPage(shop, { page: 'product', variantId: 102 });
+
+  await toggle('#paypal-fee-checkbox-product', true);
+  assert.equal(shop.attributes[CART_ATTRIBUTE], 'paypal');
+
+  // Il tema aggiunge il prodotto via Ajax con il form: €12,50 → €0,44 (43,75 arrotondato per eccesso)
+  const form = page.$('form[action="/cart/add"]');
+  await page.window.fetch('/cart/add.js', { method: 'POST', body: new page.window.FormData(form) });
+  await page.settleThemeChange();
+
+  assert.equal(shop.productCount(), 1);
+  assert.equal(shop.feeAmount(), 44);
+  assert.equal(page.badge(), '1');
+});
+
+test('pagina prodotto: l\'anteprima segue variante e quantità', async () => {
+  const shop = new FakeShop();
+  page = await openPage(shop, { page: 'product', variantId: 102 });
+  const preview = page.$('[data-paypal-fee-preview]');
+  const amount = () => page.$('[data-paypal-fee-preview-amount]').textContent;
+
+  // Carrello vuoto, 1 × €12,50 → €0,44
+  assert.equal(preview.hidden, false);
+  assert.equal(amount(), '€0,44');
+
+  // Variante da €49,90 → €1,75 (174,65 arrotondato per eccesso)
+  const variant = page.$('form[action="/cart/add"] [name="id"]');
+  variant.value = '101';
+  variant.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+  await page.settle(10);
+  assert.equal(amount(), '€1,75');
+
+  // 3 × €49,90 = €149,70 → €5,24
+  const quantity = page.$('form[action="/cart/add"] [name="quantity"]');
+  quantity.value = '3';
+  quantity.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+  await page.settle(10);
+  assert.equal(amount(), '€5,24');
+});
+
+test('quick-add da collezione: la conferma propone il toggle compatto', async () => {
+  const shop = new FakeShop();
+  page = await openPage(shop, { page: 'home' });
+
+  // Quick-add di una griglia (nessun form con l'opzione commissione): €12,50 → €0,44
+  const before = shop.requests.length;
+  await page.themeFetch('/cart/add.js', { items: [{ id: 102, quantity: 1 }] });
+  await page.settle();
+
+  // Badge e conferma dalla risposta di add.js e dall'ultimo carrello noto: /cart.js lo legge solo il ricalcolo
+  assert.deepEqual(shop.requests.slice(before).map(request => request.path), ['/cart/add.js', '/cart.js']);
+  assert.equal(page.badge(), '1');
+
+  const toggleInput = page.$('.paypal-fee-toast [data-paypal-fee-toggle]');
+  assert.ok(toggleInput);
+  assert.equal(toggleInput.checked, false);
+  assert.match(toggleInput.parentNode.textContent, /0,44/);
+  assert.equal(shop.feeLines().length, 0);
+
+  await toggle('.paypal-fee-toast [data-paypal-fee-toggle]', true);
+
+  assert.equal(shop.feeAmount(), 44);
+  assert.equal(shop.attributes[CART_ATTRIBUTE], 'paypal');
+  assert.equal(page.$('[data-paypal-fee-toggle]'), null);
+  assert.equal(page.$('#paypal-fee-checkbox-drawer').checked, true);
+  assert.equal(page.badge(), '1');
+});
+
+test('quick-add con la commissione già scelta: ricalcolo immediato, senza conferma', async () => {
+  const shop = shopWithFee();
+  page = await openPage(shop, { page: 'home' });
+
+  // €99,80 + €12,50 = €112,30 → €3,94 (393,05 arrotondato per eccesso), senza attendere il debounce
+  await page.themeFetch('/cart/add.js', { items: [{ id: 102, quantity: 1 }] });
+  await page.settle();
+
+  assert.equal(shop.feeAmount(), 394);
+  assert.equal(shop.feeLines().length, 1);
+  assert.equal(page.$('[data-paypal-fee-toggle]'), null);
+  assert.equal(page.badge(), '3');
+});
+
+test('modal di rimozione: conferma toglie la commissione e offre "Annulla"', async () => {
+  const shop = shopWithFee();
+  page = await openPage(shop, { page: 'cart' });
+
+  page.click('[data-paypal-fee-remove]');
+  const modal = page.$('#paypal-fee-remove-modal');
+  assert.equal(modal.classList.contains('active'), true);
+  assert.equal(modal.querySelector('.paypal-fee-modal').getAttribute('role'), 'dialog');
+  assert.equal(page.document.activeElement, modal.querySelector('[data-modal-cancel]'));
+
+  page.click('#paypal-fee-remove-modal [data-modal-confirm]');
+  await page.settle();
+
+  assert.equal(modal.classList.contains('active'), false);
+  assert.equal(shop.feeLines().length, 0);
+  assert.equal(shop.attributes[CART_ATTRIBUTE], 'no');
+  assert.equal(page.$('#paypal-fee-checkbox-main').checked, false);
+  assert.equal(page.$('#paypal-fee-checkbox-drawer').checked, false);
+
+  // "Annulla" nel toast rimette la commissione
+  page.click('.paypal-fee-toast__action');
+  await page.settle();
+  assert.equal(shop.feeAmount(), 350);
+  assert.equal(shop.attributes[CART_ATTRIBUTE], 'paypal');
+});
+
+test('checkout senza scelta: il modal aggiunge la commissione e reinvia il form del carrello', async () => {
+  const shop = shopWithRifles();
+  page = await openPage(shop, { page: 'cart' });
+
+  // Il reinvio deve arrivare al form con il pulsante checkout originale (nota e attributi compresi)
+  // (la sezione carrello viene sostituita dopo l'aggiunta: il listener sta sul document)
+  const submits = [];
+  page.document.addEventListener('submit', (e) => {
+    submits.push({ submitter: e.submitter && e.submitter.name, blocked: e.defaultPrevented, form: e.target });
+    e.preventDefault(); // jsdom non naviga
+  });
+  page.$('#cart-form textarea[name="note"]').value = 'Consegna al mattino';
+
+  page.click('#cart-form [name="checkout"]');
+  assert.equal(page.$('#paypal-checkout-guard-modal').classList.contains('active'), true);
+  assert.equal(submits.length, 0);
+
+  page.click('#paypal-checkout-guard-modal [data-modal-confirm]');
+  await page.settle();
+
+  assert.equal(shop.feeAmount(), 350);
+  assert.equal(shop.attributes[CART_ATTRIBUTE], 'paypal');
+  assert.equal(submits.length, 1);
+  assert.equal(submits[0].submitter, 'checkout');
+  assert.equal(submits[0].blocked, false);
+  assert.equal(submits[0].form.isConnected, true);
+  assert.equal(new page.window.FormData(submits[0].form).get('note'), 'Consegna al mattino');
+});
+
+test('pagamento accelerato senza scelta: dopo il modal viene ricliccato il pulsante PayPal', async () => {
+  const shop = shopWithRifles();
+  page = await openPage(shop, { page: 'home' });
+
+  // Il mini-cart viene riscritto dopo l'aggiunta: il listener sta sul document
+  const clicks = [];
+  page.document.addEventListener('click', (e) => {
+    if (e.target.matches('.express-button')) clicks.push(e.target);
+  });
+
+  page.click('#mini-cart .express-button');
+  assert.equal(page.$('#paypal-checkout-guard-modal').classList.contains('active'), true);
+  assert.equal(clicks.length, 0);
+
+  page.click('#paypal-checkout-guard-modal [data-modal-confirm]');
+  await page.settle();
+
+  assert.equal(shop.feeAmount(), 350);
+  assert.equal(clicks.length, 1);
+  assert.equal(clicks[0].isConnected, true);
+});
+
+test('modal di rimozione: ESC chiude senza toccare il carrello', async () => {
+  const shop = shopWithFee();
+  page = await openPage(shop, { page: 'cart' });
+
+  page.click('[data-paypal-fee-remove]');
+  const modal = page.$('#paypal-fee-remove-modal');
+  page.document.activeElement.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+  await page.settle();
+
+  assert.equal(modal.classList.contains('active'), false);
+  assert.equal(shop.feeAmount(), 350);
+});
+
+test('start() ripetuto non registra altri listener', async () => {
+  const shop = shopWithRifles();
+  page = await openPage(shop, { page: 'cart' });
+
+  assert.equal(page.handler.start(), false);
+  await toggle('#paypal-fee-checkbox-main', true);
+
+  assert.equal(shop.feeLines().length, 1);
+  assert.equal(shop.feeAmount(), 350);
+  assert.equal(page.document.querySelectorAll('#paypal-fee-remove-modal').length, 1);
+  assert.equal(page.document.querySelectorAll('.paypal-fee-toasts').length, 1);
+});
+
+test('badge: il contatore del tema non conta le righe commissione', async () => {
+  const shop = shopWithFee();
+  page = await openPage(shop, { page: 'home' });
+
+  // Il markup dell'header arriva con cart.item_count (352): l'handler lo corregge subito
+  assert.equal(page.badge(), '2');
+  assert.equal(page.window.theme.cartCount, 2);
+
+  // Il tema riscrive il contatore con il proprio totale
+  page.$('.header__cart-count').textContent = '352';
+  await page.settle();
+  assert.equal(page.badge(), '2');
+});
+
+test('badge: un prodotto aggiunto in un\'altra scheda aggiorna il contatore', async () => {
+  const shop = shopWithFee();
+  page = await openPage(shop, { page: 'home' });
+  assert.equal(page.badge(), '2');
+
+  // L'altra scheda aggiunge un fucile e lo annuncia con TabSync
+  shop.addLine(101, 1);
+  page.handler.tabSync.receive({ source: 'altra-scheda', type: 'cart', value: 'paypal', time: Date.now() });
+  await page.settle(page.handler.tabSync.REFRESH_DELAY + 50);
+
+  assert.equal(page.badge(), '3');
+  assert.equal(page.window.theme.cartCount, 3);
+});
+
+test('senza modalità debug: nessun pannello e nessuno storico dei log', async () => {
+  const shop = shopWithRifles();
+  page = await openPage(shop, { page: 'cart' });
+
+  await toggle('#paypal-fee-checkbox-main', true);
+
+  assert.equal(page.handler.logger.isDebug(), false);
+  assert.equal(page.handler.logger.entries.length, 0);
+  assert.equal(page.$('.paypal-fee-debug'), null);
+});
+
+test('?paypal_fee_debug=1: pannello con commissione attesa ed effettiva e operazioni recenti', async () => {
+  const shop = shopWithRifles();
+  page = await openPage(shop, { page: 'cart', query: '?paypal_fee_debug=1' });
+
+  const panel = page.$('.paypal-fee-debug');
+  assert.ok(panel);
+  // Solo per la sessione: localStorage resta vuoto
+  assert.equal(page.window.sessionStorage.getItem('paypal_fee_debug'), '1');
+  assert.equal(page.window.localStorage.getItem('paypal_fee_debug'), null);
+  assert.match(panel.textContent, /Subtotale€99,80/);
+  assert.match(panel.textContent, /Commissione nel carrello€0,00 \(qtà 0\)/);
+
+  await toggle('#paypal-fee-checkbox-main', true);
+
+  const report = page.handler.diagnostics.report();
+  // L'oggetto viene dalla pagina (altro realm): confronto per campi
+  assert.equal(report.expected.amount, 350);
+  assert.equal(report.expected.quantity, 350);
+  assert.equal(report.actual.amount, 350);
+  assert.equal(report.actual.quantity, 350);
+  assert.equal(report.checkboxes.carrello, true);
+  assert.equal(report.session.choice, 'paypal');
+  assert.equal(report.session.cartAttribute, 'paypal');
+  assert.match(panel.querySelector('.paypal-fee-debug__operations').textContent, /Commissione aggiunta/);
+  assert.equal(panel.querySelector('.paypal-fee-debug__mismatch'), null);
+});
+
+test('diagnostica con un hook che fallisce: il pannello non rilancia gli hook né si richiama da solo', async () => {
+  const shop = shopWithRifles();
+  page = await openPage(shop, { page: 'cart', query: '?paypal_fee_debug=1' });
+  let errors = 0;
+  page.window.console.error = () => { errors++; };
+  page.handler.on('afterCalculate', () => { throw new Error('hook rotto'); });
+
+  page.handler.diagnostics.render();
+  assert.equal(errors, 0);
+
+  // Il ricalcolo scrive l'errore dell'hook una volta per calcolo, il pannello lo mostra senza ricalcolare
+  await toggle('#paypal-fee-checkbox-main', true);
+  assert.ok(errors > 0 && errors < 10, `console.error chiamato ${errors} volte`);
+  assert.equal(shop.feeAmount(), 350);
+  assert.match(page.$('.paypal-fee-debug__operations').textContent, /Errore hook afterCalculate/);
+});
@@ -0,0 +1,250 @@
+// NEGOZIO FINTO
+// Sostituto in memoria delle API Ajax del carrello Shopify usate da paypal-fee-handler.js e dal tema:
+// /cart.js, /cart/add.js, /cart/change.js, /cart/update.js, /cart/clear.js e la Section Rendering API
+// (/cart?sections=a,b). Le risposte hanno gli stessi campi di Shopify che l'handler legge.
+
+export const FEE_VARIANT_ID = 900;
+export const FEE_SKU = 'PAYPAL-FEE';
+
+// Catalogo di prova: prezzi in centesimi. La commissione costa €0.01 (codifica 'cents')
+export const CATALOG = {
+  101: { id: 101, sku: 'ASG-M4', title: 'Fucile elettrico M4', handle: 'fucile-m4', product_type: 'Fucili', price: 4990, inventory: 50 },
+  102: { id: 102, sku: 'BB-025', title: 'Pallini 0,25 g', handle: 'pallini-025', product_type: 'Munizioni', price: 1250, inventory: 50 },
+  [FEE_VARIANT_ID]: { id: FEE_VARIANT_ID, sku: FEE_SKU, title: 'Commissione PayPal', handle: 'commissione-paypal', product_type: 'Commissione', price: 1, inventory: Infinity }
+};
+
+export class FakeShop {
+  // lines: [{ variantId, quantity, properties }] già nel carrello; attributes: attributi del carrello
+  constructor({ lines = [], attributes = {} } = {}) {
+    this.lines = [];
+    this.attributes = Object.assign({}, attributes);
+    this.requests = []; // [{ method, path }] nell'ordine di arrivo
+    this.sectionRenderers = {}; // { sectionId: (cart) => html }
+    lines.forEach(line => this.addLine(line.variantId, line.quantity, line.properties));
+  }
+
+  // RIGHE
+
+  addLine(variantId, quantity, properties = {}) {
+    const variant = CATALOG[variantId];
+    if (!variant) throw this.error(404, 'Cannot find variant');
+
+    const key = `${variantId}:${hash(properties)}`;
+    const existing = this.lines.find(line => line.key === key);
+    const total = quantity + (existing ? existing.quantity : 0);
+    if (total > variant.inventory) {
+      throw this.error(422, `You can't add more ${variant.title} to the cart.`);
+    }
+
+    if (existing) {
+      existing.quantity = total;
+      return existing;
+    }
+
+    const line = { key: key, variantId: Number(variantId), quantity: quantity, properties: Object.assign({}, properties) };
+    this.lines.push(line);
+    return line;
+  }
+
+  setQuantity(line, quantity) {
+    if (!line) throw this.error(400, 'no valid id or line parameter');
+    if (quantity <= 0) {
+      this.lines.splice(this.lines.indexOf(line), 1);
+    } else {
+      line.quantity = quantity;
+    }
+  }
+
+  // Riga per chiave, id variante o indice (1 = prima riga), come fa Shopify
+  findLine(id, lineNumber) {
+    if (lineNumber) return this.lines[Number(lineNumber) - 1];
+    return this.lines.find(line => line.key === String(id)) ||
+      this.lines.find(line => line.variantId === Number(id));
+  }
+
+  // STATO LETTO DAI TEST
+
+  feeLines() {
+    return this.lines.filter(line => line.variantId === FEE_VARIANT_ID);
+  }
+
+  // Importo commissione in centesimi (codifica 'cents': una riga da €0.01 per centesimo)
+  feeAmount() {
+    return this.feeLines().reduce((sum, line) => sum + line.quantity * CATALOG[line.variantId].price, 0);
+  }
+
+  productCount() {
+    return this.lines
+      .filter(line => line.variantId !== FEE_VARIANT_ID)
+      .reduce((sum, line) => sum + line.quantity, 0);
+  }
+
+  // CARRELLO COME /cart.js
+
+  toJSON() {
+    const items = this.lines.map(line => this.item(line));
+    const total = items.reduce((sum, item) => sum + item.final_line_price, 0);
+
+    return {
+      token: 'test-cart',
+      note: '',
+      attributes: Object.assign({}, this.attributes),
+      original_total_price: total,
+      total_price: total,
+      total_discount: 0,
+      total_weight: 0,
+      item_count: items.reduce((sum, item) => sum + item.quantity, 0),
+      items: items,
+      requires_shipping: items.length > 0,
+      currency: 'EUR',
+      items_subtotal_price: total,
+      cart_level_discount_applications: []
+    };
+  }
+
+  item(line) {
+    const variant = CATALOG[line.variantId];
+    const linePrice = variant.price * line.quantity;
+
+    return {
+      id: variant.id,
+      key: line.key,
+      variant_id: variant.id,
+      product_id: variant.id * 10,
+      title: variant.title,
+      sku: variant.sku,
+      handle: variant.handle,
+      product_type: variant.product_type,
+      gift_card: false,
+      properties: Object.assign({}, line.properties),
+      quantity: line.quantity,
+      price: variant.price,
+      original_price: variant.price,
+      discounted_price: variant.price,
+      final_price: variant.price,
+      line_price: linePrice,
+      original_line_price: linePrice,
+      final_line_price: linePrice,
+      total_discount: 0,
+      discounts: [],
+      line_level_discount_allocations: []
+    };
+  }
+
+  // HTTP
+
+  // fetch() da installare nella finestra jsdom (window.fetch = shop.fetchFor(window))
+  fetchFor(window) {
+    return async (input, init = {}) => {
+      const url = new URL(typeof input === 'string' ? input : input.url, window.location.href);
+      const method = (init.method || 'GET').toUpperCase();
+      this.requests.push({ method: method, path: url.pathname + url.search });
+
+      // Come la rete: la risposta arriva dopo il turno attuale
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      try {
+        return json(this.route(method, url, readBody(init.body)));
+      } catch (error) {
+        if (!error.status) throw error;
+        return json({ status: error.status, message: 'Cart Error', description: error.message }, error.status);
+      }
+    };
+  }
+
+  route(method, url, body) {
+    const path = url.pathname.replace(/\.js(on)?$/, '');
+
+    if (method === 'GET' && path === '/cart' && url.searchParams.has('sections')) {
+      return this.sections(url.searchParams.get('sections').split(','));
+    }
+    if (method === 'GET' && path === '/cart') return this.toJSON();
+
+    if (method === 'POST' && path === '/cart/add') {
+      // JSON { items: [...] } oppure form del prodotto (id, quantity)
+      const entries = body.items || [{ id: body.id, quantity: body.quantity, properties: body.properties }];
+      const added = entries.map(entry => this.addLine(Number(entry.id), Number(entry.quantity) || 1, entry.properties || {}));
+      const items = added.map(line => this.item(line));
+      return body.items ? { items: items } : items[0];
+    }
+
+    if (method === 'POST' && path === '/cart/change') {
+      this.setQuantity(this.findLine(body.id, body.line), Number(body.quantity));
+      return this.toJSON();
+    }
+
+    if (method === 'POST' && path === '/cart/update') {
+      Object.keys(body.updates || {}).forEach(id => {
+        const line = this.findLine(id);
+        if (line) this.setQuantity(line, Number(body.updates[id]));
+      });
+      Object.keys(body.attributes || {}).forEach(name => {
+        if (body.attributes[name] === '' || body.attributes[name] === null) {
+          delete this.attributes[name];
+        } else {
+          this.attributes[name] = body.attributes[name];
+        }
+      });
+      return this.toJSON();
+    }
+
+    if (method === 'POST' && path === '/cart/clear') {
+      this.lines = [];
+      return this.toJSON();
+    }
+
+    throw this.error(404, `Route non gestita: ${method} ${url.pathname}`);
+  }
+
+  sections(ids) {
+    const cart = this.toJSON();
+    const result = {};
+    ids.forEach(id => {
+      result[id] = this.sectionRenderers[id] ? this.sectionRenderers[id](cart) : null;
+    });
+    return result;
+  }
+
+  error(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+// Corpo della richiesta come oggetto: JSON, FormData del form prodotto o URLSearchParams
+function readBody(body) {
+  if (!body) return {};
+  if (typeof body === 'string') {
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      return Object.fromEntries(new URLSearchParams(body));
+    }
+  }
+  if (typeof body.entries === 'function') {
+    const result = {};
+    for (const [name, value] of body.entries()) {
+      const property = name.match(/^properties\[(.+)\]$/);
+      if (property) {
+        result.properties = Object.assign(result.properties || {}, { [property[1]]: value });
+      } else {
+        result[name] = value;
+      }
+    }
+    return result;
+  }
+  return body;
+}
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), { status: status, headers: { 'Content-Type': 'application/json' } });
+}
+
+// Chiave stabile per le proprietà di riga (Shopify usa un hash delle proprietà)
+function hash(properties) {
+  const text = JSON.stringify(Object.keys(properties).sort().map(name => [name, properties[name]]));
+  let value = 0;
+  for (let i = 0; i < text.length; i++) value = (value * 31 + text.charCodeAt(i)) >>> 0;
+  return value.toString(16);
+}
@@ -0,0 +1,233 @@
+// VETRINA DI PROVA
+// Apre una pagina del tema in jsdom con il markup essenziale di sezioni e snippet (header con contatore,
+// mini-cart, sezione carrello, form prodotto), il blocco config del layout e paypal-fee-handler.js.
+// fetch() è servito da FakeShop, che rende anche le sezioni per la Section Rendering API.
+
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { JSDOM } from 'jsdom';
+import { CATALOG, FEE_VARIANT_ID, FEE_SKU } from './fake-shop.js';
+
+// Bundle generato da npm run build (pretest)
+const HANDLER_PATH = fileURLToPath(new URL('../../files/assets/paypal-fee-handler.js', import.meta.url));
+export const CART_ATTRIBUTE = 'Pagamento con commissione';
+
+// MARKUP (stessi id, classi e attributi data-* dei file .liquid)
+
+function summary(cart) {
+  const fee = cart.items.filter(item => item.variant_id === FEE_VARIANT_ID)
+    .reduce((sum, item) => sum + item.final_line_price, 0);
+
+  return `
+    <div class="paypal-fee-summary" data-paypal-fee-summary ${fee === 0 ? 'hidden' : ''}>
+      <span data-paypal-fee-summary-subtotal>${cart.items_subtotal_price - fee}</span>
+      <a href="#" class="paypal-fee-summary__remove link" data-paypal-fee-remove>Rimuovi</a>
+      <span data-paypal-fee-summary-fee>${fee}</span>
+    </div>
+    <span data-paypal-fee-summary-total>${cart.total_price}</span>`;
+}
+
+function lineItems(cart) {
+  return cart.items
+    .filter(item => item.variant_id !== FEE_VARIANT_ID)
+    .map((item, index) => `<div class="cart-item" data-line="${index + 1}">${item.title} × ${item.quantity}</div>`)
+    .join('');
+}
+
+// Header: il contatore del tema conta anche le righe commissione (cart.item_count), come Shopify
+function headerSection(cart) {
+  return `
+    <div id="shopify-section-header" class="shopify-section">
+      <a href="/cart"><span class="header__cart-count">${cart.item_count}</span></a>
+      <form method="post" action="/cart" id="mini-cart" class="mini-cart" data-item-count="${cart.item_count}">
+        ${lineItems(cart)}
+        <div class="paypal-fee-option">
+          <label><input type="checkbox" id="paypal-fee-checkbox-drawer" class="paypal-fee-option__checkbox"></label>
+        </div>
+        ${summary(cart)}
+        <div class="additional-checkout-buttons">
+          <div class="dynamic-checkout__content"><button type="button" class="express-button" aria-label="PayPal">PayPal</button></div>
+        </div>
+      </form>
+    </div>`;
+}
+
+function cartSection(cart) {
+  return `
+    <div id="shopify-section-main-cart" class="shopify-section">
+      <section data-section-id="main-cart" data-section-type="cart" data-item-count="${cart.item_count}">
+        <form method="post" action="/cart" id="cart-form" novalidate>
+          ${lineItems(cart)}
+          <div class="paypal-fee-option">
+            <label><input type="checkbox" id="paypal-fee-checkbox-main" class="paypal-fee-option__checkbox"></label>
+          </div>
+          ${summary(cart)}
+          <textarea name="note">${cart.note || ''}</textarea>
+          <button type="submit" name="checkout" class="cart-recap__checkout">Checkout</button>
+        </form>
+      </section>
+    </div>`;
+}
+
+// Banner con l'anteprima (product-buy-buttons): i prodotti 101 e 102 del catalogo fanno da varianti dello stesso prodotto
+function productSection(variantId) {
+  const product = {
+    title: CATALOG[variantId].title,
+    handle: CATALOG[variantId].handle,
+    type: CATALOG[variantId].product_type,
+    tags: [],
+    giftCard: false,
+    variants: {
+      101: { price: CATALOG[101].price, sku: CATALOG[101].sku },
+      102: { price: CATALOG[102].price, sku: CATALOG[102].sku }
+    }
+  };
+
+  return `
+    <form method="post" action="/cart/add" class="product-form">
+      <div class="paypal-info-product-banner">
+        <p class="paypal-info-product-banner__preview" data-paypal-fee-preview hidden>
+          Commissione <span data-paypal-fee-preview-method>PayPal</span> prevista: <strong data-paypal-fee-preview-amount></strong>
+          <small data-paypal-fee-preview-base></small>
+        </p>
+        <script type="application/json" data-paypal-fee-preview-product>${JSON.stringify(product)}</script>
+      </div>
+      <input type="hidden" name="id" value="${variantId}">
+      <input type="number" name="quantity" value="1">
+      <div class="paypal-fee-option paypal-fee-option--product">
+        <label><input type="checkbox" id="paypal-fee-checkbox-product" class="paypal-fee-option__checkbox"></label>
+      </div>
+      <button type="submit" name="add" class="product-form__add-button">Aggiungi al carrello</button>
+    </form>`;
+}
+
+// Blocco <script data-paypal-fee-config> come lo scrive theme.liquid
+function config(cart) {
+  const fee = CATALOG[FEE_VARIANT_ID];
+  return {
+    sku: FEE_SKU,
+    variantId: FEE_VARIANT_ID,
+    productHandle: fee.handle,
+    productPublished: true,
+    variantAvailable: true,
+    variants: [{ id: fee.id, sku: fee.sku, price: fee.price }],
+    encoding: 'cents',
+    rules: { percentage: 0.035, fixed: 0, min: 0, max: null, rounding: 'ceil', roundingStep: 1, tiers: [] },
+    cartAttribute: CART_ATTRIBUTE,
+    cartChoice: cart.attributes[CART_ATTRIBUTE] || null,
+    cartLines: cart.items.map(item => ({
+      variant_id: item.variant_id, sku: item.sku, quantity: item.quantity, properties: item.properties
+    })),
+    currency: { shop: 'EUR', active: 'EUR' },
+    customer: { tags: [], country: 'IT', market: 'italia' },
+    exemptions: { customerTags: [], countries: [], markets: [] },
+    methods: []
+  };
+}
+
+// page: 'cart' (sezione carrello + header), 'home' (solo header con mini-cart), 'product'.
+// query: aggiunta all'URL della pagina (es: '?paypal_fee_debug=1')
+export async function openPage(shop, { page = 'cart', variantId = 101, query = '' } = {}) {
+  const cart = shop.toJSON();
+  shop.sectionRenderers = { header: headerSection, 'main-cart': cartSection };
+
+  const body = [
+    headerSection(cart),
+    page === 'cart' ? cartSection(cart) : '',
+    page === 'product' ? productSection(variantId) : ''
+  ].join('');
+
+  const dom = new JSDOM(`<!doctype html>
+    <html lang="it">
+      <head>
+        <script type="application/json" data-paypal-fee-config>${JSON.stringify(config(cart))}</script>
+      </head>
+      <body>${body}</body>
+    </html>`, {
+    url: (page === 'cart' ? 'https://softair.test/cart' : 'https://softair.test/') + query,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true
+  });
+
+  const window = dom.window;
+  window.routes = {
+    rootUrl: '/',
+    rootUrlWithoutSlash: '',
+    cartUrl: '/cart',
+    cartAddUrl: '/cart/add',
+    cartChangeUrl: '/cart/change'
+  };
+  window.theme = {
+    pageType: page,
+    cartType: 'drawer',
+    cartCount: cart.item_count,
+    moneyFormat: '€{{amount_with_comma_separator}}',
+    moneyWithCurrencyFormat: '€{{amount_with_comma_separator}} EUR'
+  };
+  window.languages = {};
+  window.fetch = shop.fetchFor(window);
+  window.alert = message => { throw new Error(`alert() non previsto: ${message}`); };
+  // DEBUG=1: console visibile e handler in modalità debug (log completi e pannello diagnostica)
+  if (process.env.DEBUG) {
+    window.localStorage.setItem('paypal_fee_debug', '1');
+  } else {
+    window.console = { log() {}, info() {}, debug() {}, warn() {}, error() {} };
+  }
+
+  const ready = new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+  window.eval(fs.readFileSync(HANDLER_PATH, 'utf8'));
+  await ready;
+
+  const storefront = {
+    window: window,
+    document: window.document,
+    shop: shop,
+    handler: window.PayPalFeeHandler,
+
+    // Aspetta che coda del carrello, richieste e timer brevi siano fermi
+    settle: async function(ms = 0) {
+      if (ms) await wait(ms);
+      for (let round = 0; round < 50; round++) {
+        const requests = shop.requests.length;
+        const tail = storefront.handler.cartQueue.tail;
+        await tail;
+        await wait(20);
+        if (requests === shop.requests.length && tail === storefront.handler.cartQueue.tail) return;
+      }
+      throw new Error('La pagina non si è stabilizzata');
+    },
+
+    // Attende il debounce dei ricalcoli dopo le modifiche del tema (CheckboxHandler: 600 ms)
+    settleThemeChange: function() {
+      return storefront.settle(650);
+    },
+
+    $: selector => window.document.querySelector(selector),
+
+    click: function(selector) {
+      const element = window.document.querySelector(selector);
+      if (!element) throw new Error(`Elemento non trovato: ${selector}`);
+      element.click();
+    },
+
+    // Richiesta fatta dal tema (pulsanti quantità, form prodotto): passa dal fetch avvolto da CartObserver
+    themeFetch: function(url, body) {
+      return window.fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify(body)
+      });
+    },
+
+    badge: () => window.document.querySelector('.header__cart-count').textContent,
+
+    close: () => window.close()
+  };
+
+  await storefront.settle();
+  return storefront;
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}